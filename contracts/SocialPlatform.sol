@@ -33,6 +33,13 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
         uint256 expiryTime; // 24 hours from creation
     }
     
+    struct SubscriptionTier {
+        string name;
+        uint256 price; // in wei, per period
+        uint256 period; // in seconds
+        bool active;
+    }
+    
     // Mappings
     mapping(address => User) public users;
     mapping(uint256 => Content) public contents;
@@ -41,6 +48,20 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
     mapping(address => uint256[]) public userContents; // creator => contentIds[]
     mapping(address => uint256[]) public userStories; // creator => storyIds[]
     mapping(uint256 => Story) public stories;
+    mapping(address => SubscriptionTier[]) public creatorTiers; // creator => tiers, index is the tier ID
+    mapping(address => mapping(address => mapping(uint256 => uint256))) public subscriptionExpiry; // subscriber => creator => tierId => expiry
+    mapping(uint256 => uint256) public contentTier; // contentId => tierId + 1, 0 when not tier-gated
+    
+    // Enumerable follow graph; positions are 1-based, 0 when absent
+    mapping(address => address[]) private followingList; // follower => followed addresses
+    mapping(address => address[]) private followerList; // user => followers
+    mapping(address => mapping(address => uint256)) private followingPosition;
+    mapping(address => mapping(address => uint256)) private followerPosition;
+    
+    // Lifetime creator revenue (after fees) by source
+    mapping(address => uint256) public contentRevenue;
+    mapping(address => uint256) public subscriptionRevenue;
+    mapping(address => uint256) public tipRevenue;
     
     // Counters
     uint256 public contentCounter;
@@ -50,6 +71,13 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
     uint256 public platformFee = 200; // 200 = 2%
     uint256 public constant FEE_DENOMINATOR = 10000;
     
+    // First block to scan when rebuilding history from events
+    uint256 public immutable deploymentBlock;
+    
+    // Accounting: fees the owner may withdraw vs. balances owed to creators
+    uint256 public accumulatedFees;
+    uint256 public totalCreatorBalances;
+    
     // Events
     event UserRegistered(address indexed user, string username);
     event UserBecameCreator(address indexed user);
@@ -59,8 +87,16 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
     event UserFollowed(address indexed follower, address indexed following);
     event UserUnfollowed(address indexed follower, address indexed following);
     event EarningsWithdrawn(address indexed creator, uint256 amount);
+    event PlatformFeeUpdated(uint256 oldFee, uint256 newFee);
+    event PlatformFeesWithdrawn(address indexed owner, uint256 amount);
+    event TierCreated(address indexed creator, uint256 indexed tierId, uint256 price, uint256 period);
+    event TierStatusChanged(address indexed creator, uint256 indexed tierId, bool active);
+    event TipSent(address indexed tipper, address indexed creator, uint256 indexed contentId, uint256 amount);
+    event Subscribed(address indexed subscriber, address indexed creator, uint256 indexed tierId, uint256 price, uint256 expiry);
     
-    constructor() {}
+    constructor() {
+        deploymentBlock = block.number;
+    }
     
     // User registration and profile management
     function registerUser(string memory _username, string memory _avatarHash, string memory _bio) external {
@@ -101,6 +137,18 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
     
     // Content creation and management
     function createContent(string memory _contentHash, uint256 _price, bool _isPaid) external {
+        _createContent(_contentHash, _price, _isPaid);
+    }
+    
+    // Paid content that is also unlocked by an active subscription to the given tier
+    function createTierContent(string memory _contentHash, uint256 _price, uint256 _tierId) external {
+        require(_tierId < creatorTiers[msg.sender].length, "Invalid tier ID");
+        
+        uint256 contentId = _createContent(_contentHash, _price, true);
+        contentTier[contentId] = _tierId + 1;
+    }
+    
+    function _createContent(string memory _contentHash, uint256 _price, bool _isPaid) internal returns (uint256) {
         require(users[msg.sender].exists, "User not registered");
         require(users[msg.sender].isCreator, "Only creators can create content");
         
@@ -121,6 +169,8 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
         contentAccess[msg.sender][contentCounter] = true;
         
         emit ContentCreated(contentCounter, msg.sender, _price);
+        
+        return contentCounter;
     }
     
     function buyContent(uint256 _contentId) external payable nonReentrant {
@@ -136,12 +186,15 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
         contentAccess[msg.sender][_contentId] = true;
         content.purchaseCount++;
         
-        // Calculate platform fee
-        uint256 fee = (msg.value * platformFee) / FEE_DENOMINATOR;
-        uint256 creatorEarning = msg.value - fee;
+        // Calculate platform fee on the price, any excess is refunded below
+        uint256 fee = (content.price * platformFee) / FEE_DENOMINATOR;
+        uint256 creatorEarning = content.price - fee;
         
-        // Update creator earnings
+        // Update creator earnings and platform fees
         users[content.creator].totalEarnings += creatorEarning;
+        contentRevenue[content.creator] += creatorEarning;
+        totalCreatorBalances += creatorEarning;
+        accumulatedFees += fee;
         
         // Refund excess payment
         if (msg.value > content.price) {
@@ -155,7 +208,105 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
         if (!contents[_contentId].isPaid) {
             return true; // Free content is accessible to everyone
         }
-        return contentAccess[_user][_contentId];
+        if (contentAccess[_user][_contentId]) {
+            return true;
+        }
+        
+        // Tier-gated content is accessible while the subscription is active
+        uint256 gate = contentTier[_contentId];
+        if (gate > 0) {
+            return subscriptionExpiry[_user][contents[_contentId].creator][gate - 1] > block.timestamp;
+        }
+        return false;
+    }
+    
+    // Subscription tiers
+    function createTier(string memory _name, uint256 _price, uint256 _period) external {
+        require(users[msg.sender].exists, "User not registered");
+        require(users[msg.sender].isCreator, "Only creators can create tiers");
+        require(bytes(_name).length > 0, "Tier name cannot be empty");
+        require(_price > 0, "Tier price must be positive");
+        require(_period >= 1 days, "Tier period too short");
+        
+        creatorTiers[msg.sender].push(SubscriptionTier({
+            name: _name,
+            price: _price,
+            period: _period,
+            active: true
+        }));
+        
+        emit TierCreated(msg.sender, creatorTiers[msg.sender].length - 1, _price, _period);
+    }
+    
+    function setTierActive(uint256 _tierId, bool _active) external {
+        require(_tierId < creatorTiers[msg.sender].length, "Invalid tier ID");
+        
+        creatorTiers[msg.sender][_tierId].active = _active;
+        emit TierStatusChanged(msg.sender, _tierId, _active);
+    }
+    
+    function subscribe(address _creator, uint256 _tierId) external payable nonReentrant {
+        require(users[msg.sender].exists, "User not registered");
+        require(msg.sender != _creator, "Cannot subscribe to yourself");
+        require(_tierId < creatorTiers[_creator].length, "Invalid tier ID");
+        
+        SubscriptionTier storage tier = creatorTiers[_creator][_tierId];
+        require(tier.active, "Tier is not active");
+        require(msg.value >= tier.price, "Insufficient payment");
+        
+        // Renewals extend the current period instead of overlapping it
+        uint256 start = subscriptionExpiry[msg.sender][_creator][_tierId];
+        if (start < block.timestamp) {
+            start = block.timestamp;
+        }
+        uint256 expiry = start + tier.period;
+        subscriptionExpiry[msg.sender][_creator][_tierId] = expiry;
+        
+        // Calculate platform fee
+        uint256 fee = (tier.price * platformFee) / FEE_DENOMINATOR;
+        uint256 creatorEarning = tier.price - fee;
+        
+        users[_creator].totalEarnings += creatorEarning;
+        subscriptionRevenue[_creator] += creatorEarning;
+        totalCreatorBalances += creatorEarning;
+        accumulatedFees += fee;
+        
+        // Refund excess payment
+        if (msg.value > tier.price) {
+            payable(msg.sender).transfer(msg.value - tier.price);
+        }
+        
+        emit Subscribed(msg.sender, _creator, _tierId, tier.price, expiry);
+    }
+    
+    function isSubscribed(address _subscriber, address _creator, uint256 _tierId) external view returns (bool) {
+        return subscriptionExpiry[_subscriber][_creator][_tierId] > block.timestamp;
+    }
+    
+    function getCreatorTiers(address _creator) external view returns (SubscriptionTier[] memory) {
+        return creatorTiers[_creator];
+    }
+    
+    // Tips - contentId is 0 for tips sent from a profile rather than a post
+    function tip(address _creator, uint256 _contentId) external payable {
+        require(users[msg.sender].exists, "User not registered");
+        require(users[_creator].isCreator, "Can only tip creators");
+        require(msg.sender != _creator, "Cannot tip yourself");
+        require(msg.value > 0, "Tip must be greater than zero");
+        if (_contentId != 0) {
+            require(contents[_contentId].creator == _creator, "Content does not belong to creator");
+        }
+        
+        // Calculate platform fee
+        uint256 fee = (msg.value * platformFee) / FEE_DENOMINATOR;
+        uint256 creatorEarning = msg.value - fee;
+        
+        users[_creator].totalEarnings += creatorEarning;
+        tipRevenue[_creator] += creatorEarning;
+        totalCreatorBalances += creatorEarning;
+        accumulatedFees += fee;
+        
+        emit TipSent(msg.sender, _creator, _contentId, msg.value);
     }
     
     // Story management
@@ -212,6 +363,11 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
         users[_userToFollow].followersCount++;
         users[msg.sender].followingCount++;
         
+        followingList[msg.sender].push(_userToFollow);
+        followingPosition[msg.sender][_userToFollow] = followingList[msg.sender].length;
+        followerList[_userToFollow].push(msg.sender);
+        followerPosition[_userToFollow][msg.sender] = followerList[_userToFollow].length;
+        
         emit UserFollowed(msg.sender, _userToFollow);
     }
     
@@ -223,6 +379,9 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
         users[_userToUnfollow].followersCount--;
         users[msg.sender].followingCount--;
         
+        _removeFromList(followingList[msg.sender], followingPosition[msg.sender], _userToUnfollow);
+        _removeFromList(followerList[_userToUnfollow], followerPosition[_userToUnfollow], msg.sender);
+        
         emit UserUnfollowed(msg.sender, _userToUnfollow);
     }
     
@@ -230,6 +389,29 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
         return following[_follower][_following];
     }
     
+    function getFollowing(address _user) external view returns (address[] memory) {
+        return followingList[_user];
+    }
+    
+    function getFollowers(address _user) external view returns (address[] memory) {
+        return followerList[_user];
+    }
+    
+    // Swap-and-pop removal; order isn't preserved
+    function _removeFromList(
+        address[] storage _list,
+        mapping(address => uint256) storage _positions,
+        address _account
+    ) private {
+        uint256 index = _positions[_account] - 1;
+        address last = _list[_list.length - 1];
+        
+        _list[index] = last;
+        _positions[last] = index + 1;
+        _list.pop();
+        delete _positions[_account];
+    }
+    
     // Earnings withdrawal
     function withdrawEarnings() external nonReentrant {
         require(users[msg.sender].exists, "User not registered");
@@ -238,6 +420,7 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
         
         uint256 amount = users[msg.sender].totalEarnings;
         users[msg.sender].totalEarnings = 0;
+        totalCreatorBalances -= amount;
         
         payable(msg.sender).transfer(amount);
         
@@ -268,15 +451,30 @@ contract SocialPlatform is ReentrancyGuard, Ownable {
     // Platform management (only owner)
     function setPlatformFee(uint256 _fee) external onlyOwner {
         require(_fee <= 1000, "Fee cannot exceed 10%"); // Max 10%
+        emit PlatformFeeUpdated(platformFee, _fee);
         platformFee = _fee;
     }
     
-    function withdrawPlatformFees() external onlyOwner {
-        payable(owner()).transfer(address(this).balance);
+    function withdrawPlatformFees() external onlyOwner nonReentrant {
+        require(accumulatedFees > 0, "No fees to withdraw");
+        
+        uint256 amount = accumulatedFees;
+        accumulatedFees = 0;
+        
+        payable(owner()).transfer(amount);
+        
+        emit PlatformFeesWithdrawn(owner(), amount);
     }
     
-    // Emergency function
-    function emergencyWithdraw() external onlyOwner {
-        payable(owner()).transfer(address(this).balance);
+    // Emergency function - withdraws everything except creator balances
+    function emergencyWithdraw() external onlyOwner nonReentrant {
+        uint256 amount = address(this).balance - totalCreatorBalances;
+        require(amount > 0, "Nothing to withdraw");
+        
+        accumulatedFees = 0;
+        
+        payable(owner()).transfer(amount);
+        
+        emit PlatformFeesWithdrawn(owner(), amount);
     }
 }
\ No newline at end of file
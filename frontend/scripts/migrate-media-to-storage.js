@@ -0,0 +1,162 @@
+// scripts/migrate-media-to-storage.js
+// One-shot migration: moves base64 data URLs out of posts.image_url and
+// stories.image_url into the Supabase Storage "images" bucket, leaving only
+// the storage path in the column.
+//
+// Usage:
+//   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... node scripts/migrate-media-to-storage.js [--dry-run] [--table posts|stories]
+//
+// The service role key is needed to rewrite rows owned by other users.
+// Only rows that still start with "data:" are touched, so re-running is safe.
+
+const { createClient } = require('@supabase/supabase-js');
+
+const MEDIA_BUCKET = 'images';
+const BATCH_SIZE = 20;
+const TABLES = ['posts', 'stories'];
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov'
+};
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, tables: TABLES };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i] === '--table') {
+      const table = argv[++i];
+      if (!TABLES.includes(table)) {
+        throw new Error(`Unknown table "${table}", expected one of: ${TABLES.join(', ')}`);
+      }
+      args.tables = [table];
+    } else {
+      throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+  }
+
+  return args;
+};
+
+const decodeDataUrl = (dataUrl) => {
+  const match = dataUrl.match(/^data:([^;,]+)(;base64)?,(.*)$/s);
+  if (!match) {
+    throw new Error('Malformed data URL');
+  }
+
+  const [, mimeType, isBase64, payload] = match;
+  const buffer = isBase64
+    ? Buffer.from(payload, 'base64')
+    : Buffer.from(decodeURIComponent(payload), 'utf8');
+
+  return { mimeType, buffer };
+};
+
+const migrateRow = async (supabase, table, row, dryRun) => {
+  const { mimeType, buffer } = decodeDataUrl(row.image_url);
+  const extension = MIME_EXTENSIONS[mimeType] || mimeType.split('/')[1] || 'bin';
+  const path = `${table}/${row.creator_address}/migrated-${row.id}.${extension}`;
+
+  if (dryRun) {
+    console.log(`  [dry-run] ${table}#${row.id} -> ${path} (${buffer.length} bytes, ${mimeType})`);
+    return buffer.length;
+  }
+
+  // upsert so a row whose update failed on a previous run can be retried
+  const { error: uploadError } = await supabase.storage
+    .from(MEDIA_BUCKET)
+    .upload(path, buffer, {
+      contentType: mimeType,
+      cacheControl: '31536000',
+      upsert: true
+    });
+
+  if (uploadError) throw uploadError;
+
+  const { error: updateError } = await supabase
+    .from(table)
+    .update({ image_url: path, file_type: mimeType })
+    .eq('id', row.id);
+
+  if (updateError) throw updateError;
+
+  console.log(`  ${table}#${row.id} -> ${path} (${buffer.length} bytes)`);
+  return buffer.length;
+};
+
+const migrateTable = async (supabase, table, dryRun) => {
+  const stats = { migrated: 0, failed: 0, bytes: 0 };
+  let lastId = 0;
+
+  console.log(`\nMigrating ${table}...`);
+
+  // Keyset pagination on id: migrated rows drop out of the filter, but a
+  // dry run or a failed row would otherwise be fetched again forever
+  for (;;) {
+    const { data: rows, error } = await supabase
+      .from(table)
+      .select('id, creator_address, image_url')
+      .like('image_url', 'data:%')
+      .gt('id', lastId)
+      .order('id', { ascending: true })
+      .limit(BATCH_SIZE);
+
+    if (error) throw error;
+    if (rows.length === 0) break;
+
+    for (const row of rows) {
+      try {
+        stats.bytes += await migrateRow(supabase, table, row, dryRun);
+        stats.migrated++;
+      } catch (error) {
+        stats.failed++;
+        console.error(`  Error migrating ${table}#${row.id}:`, error.message);
+      }
+    }
+
+    lastId = rows[rows.length - 1].id;
+  }
+
+  console.log(`${table}: ${stats.migrated} migrated, ${stats.failed} failed, ${(stats.bytes / 1024 / 1024).toFixed(2)} MB`);
+  return stats;
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !serviceKey) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set');
+  }
+
+  const supabase = createClient(supabaseUrl, serviceKey, {
+    auth: { persistSession: false }
+  });
+
+  if (args.dryRun) {
+    console.log('Dry run: nothing will be uploaded or rewritten');
+  }
+
+  let failed = 0;
+  for (const table of args.tables) {
+    const stats = await migrateTable(supabase, table, args.dryRun);
+    failed += stats.failed;
+  }
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
@@ -9,6 +9,7 @@ import { NotificationsProvider } from './contexts/NotificationsContext';
 import { ToastProvider, useToast } from './contexts/ToastContext';
 import { LikesProvider } from './contexts/LikesContext';
 import { CommentsProvider } from './contexts/CommentsContext';
+import { UnreadMessagesProvider } from './contexts/UnreadMessagesContext';
 
 // Error Boundary
 import ErrorBoundary from './components/ErrorBoundary';
@@ -21,9 +22,14 @@ import Home from './pages/Home';
 import Profile from './pages/Profile';
 import CreatePost from './pages/CreatePost';
 import Earnings from './pages/Earnings';
+import Scheduled from './pages/Scheduled';
 import Messages from './pages/Messages';
 import Search from './pages/Search';
+import Tag from './pages/Tag';
+import Post from './pages/Post';
+import UsernameRedirect from './pages/UsernameRedirect';
 import Notifications from './pages/Notifications';
+import Moderation from './pages/Moderation';
 import UploadTest from './pages/UploadTest';
 import LoginModal from './components/LoginModal';
 import { CreatorSuccessModal } from './components/SuccessModal';
@@ -41,6 +47,9 @@ function AppContent() {
     becomeCreator,
     contract,
     networkId,
+    isAdmin,
+    isAuthenticated,
+    signIn,
     testContractConnection
   } = useWeb3();
   const { toast } = useToast();
@@ -79,6 +88,15 @@ function AppContent() {
     }
   };
 
+  const handleSignIn = async () => {
+    const result = await signIn();
+    if (result.success) {
+      toast.success('Signed in with your wallet');
+    } else {
+      toast.error(result.message);
+    }
+  };
+
   const handleBecomeCreator = async () => {
     console.log('🎯 handleBecomeCreator called');
     
@@ -174,12 +192,27 @@ function AppContent() {
             onConnect={connectWallet}
             onDisconnect={disconnectWallet}
             onBecomeCreator={handleBecomeCreator}
+            isAdmin={isAdmin}
             loading={loading}
           />
           
           {!isCorrectNetwork && account && (
             <NetworkStatus />
           )}
+
+          {account && user && isCorrectNetwork && !isAuthenticated && (
+            <div className="bg-yellow-50 border-b border-yellow-200">
+              <div className="max-w-6xl mx-auto px-4 py-2 flex items-center justify-between text-sm text-yellow-800">
+                <span>Sign a message with your wallet to post, comment and send messages.</span>
+                <button
+                  onClick={handleSignIn}
+                  className="bg-yellow-500 text-white px-3 py-1 rounded-lg font-medium hover:bg-yellow-600 transition-colors"
+                >
+                  Sign in
+                </button>
+              </div>
+            </div>
+          )}
           
           <main className="max-w-6xl mx-auto px-4 py-8">
             {account && user ? (
@@ -247,8 +280,17 @@ function AppContent() {
                   <Earnings /> :
                   <Navigate to="/" />
                 } />
+                <Route path="/scheduled" element={
+                  user.isCreator ?
+                  <Scheduled /> :
+                  <Navigate to="/" />
+                } />
                 <Route path="/messages" element={<Messages />} />
                 <Route path="/search" element={<Search />} />
+                <Route path="/tag/:tag" element={<Tag />} />
+                <Route path="/post/:id" element={<Post />} />
+                <Route path="/u/:username" element={<UsernameRedirect />} />
+                <Route path="/moderation" element={<Moderation />} />
                 {process.env.NODE_ENV === 'development' && (
                   <Route path="/upload-test" element={<UploadTest />} />
                 )}
@@ -262,27 +304,32 @@ function AppContent() {
                 networkError={!isCorrectNetwork && account ? 'Wrong Network' : null}
               />
             ) : (
-              <div className="w-full text-center py-12">
-                <div className="bg-gradient-to-r from-purple-500 to-pink-500 rounded-xl text-white p-8 mx-4 max-w-lg mx-auto">
-                  <div className="text-6xl mb-4">🔐</div>
-                  <h2 className="text-3xl font-bold mb-3">Welcome to SocialWeb3</h2>
-                  <p className="opacity-90 mb-6 text-lg">
-                    Connect your wallet to access your personalized feed and interact with creators
-                  </p>
-                  <button
-                    onClick={connectWallet}
-                    disabled={loading}
-                    className="bg-white text-purple-600 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-lg"
-                  >
-                    {loading ? 'Connecting...' : 'Connect Wallet'}
-                  </button>
-                  <div className="mt-6 text-sm opacity-75 space-y-1">
-                    <p>✓ Follow creators and see their posts</p>
-                    <p>✓ Create and share your own content</p>
-                    <p>✓ Like, comment, and earn rewards</p>
+              <Routes>
+                <Route path="/post/:id" element={<Post viewOnly={true} onConnect={connectWallet} />} />
+                <Route path="*" element={
+                  <div className="w-full text-center py-12">
+                    <div className="bg-gradient-to-r from-purple-500 to-pink-500 rounded-xl text-white p-8 mx-4 max-w-lg mx-auto">
+                      <div className="text-6xl mb-4">🔐</div>
+                      <h2 className="text-3xl font-bold mb-3">Welcome to SocialWeb3</h2>
+                      <p className="opacity-90 mb-6 text-lg">
+                        Connect your wallet to access your personalized feed and interact with creators
+                      </p>
+                      <button
+                        onClick={connectWallet}
+                        disabled={loading}
+                        className="bg-white text-purple-600 px-8 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed text-lg"
+                      >
+                        {loading ? 'Connecting...' : 'Connect Wallet'}
+                      </button>
+                      <div className="mt-6 text-sm opacity-75 space-y-1">
+                        <p>✓ Follow creators and see their posts</p>
+                        <p>✓ Create and share your own content</p>
+                        <p>✓ Like, comment, and earn rewards</p>
+                      </div>
+                    </div>
                   </div>
-                </div>
-              </div>
+                } />
+              </Routes>
             )}
           </main>
 
@@ -316,7 +363,9 @@ function App() {
         <ToastProvider>
           <LikesProvider>
             <CommentsProvider>
-              <AppContent />
+              <UnreadMessagesProvider>
+                <AppContent />
+              </UnreadMessagesProvider>
             </CommentsProvider>
           </LikesProvider>
         </ToastProvider>
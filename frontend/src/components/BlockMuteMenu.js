@@ -0,0 +1,94 @@
+// src/components/BlockMuteMenu.js
+import React, { useState } from 'react';
+import { MoreHorizontal, VolumeX, Volume2, Ban, ShieldCheck, Flag } from 'lucide-react';
+
+// Mute/block dropdown for another user; `blocks` comes from the parent's useBlocks().
+// onReport, when given, adds a report entry (reportLabel) above mute/block.
+const BlockMuteMenu = ({ address, username, blocks, onChange, onReport, reportLabel = 'Report' }) => {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const kind = blocks.getBlockKind(address);
+
+  const run = async (action) => {
+    setBusy(true);
+    const done = await action(address, username);
+    setBusy(false);
+    setOpen(false);
+    if (done && onChange) onChange();
+  };
+
+  const handleBlock = () => {
+    if (window.confirm(`Block ${username}? They won't be able to message you or comment on your posts, and you won't see each other's posts.`)) {
+      run(blocks.block);
+    }
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={busy}
+        className="p-1 text-gray-400 hover:text-gray-600 transition-colors disabled:opacity-50"
+        title="More options"
+      >
+        <MoreHorizontal size={18} />
+      </button>
+
+      {open && (
+        <div className="absolute right-0 top-8 bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-10 min-w-36">
+          {onReport && (
+            <button
+              onClick={() => {
+                setOpen(false);
+                onReport();
+              }}
+              className="flex items-center w-full px-4 py-2 text-sm text-red-600 hover:bg-red-50 transition-colors"
+            >
+              <Flag size={16} className="mr-2" />
+              {reportLabel}
+            </button>
+          )}
+
+          {kind === 'mute' ? (
+            <button
+              onClick={() => run(blocks.unblock)}
+              className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              <Volume2 size={16} className="mr-2" />
+              Unmute
+            </button>
+          ) : kind !== 'block' && (
+            <button
+              onClick={() => run(blocks.mute)}
+              className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              <VolumeX size={16} className="mr-2" />
+              Mute
+            </button>
+          )}
+
+          {kind === 'block' ? (
+            <button
+              onClick={() => run(blocks.unblock)}
+              className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+            >
+              <ShieldCheck size={16} className="mr-2" />
+              Unblock
+            </button>
+          ) : (
+            <button
+              onClick={handleBlock}
+              className="flex items-center w-full px-4 py-2 text-sm text-red-600 hover:bg-red-50 transition-colors"
+            >
+              <Ban size={16} className="mr-2" />
+              Block
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BlockMuteMenu;
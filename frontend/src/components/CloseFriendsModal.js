@@ -0,0 +1,232 @@
+// src/components/CloseFriendsModal.js
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Search as SearchIcon, Star, Users } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+
+const TABS = [
+  { id: 'list', label: 'Your list' },
+  { id: 'followers', label: 'Add from followers' }
+];
+
+// Manage the close friends list that close-friends-only posts and stories are shared with
+const CloseFriendsModal = ({ isOpen, onClose }) => {
+  const { account } = useWeb3();
+  const { toast } = useToast();
+  const [tab, setTab] = useState('list');
+  // friend address -> display name
+  const [friends, setFriends] = useState(new Map());
+  const [followers, setFollowers] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [saving, setSaving] = useState(new Set());
+  // Ignore responses for an older search once the query has changed
+  const requestRef = useRef(0);
+
+  useEffect(() => {
+    if (!isOpen || !account) return;
+
+    setTab('list');
+    setSearch('');
+    SupabaseService.getCloseFriends(account).then(result => {
+      if (result.success) {
+        setFriends(new Map(result.data.map(row => [
+          row.friend_address,
+          row.user?.username || `User${row.friend_address.substring(0, 6)}`
+        ])));
+      }
+    });
+  }, [isOpen, account]);
+
+  useEffect(() => {
+    if (!isOpen || tab !== 'followers') return;
+
+    const timer = setTimeout(() => loadFollowers(0), search ? SEARCH_DEBOUNCE_MS : 0);
+    return () => clearTimeout(timer);
+  }, [isOpen, tab, search]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleKeyDown);
+      return () => document.removeEventListener('keydown', handleKeyDown);
+    }
+  }, [isOpen, onClose]);
+
+  const loadFollowers = async (offset) => {
+    const requestId = ++requestRef.current;
+    setLoading(offset === 0);
+
+    const result = await SupabaseService.listFollows(account, 'followers', {
+      search: search.trim(),
+      limit: PAGE_SIZE,
+      offset
+    });
+
+    if (requestId !== requestRef.current) return;
+
+    if (result.success) {
+      setFollowers(prev => offset === 0 ? result.data : [...prev, ...result.data]);
+      setHasMore(result.data.length === PAGE_SIZE);
+    } else {
+      setHasMore(false);
+    }
+    setLoading(false);
+  };
+
+  const toggleFriend = async (address, username) => {
+    const isFriend = friends.has(address);
+    setSaving(prev => new Set([...prev, address]));
+
+    const result = isFriend
+      ? await SupabaseService.removeCloseFriend(account, address)
+      : await SupabaseService.addCloseFriend(account, address);
+
+    if (result.success) {
+      setFriends(prev => {
+        const updated = new Map(prev);
+        if (isFriend) {
+          updated.delete(address);
+        } else {
+          updated.set(address, username);
+        }
+        return updated;
+      });
+    } else {
+      toast.error('Failed to update close friends: ' + result.error);
+    }
+
+    setSaving(prev => {
+      const updated = new Set(prev);
+      updated.delete(address);
+      return updated;
+    });
+  };
+
+  if (!isOpen) return null;
+
+  const renderRow = (rawAddress, username) => {
+    const address = rawAddress.toLowerCase();
+    const isFriend = friends.has(address);
+    return (
+      <div key={address} className="flex items-center space-x-3">
+        <div className="w-10 h-10 bg-gradient-to-r from-green-400 to-emerald-600 rounded-full flex items-center justify-center flex-shrink-0">
+          <span className="text-white text-sm font-semibold">{username.charAt(0).toUpperCase()}</span>
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="text-sm font-semibold text-gray-900 truncate">{username}</p>
+          <p className="text-xs text-gray-500 truncate">{`${address.substring(0, 6)}...${address.slice(-4)}`}</p>
+        </div>
+        <button
+          onClick={() => toggleFriend(address, username)}
+          disabled={saving.has(address)}
+          className={`flex items-center px-3 py-1.5 rounded-lg text-sm font-medium disabled:opacity-50 transition-colors ${
+            isFriend
+              ? 'bg-green-100 text-green-700 hover:bg-green-200'
+              : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+          }`}
+        >
+          <Star size={14} className={`mr-1 ${isFriend ? 'fill-current' : ''}`} />
+          {isFriend ? 'Remove' : 'Add'}
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl shadow-xl max-w-md w-full max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-bold text-gray-900 flex items-center">
+            <Star size={20} className="mr-2 text-green-600 fill-current" />
+            Close friends ({friends.size})
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={22} />
+          </button>
+        </div>
+
+        <div className="flex border-b border-gray-200">
+          {TABS.map(option => (
+            <button
+              key={option.id}
+              onClick={() => setTab(option.id)}
+              className={`flex-1 py-3 text-sm font-medium transition-colors ${
+                tab === option.id
+                  ? 'text-green-700 border-b-2 border-green-600'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {tab === 'followers' && (
+          <div className="p-4 border-b border-gray-100">
+            <div className="relative">
+              <SearchIcon size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search followers"
+                className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+              />
+            </div>
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {tab === 'list' ? (
+            friends.size === 0 ? (
+              <div className="text-center py-8 text-gray-500">
+                <Users size={28} className="mx-auto mb-2 opacity-50" />
+                <p className="text-sm">Only you can see your list. Add followers to share close friends posts and stories with them.</p>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                {[...friends.entries()].map(([address, username]) => renderRow(address, username))}
+              </div>
+            )
+          ) : loading ? (
+            <p className="text-sm text-gray-500 text-center py-8">Loading...</p>
+          ) : followers.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              <Users size={28} className="mx-auto mb-2 opacity-50" />
+              <p className="text-sm">{search ? 'No matching followers' : 'No followers yet'}</p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {followers.map(entry => renderRow(entry.address, entry.username || `User${entry.address.substring(0, 6)}`))}
+              {hasMore && (
+                <button
+                  onClick={() => loadFollowers(followers.length)}
+                  className="w-full py-2 text-sm text-blue-500 hover:text-blue-600"
+                >
+                  Load more
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CloseFriendsModal;
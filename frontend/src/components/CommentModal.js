@@ -3,18 +3,25 @@ import React, { useState, useEffect, useRef } from 'react';
 import { X, Send, MessageCircle, User } from 'lucide-react';
 import { useComments } from '../contexts/CommentsContext';
 import { useWeb3 } from '../contexts/Web3Context';
+import RichText from './RichText';
+import BlockMuteMenu from './BlockMuteMenu';
+import ReportModal from './ReportModal';
+import useBlocks from '../hooks/useBlocks';
 
 const CommentModal = ({ isOpen, onClose, contentId, contentAuthor }) => {
   const { getComments, addComment, initializeComments, formatTimestamp } = useComments();
   const { account, user } = useWeb3();
+  const blocks = useBlocks();
   
   const [commentText, setCommentText] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
+  const [reportedComment, setReportedComment] = useState(null);
   const modalRef = useRef(null);
   const textareaRef = useRef(null);
   const commentsEndRef = useRef(null);
 
-  const comments = getComments(contentId);
+  // RLS already hides these once requests carry the viewer's address; filter locally too
+  const comments = getComments(contentId).filter(comment => !blocks.getBlockKind(comment.user_address));
 
   // Initialize comments when modal opens
   useEffect(() => {
@@ -37,16 +44,16 @@ const CommentModal = ({ isOpen, onClose, contentId, contentAuthor }) => {
     }
   }, [comments]);
 
-  // Close modal on ESC key
+  // Close modal on ESC key (the report dialog handles its own)
   useEffect(() => {
     const handleKeyDown = (e) => {
       if (e.key === 'Escape') onClose();
     };
-    if (isOpen) {
+    if (isOpen && !reportedComment) {
       document.addEventListener('keydown', handleKeyDown);
       return () => document.removeEventListener('keydown', handleKeyDown);
     }
-  }, [isOpen, onClose]);
+  }, [isOpen, onClose, reportedComment]);
 
   // Handle click outside to close
   useEffect(() => {
@@ -143,12 +150,23 @@ const CommentModal = ({ isOpen, onClose, contentId, contentAuthor }) => {
                       <span className="text-sm font-semibold text-gray-900">
                         {comment.author}
                       </span>
-                      <span className="text-xs text-gray-500">
-                        {formatTimestamp(comment.timestamp)}
-                      </span>
+                      <div className="flex items-center space-x-1">
+                        <span className="text-xs text-gray-500">
+                          {formatTimestamp(comment.timestamp)}
+                        </span>
+                        {account && comment.user_address?.toLowerCase() !== account.toLowerCase() && (
+                          <BlockMuteMenu
+                            address={comment.user_address}
+                            username={comment.author}
+                            blocks={blocks}
+                            onReport={() => setReportedComment(comment)}
+                            reportLabel="Report comment"
+                          />
+                        )}
+                      </div>
                     </div>
                     <p className="text-sm text-gray-700 leading-relaxed">
-                      {comment.text}
+                      <RichText text={comment.text} />
                     </p>
                   </div>
                   
@@ -231,6 +249,15 @@ const CommentModal = ({ isOpen, onClose, contentId, contentAuthor }) => {
             </div>
           )}
         </div>
+
+        {/* Inside modalRef so clicks in the dialog don't count as outside clicks */}
+        <ReportModal
+          isOpen={!!reportedComment}
+          onClose={() => setReportedComment(null)}
+          targetType="comment"
+          targetId={reportedComment?.id}
+          targetOwner={reportedComment?.user_address}
+        />
       </div>
 
       {/* Custom CSS for animations */}
@@ -0,0 +1,253 @@
+// src/components/FollowListModal.js
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { X, Search as SearchIcon, Users } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import SupabaseService from '../services/supabaseService';
+import useFollow from '../hooks/useFollow';
+import { resolveMediaUrl } from '../utils/mediaUrl';
+
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Followers or following of `address`, listType is 'followers' or 'following'.
+// The list comes from the contract, like the counts on the profile; only
+// deployments that can't list follows fall back to the Supabase mirror.
+const FollowListModal = ({ isOpen, onClose, address, listType, onFollowChange }) => {
+  const { account, getMediaUrl } = useWeb3();
+  const { follow, unfollow, getFollowList, getFollowingAddresses } = useFollow();
+  // Addresses from the contract, newest first; undefined while loading, null when unavailable
+  const [chainList, setChainList] = useState(undefined);
+  const [entries, setEntries] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [viewerFollowing, setViewerFollowing] = useState(new Set());
+  const [followLoading, setFollowLoading] = useState(new Set());
+  // Ignore responses for an older search once the query has changed
+  const requestRef = useRef(0);
+
+  const title = listType === 'followers' ? 'Followers' : 'Following';
+
+  // Who the viewer follows, for the inline buttons
+  useEffect(() => {
+    if (!isOpen || !account) return;
+
+    getFollowingAddresses().then(following => setViewerFollowing(new Set(following)));
+  }, [isOpen, account]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setChainList(undefined);
+      return;
+    }
+
+    let cancelled = false;
+    getFollowList(address, listType).then(list => {
+      if (!cancelled) setChainList(list ? [...list].reverse() : null);
+    });
+    return () => { cancelled = true; };
+  }, [isOpen, address, listType]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setSearch('');
+      setEntries([]);
+      return;
+    }
+    if (chainList === undefined) return;
+
+    const timer = setTimeout(() => loadPage(0), search ? SEARCH_DEBOUNCE_MS : 0);
+    return () => clearTimeout(timer);
+  }, [isOpen, chainList, search]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleKeyDown);
+      return () => document.removeEventListener('keydown', handleKeyDown);
+    }
+  }, [isOpen, onClose]);
+
+  const loadPage = async (offset) => {
+    const requestId = ++requestRef.current;
+    if (offset === 0) {
+      setLoading(true);
+    } else {
+      setLoadingMore(true);
+    }
+
+    const options = { search: search.trim(), limit: PAGE_SIZE, offset };
+    const result = chainList
+      ? await SupabaseService.listProfiles(chainList, options)
+      : await SupabaseService.listFollows(address, listType, options);
+
+    if (requestId !== requestRef.current) return;
+
+    if (result.success) {
+      setEntries(prev => offset === 0 ? result.data : [...prev, ...result.data]);
+      setHasMore(result.data.length === PAGE_SIZE);
+    } else {
+      setHasMore(false);
+    }
+
+    setLoading(false);
+    setLoadingMore(false);
+  };
+
+  const handleFollowToggle = async (entryAddress) => {
+    const isFollowing = viewerFollowing.has(entryAddress);
+    setFollowLoading(prev => new Set([...prev, entryAddress]));
+
+    const done = isFollowing ? await unfollow(entryAddress) : await follow(entryAddress);
+    if (done) {
+      setViewerFollowing(prev => {
+        const updated = new Set(prev);
+        if (isFollowing) {
+          updated.delete(entryAddress);
+        } else {
+          updated.add(entryAddress);
+        }
+        return updated;
+      });
+      if (onFollowChange) onFollowChange();
+    }
+
+    setFollowLoading(prev => {
+      const updated = new Set(prev);
+      updated.delete(entryAddress);
+      return updated;
+    });
+  };
+
+  const avatarUrl = (entry) => {
+    if (!entry.profile_image) return null;
+    return resolveMediaUrl(entry.profile_image) || getMediaUrl(entry.profile_image);
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl shadow-xl max-w-md w-full max-h-[80vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-bold text-gray-900">{title}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={22} />
+          </button>
+        </div>
+
+        <div className="p-4 border-b border-gray-100">
+          <div className="relative">
+            <SearchIcon size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search"
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm"
+            />
+          </div>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4">
+          {chainList === null && (
+            <p className="text-xs text-gray-500 mb-3">
+              This list is synced from the app and may not match the count on the profile.
+            </p>
+          )}
+
+          {loading || chainList === undefined ? (
+            <div className="space-y-3 animate-pulse">
+              {[1, 2, 3].map(i => (
+                <div key={i} className="flex items-center space-x-3">
+                  <div className="w-10 h-10 bg-gray-200 rounded-full"></div>
+                  <div className="flex-1 h-3 bg-gray-200 rounded w-24"></div>
+                </div>
+              ))}
+            </div>
+          ) : entries.length === 0 ? (
+            <div className="text-center py-8 text-gray-500">
+              <Users size={28} className="mx-auto mb-2 opacity-50" />
+              <p className="text-sm">
+                {search ? 'No matching accounts' : listType === 'followers' ? 'No followers yet' : 'Not following anyone yet'}
+              </p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {entries.map(entry => {
+                const username = entry.username || `User${entry.address.substring(0, 6)}`;
+                const isSelf = account && entry.address === account.toLowerCase();
+                const isFollowing = viewerFollowing.has(entry.address);
+                const avatar = avatarUrl(entry);
+
+                return (
+                  <div key={entry.address} className="flex items-center space-x-3">
+                    <Link to={`/profile/${entry.address}`} onClick={onClose} className="flex items-center space-x-3 flex-1 min-w-0">
+                      <div className="w-10 h-10 bg-gradient-to-r from-blue-500 to-purple-600 rounded-full flex items-center justify-center overflow-hidden flex-shrink-0">
+                        {avatar ? (
+                          <img src={avatar} alt={`${username}'s avatar`} className="w-full h-full object-cover" />
+                        ) : (
+                          <span className="text-white text-sm font-semibold">{username.charAt(0).toUpperCase()}</span>
+                        )}
+                      </div>
+                      <div className="min-w-0">
+                        <div className="flex items-center space-x-1">
+                          <span className="text-sm font-semibold text-gray-900 truncate">{username}</span>
+                          {entry.is_creator && (
+                            <span className="text-xs bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded-full font-medium">
+                              Creator
+                            </span>
+                          )}
+                        </div>
+                        <p className="text-xs text-gray-500 truncate">
+                          {entry.bio || `${entry.address.substring(0, 6)}...${entry.address.slice(-4)}`}
+                        </p>
+                      </div>
+                    </Link>
+
+                    {account && !isSelf && (
+                      <button
+                        onClick={() => handleFollowToggle(entry.address)}
+                        disabled={followLoading.has(entry.address)}
+                        className={`text-xs font-semibold px-3 py-1.5 rounded-lg transition-colors disabled:opacity-50 ${
+                          isFollowing
+                            ? 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                            : 'bg-blue-500 text-white hover:bg-blue-600'
+                        }`}
+                      >
+                        {followLoading.has(entry.address) ? '...' : isFollowing ? 'Following' : 'Follow'}
+                      </button>
+                    )}
+                  </div>
+                );
+              })}
+
+              {hasMore && (
+                <button
+                  onClick={() => loadPage(entries.length)}
+                  disabled={loadingMore}
+                  className="w-full py-2 text-sm text-blue-500 hover:text-blue-600 font-medium disabled:opacity-50"
+                >
+                  {loadingMore ? 'Loading...' : 'Load more'}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FollowListModal;
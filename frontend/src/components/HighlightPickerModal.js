@@ -0,0 +1,146 @@
+// src/components/HighlightPickerModal.js
+import React, { useState, useEffect } from 'react';
+import { X, Plus, Bookmark } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+import { resolveMediaUrl, isVideoUrl } from '../utils/mediaUrl';
+
+export const HIGHLIGHT_TITLE_MAX = 30;
+
+// Pin one of the user's own stories into an existing or new highlight
+const HighlightPickerModal = ({ isOpen, onClose, story }) => {
+  const { account } = useWeb3();
+  const { toast } = useToast();
+  const [highlights, setHighlights] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newTitle, setNewTitle] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || !account) return;
+
+    setNewTitle('');
+    setLoading(true);
+    SupabaseService.getStoryHighlights(account).then(result => {
+      setHighlights(result.success ? result.data : []);
+      setLoading(false);
+    });
+  }, [isOpen, account]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleKeyDown);
+      return () => document.removeEventListener('keydown', handleKeyDown);
+    }
+  }, [isOpen, onClose]);
+
+  const handleAdd = async (highlight) => {
+    setSaving(true);
+    const result = await SupabaseService.addStoryToHighlight(highlight.id, account, story);
+    setSaving(false);
+
+    if (result.success) {
+      toast.success(`Added to ${highlight.title}`);
+      onClose();
+    } else {
+      toast.error('Failed to add to highlight: ' + result.error);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newTitle.trim()) return;
+
+    setSaving(true);
+    const result = await SupabaseService.createStoryHighlight(account, newTitle, story, highlights.length);
+    setSaving(false);
+
+    if (result.success) {
+      toast.success(`Created highlight ${result.data.title}`);
+      onClose();
+    } else {
+      toast.error('Failed to create highlight: ' + result.error);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl shadow-xl w-full max-w-sm"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900 flex items-center">
+            <Bookmark size={20} className="mr-2" />
+            Add to highlight
+          </h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 transition-colors">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="max-h-72 overflow-y-auto">
+          {loading ? (
+            <p className="p-4 text-sm text-gray-500 text-center">Loading...</p>
+          ) : highlights.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500 text-center">No highlights yet</p>
+          ) : (
+            highlights.map(highlight => {
+              const coverUrl = resolveMediaUrl(highlight.cover_image_url || highlight.items[0]?.image_url);
+              const alreadyAdded = highlight.items.some(item => item.story_id === story.id);
+              return (
+                <button
+                  key={highlight.id}
+                  onClick={() => handleAdd(highlight)}
+                  disabled={saving || alreadyAdded}
+                  className="w-full flex items-center space-x-3 px-4 py-3 hover:bg-gray-50 disabled:opacity-50 transition-colors text-left"
+                >
+                  <div className="w-10 h-10 rounded-full overflow-hidden bg-gray-200 flex-shrink-0">
+                    {coverUrl && (
+                      isVideoUrl(coverUrl)
+                        ? <video src={coverUrl} muted preload="metadata" className="w-full h-full object-cover" />
+                        : <img src={coverUrl} alt={highlight.title} className="w-full h-full object-cover" />
+                    )}
+                  </div>
+                  <span className="flex-1 font-medium text-gray-900 truncate">{highlight.title}</span>
+                  {alreadyAdded && <span className="text-xs text-gray-500">Added</span>}
+                </button>
+              );
+            })
+          )}
+        </div>
+
+        <form onSubmit={handleCreate} className="flex items-center space-x-2 p-4 border-t border-gray-200">
+          <input
+            type="text"
+            value={newTitle}
+            onChange={(e) => setNewTitle(e.target.value)}
+            maxLength={HIGHLIGHT_TITLE_MAX}
+            placeholder="New highlight name"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={!newTitle.trim() || saving}
+            className="flex items-center bg-blue-500 text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-blue-600 disabled:opacity-50 transition-colors"
+          >
+            <Plus size={16} className="mr-1" />
+            Create
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default HighlightPickerModal;
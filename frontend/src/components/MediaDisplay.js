@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { Lock, Play, ImageIcon } from 'lucide-react';
 import { useWeb3 } from '../contexts/Web3Context';
+import { resolveMediaUrl, isVideoUrl } from '../utils/mediaUrl';
 
 const MediaDisplay = React.memo(({ fileId, isLocked = false, onImageClick }) => {
   const [imageLoaded, setImageLoaded] = useState(false);
@@ -11,7 +12,8 @@ const MediaDisplay = React.memo(({ fileId, isLocked = false, onImageClick }) =>
   // Memoize media URL to prevent unnecessary re-calculations
   const mediaUrl = useMemo(() => {
     if (!fileId) return null;
-    return getMediaUrl(fileId);
+    // Storage paths and data URLs resolve directly; anything else is a localStorage media id
+    return resolveMediaUrl(fileId) || getMediaUrl(fileId);
   }, [fileId, getMediaUrl]);
 
   // Reset loading states when fileId changes
@@ -20,9 +22,9 @@ const MediaDisplay = React.memo(({ fileId, isLocked = false, onImageClick }) =>
     setImageError(false);
   }, [fileId]);
 
-  // Determine if content is video based on data URL
+  // Determine if content is video based on data URL or file extension
   useEffect(() => {
-    if (mediaUrl && mediaUrl.startsWith('data:video/')) {
+    if (isVideoUrl(mediaUrl)) {
       setIsVideo(true);
     } else {
       setIsVideo(false);
@@ -1,12 +1,26 @@
 // src/components/Navbar.js
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { Search, Home, MessageCircle, User, PlusSquare, DollarSign, LogOut } from 'lucide-react';
+import { Search, Home, MessageCircle, User, PlusSquare, DollarSign, LogOut, Shield } from 'lucide-react';
 import NotificationDropdown from './NotificationDropdown';
+import { useUnreadMessages } from '../contexts/UnreadMessagesContext';
 
-const Navbar = ({ user, account, onConnect, onDisconnect, onBecomeCreator, loading }) => {
+// Nav icon with an optional unread count bubble
+const NavIcon = ({ icon: Icon, badge }) => (
+  <span className="relative">
+    <Icon size={20} />
+    {badge > 0 && (
+      <span className="absolute -top-2 -right-2 bg-red-500 text-white text-xs rounded-full h-4 min-w-4 px-1 flex items-center justify-center font-medium">
+        {badge > 9 ? '9+' : badge}
+      </span>
+    )}
+  </span>
+);
+
+const Navbar = ({ user, account, onConnect, onDisconnect, onBecomeCreator, isAdmin, loading }) => {
   const location = useLocation();
   const [showUserMenu, setShowUserMenu] = useState(false);
+  const { unreadCount: unreadMessages } = useUnreadMessages();
 
   const formatAddress = (address) => {
     if (!address) return '';
@@ -16,7 +30,7 @@ const Navbar = ({ user, account, onConnect, onDisconnect, onBecomeCreator, loadi
   const navItems = [
     { icon: Home, label: 'Home', path: '/' },
     { icon: Search, label: 'Search', path: '/search' },
-    { icon: MessageCircle, label: 'Messages', path: '/messages' },
+    { icon: MessageCircle, label: 'Messages', path: '/messages', badge: unreadMessages },
   ];
 
   if (user?.isCreator) {
@@ -56,7 +70,7 @@ const Navbar = ({ user, account, onConnect, onDisconnect, onBecomeCreator, loadi
                         : 'text-gray-600 hover:text-gray-900 hover:bg-gray-50'
                     }`}
                   >
-                    <Icon size={20} />
+                    <NavIcon icon={Icon} badge={item.badge} />
                     <span className="font-medium">{item.label}</span>
                   </Link>
                 );
@@ -98,6 +112,17 @@ const Navbar = ({ user, account, onConnect, onDisconnect, onBecomeCreator, loadi
                       <User size={16} />
                       <span>Profile</span>
                     </Link>
+
+                    {isAdmin && (
+                      <Link
+                        to="/moderation"
+                        onClick={() => setShowUserMenu(false)}
+                        className="flex items-center space-x-2 px-4 py-2 text-gray-700 hover:bg-gray-50"
+                      >
+                        <Shield size={16} />
+                        <span>Moderation</span>
+                      </Link>
+                    )}
                     
                     {!user.isCreator && (
                       <div className="border-t border-gray-100 my-1">
@@ -163,7 +188,7 @@ const Navbar = ({ user, account, onConnect, onDisconnect, onBecomeCreator, loadi
                         : 'text-gray-600 hover:text-gray-900'
                     }`}
                   >
-                    <Icon size={20} />
+                    <NavIcon icon={Icon} badge={item.badge} />
                     <span className="text-xs font-medium">{item.label}</span>
                   </Link>
                 );
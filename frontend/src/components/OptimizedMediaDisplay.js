@@ -5,6 +5,7 @@ import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { Lock, Play, ImageIcon } from 'lucide-react';
 import { useLazyImage } from '../hooks/useLazyImage';
 import imageCache from '../utils/imageCache';
+import { isVideoUrl } from '../utils/mediaUrl';
 
 const OptimizedMediaDisplay = React.memo(({
   fileId,
@@ -73,7 +74,7 @@ const OptimizedMediaDisplay = React.memo(({
 
   // Detect video content
   useEffect(() => {
-    if (finalImageUrl && finalImageUrl.startsWith('data:video/')) {
+    if (isVideoUrl(finalImageUrl)) {
       setIsVideo(true);
     } else {
       setIsVideo(false);
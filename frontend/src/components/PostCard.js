@@ -4,6 +4,8 @@ import { ethers } from 'ethers';
 import LikeButton from './LikeButton';
 import CommentButton from './CommentButton';
 import ShareButton from './ShareButton';
+import TipButton from './TipButton';
+import RichText from './RichText';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useToast } from '../contexts/ToastContext';
 
@@ -162,8 +164,17 @@ const PostCard = ({ content, user, onBuyContent, hasAccess, onDeleteContent }) =
             </div>
           </div>
         )}
+      </div>
+
+      {content.description && (
+        <div className="px-4 pb-3">
+          <p className="text-gray-700">
+            <RichText text={content.description} />
+          </p>
+        </div>
+      )}
 
-        {/* Actions */}
+      {/* Actions */}
       <div className="p-4 border-t border-gray-100">
         <div className="flex items-center justify-between">
           <div className="flex space-x-4">
@@ -180,6 +191,14 @@ const PostCard = ({ content, user, onBuyContent, hasAccess, onDeleteContent }) =
               contentDescription="Amazing content on SocialWeb3"
               showLabel={true}
             />
+
+            <TipButton
+              creatorAddress={content.creator}
+              creatorName={content.creatorData?.username}
+              contentId={content.contentId}
+              postId={content.id}
+              showLabel={true}
+            />
           </div>
           
           {content.isPaid && (
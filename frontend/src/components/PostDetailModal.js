@@ -6,6 +6,8 @@ import { useToast } from '../contexts/ToastContext';
 import { useComments } from '../contexts/CommentsContext';
 import LikeButton from './LikeButton';
 import ShareButton from './ShareButton';
+import RichText from './RichText';
+import { isVideoUrl } from '../utils/mediaUrl';
 
 const PostDetailModal = ({ isOpen, onClose, content }) => {
   const { user, getMediaUrl } = useWeb3();
@@ -96,7 +98,7 @@ const PostDetailModal = ({ isOpen, onClose, content }) => {
     displayUrl = content.content;
   }
 
-  const isVideo = displayUrl && displayUrl.startsWith('data:video/');
+  const isVideo = isVideoUrl(displayUrl);
 
 
   return (
@@ -220,6 +222,12 @@ const PostDetailModal = ({ isOpen, onClose, content }) => {
           <div className="flex-1 flex flex-col">
             {/* Comments List */}
             <div className="flex-1 overflow-y-auto px-4 py-2">
+              {content.description && (
+                <div className="text-sm pb-3 mb-3 border-b border-gray-50">
+                  <span className="font-semibold text-gray-900 mr-2">{content.creatorData?.username || 'Unknown'}</span>
+                  <RichText text={content.description} className="text-gray-800" />
+                </div>
+              )}
               {contentComments.length === 0 ? (
                 <div className="text-center py-12 text-gray-400">
                   <MessageCircle size={28} className="mx-auto mb-3 opacity-40" />
@@ -238,7 +246,7 @@ const PostDetailModal = ({ isOpen, onClose, content }) => {
                       <div className="flex-1 min-w-0">
                         <div className="text-sm">
                           <span className="font-semibold text-gray-900 mr-2">{comment.author}</span>
-                          <span className="text-gray-800">{comment.text}</span>
+                          <RichText text={comment.text} className="text-gray-800" />
                         </div>
                         <div className="flex items-center space-x-4 mt-1">
                           <span className="text-xs text-gray-500">{formatTimeAgo(comment.timestamp)}</span>
@@ -0,0 +1,146 @@
+// src/components/ReportModal.js
+import React, { useState, useEffect } from 'react';
+import { X, Flag } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam' },
+  { value: 'harassment', label: 'Harassment or bullying' },
+  { value: 'nudity', label: 'Non-consensual or illegal nudity' },
+  { value: 'violence', label: 'Violence or threats' },
+  { value: 'scam', label: 'Scam or fraud' },
+  { value: 'other', label: 'Something else' }
+];
+
+// How each target type reads in report and moderation text
+export const targetLabel = (targetType) => (targetType === 'highlight_item' ? 'highlighted story' : targetType);
+
+// Report a post, comment, story, message or highlight item (targetType) to the moderators
+const ReportModal = ({ isOpen, onClose, targetType, targetId, targetOwner }) => {
+  const { account } = useWeb3();
+  const { toast } = useToast();
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setReason('');
+      setDetails('');
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    if (isOpen) {
+      document.addEventListener('keydown', handleKeyDown);
+      return () => document.removeEventListener('keydown', handleKeyDown);
+    }
+  }, [isOpen, onClose]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason || !account) return;
+
+    setSubmitting(true);
+    const result = await SupabaseService.createReport({
+      reporter_address: account.toLowerCase(),
+      target_type: targetType,
+      target_id: String(targetId),
+      target_owner_address: targetOwner ? targetOwner.toLowerCase() : null,
+      reason,
+      details: details.trim() || null
+    });
+    setSubmitting(false);
+
+    if (!result.success) {
+      toast.error('Failed to send report: ' + result.error);
+      return;
+    }
+
+    toast.success('Thanks, the moderators will review your report');
+    onClose();
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl shadow-xl max-w-md w-full"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-bold text-gray-900 flex items-center">
+            <Flag size={18} className="mr-2 text-red-500" />
+            Report {targetLabel(targetType)}
+          </h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X size={22} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-4 space-y-4">
+          <p className="text-sm text-gray-600">Why are you reporting this {targetLabel(targetType)}?</p>
+
+          <div className="space-y-2">
+            {REPORT_REASONS.map(option => (
+              <label
+                key={option.value}
+                className={`flex items-center px-3 py-2 rounded-lg border cursor-pointer transition-colors ${
+                  reason === option.value ? 'border-red-400 bg-red-50' : 'border-gray-200 hover:bg-gray-50'
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="report-reason"
+                  value={option.value}
+                  checked={reason === option.value}
+                  onChange={() => setReason(option.value)}
+                  className="mr-3"
+                />
+                <span className="text-sm text-gray-800">{option.label}</span>
+              </label>
+            ))}
+          </div>
+
+          <textarea
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            placeholder="Add details (optional)"
+            rows={3}
+            maxLength={500}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent text-sm resize-none"
+          />
+
+          <div className="flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="px-4 py-2 text-sm text-gray-600 hover:text-gray-800"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={!reason || submitting}
+              className="bg-red-500 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-red-600 disabled:opacity-50 transition-colors"
+            >
+              {submitting ? 'Sending...' : 'Send report'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ReportModal;
@@ -0,0 +1,45 @@
+// src/components/RichText.js
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { tokenizeText, normalizeTag } from '../utils/textParsing';
+
+// Renders post and comment text with #hashtags and @mentions as links
+const RichText = ({ text, className = "" }) => {
+  const tokens = tokenizeText(text);
+
+  return (
+    <span className={`whitespace-pre-wrap break-words ${className}`}>
+      {tokens.map((token, index) => {
+        if (token.type === 'hashtag') {
+          return (
+            <Link
+              key={index}
+              to={`/tag/${normalizeTag(token.value)}`}
+              onClick={(e) => e.stopPropagation()}
+              className="text-blue-600 hover:underline"
+            >
+              #{token.value}
+            </Link>
+          );
+        }
+
+        if (token.type === 'mention') {
+          return (
+            <Link
+              key={index}
+              to={`/u/${token.value}`}
+              onClick={(e) => e.stopPropagation()}
+              className="text-blue-600 font-medium hover:underline"
+            >
+              @{token.value}
+            </Link>
+          );
+        }
+
+        return <React.Fragment key={index}>{token.value}</React.Fragment>;
+      })}
+    </span>
+  );
+};
+
+export default RichText;
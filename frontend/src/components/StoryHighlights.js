@@ -0,0 +1,329 @@
+// src/components/StoryHighlights.js
+import React, { useState, useEffect, useRef } from 'react';
+import { X, Pencil, ChevronLeft, ChevronRight, Trash2, Upload, Check } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+import StoryViewer from './StoryViewer';
+import { HIGHLIGHT_TITLE_MAX } from './HighlightPickerModal';
+import { uploadImage } from '../services/api';
+import { resolveMediaUrl, isVideoUrl } from '../utils/mediaUrl';
+
+const coverPath = (highlight) => highlight.cover_image_url || highlight.items[0]?.image_url;
+
+// Covers and items may be video stories
+const Thumbnail = ({ url, alt }) => (
+  isVideoUrl(url)
+    ? <video src={url} muted preload="metadata" className="w-full h-full object-cover" />
+    : <img src={url} alt={alt} className="w-full h-full object-cover" />
+);
+
+// Highlight item -> the story shape StoryViewer plays
+const toViewerStory = (item, ownerAddress, username) => ({
+  id: item.story_id,
+  itemId: item.id, // Reports on highlights target the item
+  creator: ownerAddress,
+  creatorData: {
+    username,
+    address: ownerAddress
+  },
+  content: resolveMediaUrl(item.image_url),
+  imageUrl: item.image_url,
+  audience: item.audience,
+  timestamp: Math.floor(new Date(item.story_created_at || item.added_at).getTime() / 1000),
+  expiryTime: null
+});
+
+// Rename, re-cover, reorder or delete one of the owner's highlights
+const HighlightEditModal = ({ highlight, isFirst, isLast, onMove, onClose, onChange }) => {
+  const { account } = useWeb3();
+  const { toast } = useToast();
+  const [title, setTitle] = useState(highlight.title);
+  const [cover, setCover] = useState(coverPath(highlight));
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const handleUploadCover = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      toast.error('Please choose an image');
+      return;
+    }
+
+    try {
+      setUploading(true);
+      setCover(await uploadImage(file, `highlights/${account}`));
+    } catch (error) {
+      toast.error('Failed to upload cover');
+    } finally {
+      setUploading(false);
+      e.target.value = '';
+    }
+  };
+
+  const handleSave = async () => {
+    if (!title.trim()) return;
+
+    setSaving(true);
+    const result = await SupabaseService.updateStoryHighlight(highlight.id, account, {
+      title: title.trim(),
+      cover_image_url: cover
+    });
+    setSaving(false);
+
+    if (result.success) {
+      toast.success('Highlight updated');
+      onChange();
+      onClose();
+    } else {
+      toast.error('Failed to update highlight: ' + result.error);
+    }
+  };
+
+  const handleRemoveItem = async (item) => {
+    const result = await SupabaseService.removeStoryHighlightItem(item.id, account);
+    if (result.success) {
+      if (cover === item.image_url) setCover(null);
+      onChange();
+    } else {
+      toast.error('Failed to remove story: ' + result.error);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the highlight "${highlight.title}"?`)) return;
+
+    const result = await SupabaseService.deleteStoryHighlight(highlight.id, account);
+    if (result.success) {
+      toast.success('Highlight deleted');
+      onChange();
+      onClose();
+    } else {
+      toast.error('Failed to delete highlight: ' + result.error);
+    }
+  };
+
+  const coverUrl = resolveMediaUrl(cover || highlight.items[0]?.image_url);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <div
+        className="bg-white rounded-xl shadow-xl w-full max-w-md max-h-[90vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between p-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-gray-900">Edit highlight</h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700 transition-colors">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-4 space-y-4">
+          <div className="flex items-center space-x-4">
+            <div className="w-20 h-20 rounded-full overflow-hidden bg-gray-200 flex-shrink-0">
+              {coverUrl && <Thumbnail url={coverUrl} alt="Cover" />}
+            </div>
+            <div className="flex-1 space-y-2">
+              <input
+                type="text"
+                value={title}
+                onChange={(e) => setTitle(e.target.value)}
+                maxLength={HIGHLIGHT_TITLE_MAX}
+                placeholder="Highlight name"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={uploading}
+                className="flex items-center text-sm text-blue-500 hover:text-blue-600 disabled:opacity-50"
+              >
+                <Upload size={14} className="mr-1" />
+                {uploading ? 'Uploading...' : 'Upload cover'}
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="image/*"
+                onChange={handleUploadCover}
+                className="hidden"
+              />
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Stories · tap one to use it as the cover</p>
+            <div className="grid grid-cols-4 gap-2">
+              {highlight.items.map(item => (
+                <div key={item.id} className="relative group">
+                  <button
+                    onClick={() => setCover(item.image_url)}
+                    className={`block w-full aspect-[9/16] rounded-lg overflow-hidden border-2 ${
+                      cover === item.image_url ? 'border-blue-500' : 'border-transparent'
+                    }`}
+                  >
+                    <Thumbnail url={resolveMediaUrl(item.image_url)} alt="Story" />
+                  </button>
+                  <button
+                    onClick={() => handleRemoveItem(item)}
+                    className="absolute top-1 right-1 bg-black bg-opacity-60 text-white rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity"
+                    title="Remove from highlight"
+                  >
+                    <X size={12} />
+                  </button>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between p-4 border-t border-gray-200">
+          <div className="flex items-center space-x-1">
+            <button
+              onClick={() => onMove(-1)}
+              disabled={isFirst}
+              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-30 transition-colors"
+              title="Move earlier"
+            >
+              <ChevronLeft size={18} />
+            </button>
+            <button
+              onClick={() => onMove(1)}
+              disabled={isLast}
+              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg disabled:opacity-30 transition-colors"
+              title="Move later"
+            >
+              <ChevronRight size={18} />
+            </button>
+            <button
+              onClick={handleDelete}
+              className="p-2 text-red-500 hover:bg-red-50 rounded-lg transition-colors"
+              title="Delete highlight"
+            >
+              <Trash2 size={18} />
+            </button>
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={!title.trim() || saving || uploading}
+            className="flex items-center bg-blue-500 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-blue-600 disabled:opacity-50 transition-colors"
+          >
+            <Check size={16} className="mr-1" />
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Row of highlight circles on a profile; they outlive the stories' 24h expiry
+const StoryHighlights = ({ ownerAddress, username, isOwnProfile }) => {
+  const { toast } = useToast();
+  const [highlights, setHighlights] = useState([]);
+  const [playing, setPlaying] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  useEffect(() => {
+    if (ownerAddress) {
+      loadHighlights();
+    }
+  }, [ownerAddress]);
+
+  const loadHighlights = async () => {
+    const result = await SupabaseService.getStoryHighlights(ownerAddress);
+    if (result.success) {
+      setHighlights(result.data);
+    }
+  };
+
+  const moveHighlight = async (index, offset) => {
+    const reordered = [...highlights];
+    const [moved] = reordered.splice(index, 1);
+    reordered.splice(index + offset, 0, moved);
+    setHighlights(reordered);
+
+    const result = await SupabaseService.reorderStoryHighlights(reordered.map(highlight => highlight.id));
+    if (!result.success) {
+      toast.error('Failed to reorder highlights');
+      loadHighlights();
+    }
+  };
+
+  // Highlights whose stories were all removed have nothing to show visitors
+  const visible = highlights.filter(highlight => isOwnProfile || highlight.items.length > 0);
+  if (visible.length === 0) return null;
+
+  const editingIndex = highlights.findIndex(highlight => highlight.id === editingId);
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4 mb-6">
+      <div className="flex items-start space-x-4 overflow-x-auto pb-2">
+        {visible.map(highlight => {
+          const coverUrl = resolveMediaUrl(coverPath(highlight));
+          return (
+            <div key={highlight.id} className="relative flex-shrink-0 text-center group">
+              <button
+                onClick={() => highlight.items.length > 0 && setPlaying(highlight)}
+                className="block hover:scale-105 transition-transform"
+              >
+                <div className="w-16 h-16 rounded-full p-0.5 bg-gray-300">
+                  <div className="w-full h-full rounded-full overflow-hidden bg-gray-100 border-2 border-white">
+                    {coverUrl && <Thumbnail url={coverUrl} alt={highlight.title} />}
+                  </div>
+                </div>
+              </button>
+              <p className="text-xs mt-1 text-gray-700 max-w-16 truncate">{highlight.title}</p>
+              {isOwnProfile && (
+                <button
+                  onClick={() => setEditingId(highlight.id)}
+                  className="absolute -top-1 -right-1 bg-white border border-gray-200 text-gray-600 rounded-full p-1 opacity-0 group-hover:opacity-100 transition-opacity hover:bg-gray-50"
+                  title="Edit highlight"
+                >
+                  <Pencil size={12} />
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {playing && (
+        <StoryViewer
+          stories={playing.items.map(item => toViewerStory(item, ownerAddress, username))}
+          initialIndex={0}
+          isOpen={!!playing}
+          onClose={() => setPlaying(null)}
+          highlightTitle={playing.title}
+        />
+      )}
+
+      {editingIndex !== -1 && (
+        <HighlightEditModal
+          highlight={highlights[editingIndex]}
+          isFirst={editingIndex === 0}
+          isLast={editingIndex === highlights.length - 1}
+          onMove={(offset) => moveHighlight(editingIndex, offset)}
+          onClose={() => setEditingId(null)}
+          onChange={loadHighlights}
+        />
+      )}
+    </div>
+  );
+};
+
+export default StoryHighlights;
@@ -1,28 +1,158 @@
 // src/components/StoryViewer.js
-import React, { useState, useEffect, useCallback } from 'react';
-import { X, ChevronLeft, ChevronRight, Heart, MessageCircle, Share } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { X, ChevronLeft, ChevronRight, Send, Share, Eye, Flag, Bookmark, Volume2, VolumeX, Star } from 'lucide-react';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+import ReportModal from './ReportModal';
+import HighlightPickerModal from './HighlightPickerModal';
+import { isVideoUrl } from '../utils/mediaUrl';
 
-const StoryViewer = ({ stories, initialIndex, isOpen, onClose }) => {
-  const { getMediaUrl } = useWeb3();
+// Must match the CHECK constraint on story_reactions.emoji
+export const STORY_REACTIONS = ['❤️', '😂', '😮', '😢', '🔥', '👏'];
+
+const STORY_DURATION = 5000; // 5 seconds per image story
+const MAX_VIDEO_STORY_SECONDS = 60; // Longer videos move on after this
+// Pressing longer than this pauses instead of navigating
+const HOLD_DELAY_MS = 200;
+
+const formatViewedAt = (viewedAt) => {
+  const diff = Math.floor((Date.now() - new Date(viewedAt).getTime()) / 1000);
+  if (diff < 60) return 'Just now';
+  if (diff < 3600) return `${Math.floor(diff / 60)}m ago`;
+  return `${Math.floor(diff / 3600)}h ago`;
+};
+
+// Creator-only "seen by" sheet with reaction counts
+const StoryViewersSheet = ({ viewers, reactionCounts, loading, onClose }) => (
+  <div className="absolute inset-x-0 bottom-0 max-h-[60%] bg-white rounded-t-xl z-30 flex flex-col">
+    <div className="flex items-center justify-between p-4 border-b border-gray-200">
+      <h3 className="font-semibold text-gray-900">Seen by {viewers.length}</h3>
+      <button onClick={onClose} className="text-gray-500 hover:text-gray-700 transition-colors">
+        <X size={20} />
+      </button>
+    </div>
+
+    {Object.keys(reactionCounts).length > 0 && (
+      <div className="flex flex-wrap gap-2 px-4 pt-3">
+        {STORY_REACTIONS.filter(emoji => reactionCounts[emoji]).map(emoji => (
+          <span key={emoji} className="bg-gray-100 rounded-full px-3 py-1 text-sm">
+            {emoji} {reactionCounts[emoji]}
+          </span>
+        ))}
+      </div>
+    )}
+
+    <div className="flex-1 overflow-y-auto p-4 space-y-3">
+      {loading ? (
+        <p className="text-sm text-gray-500 text-center">Loading...</p>
+      ) : viewers.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center">No views yet</p>
+      ) : (
+        viewers.map(viewer => {
+          const username = viewer.user?.username || `User${viewer.address.substring(0, 6)}`;
+          return (
+            <div key={viewer.address} className="flex items-center space-x-3">
+              <div className="w-9 h-9 bg-gradient-to-r from-pink-400 to-white rounded-full flex items-center justify-center">
+                <span className="text-pink-800 text-sm font-semibold">{username.charAt(0).toUpperCase()}</span>
+              </div>
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{username}</p>
+                <p className="text-xs text-gray-500">{formatViewedAt(viewer.viewedAt)}</p>
+              </div>
+              {viewer.reaction && <span className="text-xl">{viewer.reaction}</span>}
+            </div>
+          );
+        })
+      )}
+    </div>
+  </div>
+);
+
+// highlightTitle plays saved highlight items instead of live stories: they
+// have no expiry and no views, reactions or replies
+const StoryViewer = ({ stories, initialIndex, isOpen, onClose, highlightTitle = null }) => {
+  const { account, getMediaUrl } = useWeb3();
   const { toast } = useToast();
   const [currentIndex, setCurrentIndex] = useState(initialIndex || 0);
   const [progress, setProgress] = useState(0);
   const [isPaused, setIsPaused] = useState(false);
+  const [reaction, setReaction] = useState(null);
+  const [replyText, setReplyText] = useState('');
+  const [replyFocused, setReplyFocused] = useState(false);
+  const [sendingReply, setSendingReply] = useState(false);
+  const [viewerData, setViewerData] = useState({ viewers: [], reactionCounts: {} });
+  const [loadingViewers, setLoadingViewers] = useState(false);
+  const [showViewers, setShowViewers] = useState(false);
+  const [reporting, setReporting] = useState(false);
+  const [pinning, setPinning] = useState(false);
+  const [holding, setHolding] = useState(false);
+  // Kept across stories so muting once stays muted
+  const [muted, setMuted] = useState(false);
+  const videoRef = useRef(null);
+  const holdTimerRef = useRef(null);
+  const heldRef = useRef(false);
 
-  const STORY_DURATION = 5000; // 5 seconds per story
-  
   const currentStory = stories[currentIndex];
+  // Stories carry a resolved media URL (storage path or legacy base64)
+  const displayUrl = currentStory?.content;
+  const isVideo = isVideoUrl(displayUrl);
+  const storyId = currentStory?.id;
+  const isOwnStory = !!account && currentStory?.creator?.toLowerCase() === account.toLowerCase();
+  const isLive = !highlightTitle;
+  // Holding, replying, reading the viewer list, reporting or pinning keeps the story on screen
+  const paused = isPaused || holding || replyFocused || showViewers || reporting || pinning;
+
+  const handleNextStory = useCallback(() => {
+    if (currentIndex < stories.length - 1) {
+      setCurrentIndex(currentIndex + 1);
+    } else {
+      onClose();
+    }
+  }, [currentIndex, stories.length, onClose]);
+
+  const handlePrevStory = useCallback(() => {
+    if (currentIndex > 0) {
+      setCurrentIndex(currentIndex - 1);
+    }
+  }, [currentIndex]);
 
   // Reset progress when story changes
   useEffect(() => {
     setProgress(0);
+    setReplyText('');
+    setShowViewers(false);
   }, [currentIndex]);
 
-  // Auto-progress story
+  // Record the view, or load who has seen it for the creator
   useEffect(() => {
-    if (!isOpen || isPaused || !currentStory) return;
+    if (!isOpen || !isLive || !storyId || !account) return;
+
+    let cancelled = false;
+    setReaction(null);
+
+    if (isOwnStory) {
+      setLoadingViewers(true);
+      SupabaseService.getStoryViewers(storyId).then(result => {
+        if (cancelled) return;
+        setViewerData(result.success ? result.data : { viewers: [], reactionCounts: {} });
+        setLoadingViewers(false);
+      });
+    } else {
+      SupabaseService.recordStoryView(storyId, account);
+      SupabaseService.getStoryReaction(storyId, account).then(result => {
+        if (!cancelled && result.success) setReaction(result.data);
+      });
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, isLive, storyId, account, isOwnStory]);
+
+  // Auto-progress image stories
+  useEffect(() => {
+    if (!isOpen || paused || !currentStory || isVideo) return;
 
     const interval = setInterval(() => {
       setProgress(prev => {
@@ -36,28 +166,107 @@ const StoryViewer = ({ stories, initialIndex, isOpen, onClose }) => {
     }, 100);
 
     return () => clearInterval(interval);
-  }, [isOpen, isPaused, currentIndex, currentStory]);
+  }, [isOpen, paused, currentIndex, currentStory, isVideo]);
 
-  const handleNextStory = useCallback(() => {
-    if (currentIndex < stories.length - 1) {
-      setCurrentIndex(currentIndex + 1);
-    } else {
-      onClose();
+  // The muted attribute only applies on mount, so set the property before playback starts
+  useEffect(() => {
+    if (videoRef.current) {
+      videoRef.current.muted = muted;
     }
-  }, [currentIndex, stories.length, onClose]);
+  }, [muted, currentIndex]);
 
-  const handlePrevStory = useCallback(() => {
-    if (currentIndex > 0) {
-      setCurrentIndex(currentIndex - 1);
+  // Video stories play for their own length (capped) and the bar follows playback
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!isOpen || !isVideo || !video) return;
+
+    if (paused) {
+      video.pause();
+      return;
     }
-  }, [currentIndex]);
+
+    video.play().catch(() => {
+      // Browsers may refuse autoplay with sound; carry on muted
+      video.muted = true;
+      setMuted(true);
+      video.play().catch(() => {});
+    });
+
+    let frame;
+    const tick = () => {
+      // duration is NaN until the metadata has loaded
+      const length = Math.min(video.duration || MAX_VIDEO_STORY_SECONDS, MAX_VIDEO_STORY_SECONDS);
+      if (video.ended || video.currentTime >= length) {
+        handleNextStory();
+        return;
+      }
+      setProgress((video.currentTime / length) * 100);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(frame);
+  }, [isOpen, isVideo, paused, currentIndex, handleNextStory]);
+
+  // A video that fails to load never reports a duration or advances, so skip it
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!isOpen || !isVideo || !video) return;
+
+    if (video.error) {
+      handleNextStory();
+      return;
+    }
+
+    video.addEventListener('error', handleNextStory);
+    return () => video.removeEventListener('error', handleNextStory);
+  }, [isOpen, isVideo, currentIndex, handleNextStory]);
+
+  useEffect(() => () => clearTimeout(holdTimerRef.current), []);
+
+  // Press and hold pauses; a quick tap on the left third goes back, elsewhere forward
+  const handlePointerDown = () => {
+    heldRef.current = false;
+    clearTimeout(holdTimerRef.current);
+    holdTimerRef.current = setTimeout(() => {
+      heldRef.current = true;
+      setHolding(true);
+    }, HOLD_DELAY_MS);
+  };
+
+  const handlePointerUp = (e) => {
+    clearTimeout(holdTimerRef.current);
+    if (heldRef.current) {
+      heldRef.current = false;
+      setHolding(false);
+      return;
+    }
+
+    const { left, width } = e.currentTarget.getBoundingClientRect();
+    if (e.clientX - left < width / 3) {
+      handlePrevStory();
+    } else {
+      handleNextStory();
+    }
+  };
+
+  const handlePointerCancel = () => {
+    clearTimeout(holdTimerRef.current);
+    heldRef.current = false;
+    setHolding(false);
+  };
 
   const handleKeyDown = useCallback((e) => {
-    if (!isOpen) return;
-    
+    // The modals and the reply box handle their own keys
+    if (!isOpen || reporting || pinning || ['INPUT', 'TEXTAREA'].includes(e.target.tagName)) return;
+
     switch (e.key) {
       case 'Escape':
-        onClose();
+        if (showViewers) {
+          setShowViewers(false);
+        } else {
+          onClose();
+        }
         break;
       case 'ArrowLeft':
         handlePrevStory();
@@ -69,16 +278,47 @@ const StoryViewer = ({ stories, initialIndex, isOpen, onClose }) => {
         e.preventDefault();
         setIsPaused(!isPaused);
         break;
+      case 'm':
+      case 'M':
+        if (isVideo) setMuted(!muted);
+        break;
+      default:
+        break;
     }
-  }, [isOpen, onClose, handlePrevStory, handleNextStory, isPaused]);
+  }, [isOpen, reporting, pinning, showViewers, onClose, handlePrevStory, handleNextStory, isPaused, isVideo, muted]);
 
-  const handleLikeStory = async () => {
-    try {
-      // In a real app, this would interact with the contract
-      toast.success('Liked story!');
-    } catch (error) {
-      console.error('Error liking story:', error);
-      toast.error('Failed to like story');
+  // Tapping the current reaction again removes it
+  const handleReact = async (emoji) => {
+    const previous = reaction;
+    const next = emoji === reaction ? null : emoji;
+    setReaction(next);
+
+    const result = await SupabaseService.setStoryReaction(currentStory.id, account, next);
+    if (!result.success) {
+      setReaction(previous);
+      toast.error('Failed to react to story');
+    }
+  };
+
+  const handleSendReply = async (e) => {
+    e.preventDefault();
+    if (!replyText.trim() || !account) return;
+
+    setSendingReply(true);
+    const result = await SupabaseService.sendMessage({
+      sender_address: account,
+      receiver_address: currentStory.creator,
+      content: replyText.trim(),
+      story_id: currentStory.id,
+      story_image_url: currentStory.imageUrl
+    });
+    setSendingReply(false);
+
+    if (result.success) {
+      setReplyText('');
+      toast.success(`Reply sent to ${currentStory.creatorData.username}`);
+    } else {
+      toast.error(result.blocked ? result.error : 'Failed to send reply');
     }
   };
 
@@ -104,7 +344,7 @@ const StoryViewer = ({ stories, initialIndex, isOpen, onClose }) => {
   const formatTimeRemaining = (expiryTime) => {
     const now = Math.floor(Date.now() / 1000);
     const remaining = expiryTime - now;
-    
+
     if (remaining <= 0) return 'Expired';
     if (remaining < 3600) return `${Math.floor(remaining / 60)}m left`;
     return `${Math.floor(remaining / 3600)}h left`;
@@ -123,31 +363,29 @@ const StoryViewer = ({ stories, initialIndex, isOpen, onClose }) => {
 
   if (!isOpen || !currentStory) return null;
 
-  // Get display image URL
-  const imageUrl = getMediaUrl(currentStory.contentHash);
-  const displayUrl = imageUrl;
-
   return (
     <div className="fixed inset-0 bg-black z-50 flex items-center justify-center">
       {/* Background */}
       <div className="absolute inset-0 bg-black"></div>
-      
-      {/* Navigation Areas */}
-      <div 
-        className="absolute left-0 top-0 w-1/3 h-full z-10 cursor-pointer flex items-center justify-start pl-4"
-        onClick={handlePrevStory}
-      >
-        {currentIndex > 0 && (
-          <ChevronLeft size={32} className="text-white opacity-50 hover:opacity-100 transition-opacity" />
-        )}
-      </div>
-      
-      <div 
-        className="absolute right-0 top-0 w-1/3 h-full z-10 cursor-pointer flex items-center justify-end pr-4"
+
+      {/* Navigation Buttons */}
+      {currentIndex > 0 && (
+        <button
+          onClick={handlePrevStory}
+          className="absolute left-4 top-1/2 -translate-y-1/2 z-10 text-white opacity-50 hover:opacity-100 transition-opacity"
+          title="Previous story"
+        >
+          <ChevronLeft size={32} />
+        </button>
+      )}
+
+      <button
         onClick={handleNextStory}
+        className="absolute right-4 top-1/2 -translate-y-1/2 z-10 text-white opacity-50 hover:opacity-100 transition-opacity"
+        title="Next story"
       >
-        <ChevronRight size={32} className="text-white opacity-50 hover:opacity-100 transition-opacity" />
-      </div>
+        <ChevronRight size={32} />
+      </button>
 
       {/* Story Content */}
       <div className="relative w-full max-w-md h-full max-h-[80vh] mx-4">
@@ -155,10 +393,10 @@ const StoryViewer = ({ stories, initialIndex, isOpen, onClose }) => {
         <div className="absolute top-4 left-4 right-4 flex space-x-1 z-20">
           {stories.map((_, index) => (
             <div key={index} className="flex-1 h-1 bg-white bg-opacity-30 rounded-full overflow-hidden">
-              <div 
+              <div
                 className="h-full bg-white transition-all duration-100 ease-linear rounded-full"
                 style={{
-                  width: index < currentIndex ? '100%' : 
+                  width: index < currentIndex ? '100%' :
                          index === currentIndex ? `${progress}%` : '0%'
                 }}
               />
@@ -183,36 +421,73 @@ const StoryViewer = ({ stories, initialIndex, isOpen, onClose }) => {
               )}
             </div>
             <div>
-              <h3 className="text-white font-semibold text-sm">
+              <h3 className="text-white font-semibold text-sm flex items-center">
                 {currentStory.creatorData.username}
+                {currentStory.audience === 'close_friends' && (
+                  <span className="ml-2 inline-flex items-center bg-green-500 text-white text-xs font-medium px-2 py-0.5 rounded-full">
+                    <Star size={10} className="mr-1 fill-current" />
+                    Close friends
+                  </span>
+                )}
               </h3>
               <p className="text-white text-xs opacity-75">
-                {formatTimeRemaining(currentStory.expiryTime)}
+                {isLive ? formatTimeRemaining(currentStory.expiryTime) : highlightTitle}
               </p>
             </div>
           </div>
-          
-          <button
-            onClick={onClose}
-            className="text-white hover:text-gray-300 transition-colors"
-          >
-            <X size={24} />
-          </button>
+
+          <div className="flex items-center space-x-4">
+            {isVideo && (
+              <button
+                onClick={() => setMuted(!muted)}
+                className="text-white hover:text-gray-300 transition-colors"
+                title={muted ? 'Unmute' : 'Mute'}
+              >
+                {muted ? <VolumeX size={20} /> : <Volume2 size={20} />}
+              </button>
+            )}
+            {account && !isOwnStory && (
+              <button
+                onClick={() => setReporting(true)}
+                className="text-white hover:text-gray-300 transition-colors"
+                title="Report story"
+              >
+                <Flag size={18} />
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              className="text-white hover:text-gray-300 transition-colors"
+            >
+              <X size={24} />
+            </button>
+          </div>
         </div>
 
-        {/* Story Image */}
-        <div 
-          className="w-full h-full rounded-xl overflow-hidden bg-gradient-to-br from-gray-800 to-gray-900 cursor-pointer"
-          onClick={() => setIsPaused(!isPaused)}
-          onMouseDown={() => setIsPaused(true)}
-          onMouseUp={() => setIsPaused(false)}
-          onMouseLeave={() => setIsPaused(false)}
+        {/* Story Media */}
+        <div
+          className="w-full h-full rounded-xl overflow-hidden bg-gradient-to-br from-gray-800 to-gray-900 cursor-pointer select-none"
+          onPointerDown={handlePointerDown}
+          onPointerUp={handlePointerUp}
+          onPointerLeave={handlePointerCancel}
+          onPointerCancel={handlePointerCancel}
+          onContextMenu={(e) => e.preventDefault()}
         >
-          {displayUrl ? (
-            <img 
+          {displayUrl && isVideo ? (
+            <video
+              key={currentIndex}
+              ref={videoRef}
+              src={displayUrl}
+              playsInline
+              preload="auto"
+              className="w-full h-full object-cover"
+            />
+          ) : displayUrl ? (
+            <img
               src={displayUrl}
               alt={`${currentStory.creatorData.username}'s story`}
               className="w-full h-full object-cover"
+              draggable={false}
             />
           ) : (
             <div className="w-full h-full flex items-center justify-center text-white">
@@ -226,36 +501,93 @@ const StoryViewer = ({ stories, initialIndex, isOpen, onClose }) => {
         </div>
 
         {/* Story Actions */}
-        <div className="absolute bottom-6 left-4 right-4 flex items-center justify-between z-20">
-          <div className="flex items-center space-x-4">
-            <button
-              onClick={handleLikeStory}
-              className="text-white hover:text-red-400 transition-colors"
-            >
-              <Heart size={24} />
-            </button>
-            <button
-              onClick={() => toast.info('Story comments coming soon!')}
-              className="text-white hover:text-blue-400 transition-colors"
-            >
-              <MessageCircle size={24} />
-            </button>
-            <button
-              onClick={handleShareStory}
-              className="text-white hover:text-green-400 transition-colors"
-            >
-              <Share size={24} />
-            </button>
-          </div>
-          
-          <div className="text-white text-xs opacity-75">
-            {currentIndex + 1} / {stories.length}
+        <div className="absolute bottom-6 left-4 right-4 z-20 space-y-3">
+          {isLive && account && !isOwnStory && (
+            <>
+              <div className="flex items-center justify-center space-x-2">
+                {STORY_REACTIONS.map(emoji => (
+                  <button
+                    key={emoji}
+                    onClick={() => handleReact(emoji)}
+                    className={`text-2xl rounded-full w-10 h-10 flex items-center justify-center transition-transform hover:scale-125 ${
+                      reaction === emoji ? 'bg-white bg-opacity-30' : ''
+                    }`}
+                    title={reaction === emoji ? 'Remove reaction' : `React ${emoji}`}
+                  >
+                    {emoji}
+                  </button>
+                ))}
+              </div>
+
+              <form onSubmit={handleSendReply} className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={replyText}
+                  onChange={(e) => setReplyText(e.target.value)}
+                  onFocus={() => setReplyFocused(true)}
+                  onBlur={() => setReplyFocused(false)}
+                  placeholder={`Reply to ${currentStory.creatorData.username}...`}
+                  className="flex-1 bg-transparent border border-white border-opacity-60 rounded-full px-4 py-2 text-sm text-white placeholder-white placeholder-opacity-75 focus:outline-none focus:border-opacity-100"
+                />
+                <button
+                  type="submit"
+                  disabled={!replyText.trim() || sendingReply}
+                  className="text-white hover:text-blue-400 disabled:opacity-50 transition-colors"
+                  title="Send reply"
+                >
+                  <Send size={22} />
+                </button>
+              </form>
+            </>
+          )}
+
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-4">
+              {isLive && isOwnStory && (
+                <>
+                  <button
+                    onClick={() => setShowViewers(true)}
+                    className="flex items-center text-white hover:text-gray-300 transition-colors text-sm"
+                  >
+                    <Eye size={20} className="mr-1" />
+                    {loadingViewers ? '...' : `Seen by ${viewerData.viewers.length}`}
+                  </button>
+                  <button
+                    onClick={() => setPinning(true)}
+                    className="flex items-center text-white hover:text-yellow-300 transition-colors text-sm"
+                    title="Add to highlight"
+                  >
+                    <Bookmark size={20} className="mr-1" />
+                    Highlight
+                  </button>
+                </>
+              )}
+              <button
+                onClick={handleShareStory}
+                className="text-white hover:text-green-400 transition-colors"
+              >
+                <Share size={24} />
+              </button>
+            </div>
+
+            <div className="text-white text-xs opacity-75">
+              {currentIndex + 1} / {stories.length}
+            </div>
           </div>
         </div>
 
+        {showViewers && (
+          <StoryViewersSheet
+            viewers={viewerData.viewers}
+            reactionCounts={viewerData.reactionCounts}
+            loading={loadingViewers}
+            onClose={() => setShowViewers(false)}
+          />
+        )}
+
         {/* Pause indicator */}
         {isPaused && (
-          <div className="absolute inset-0 flex items-center justify-center z-30">
+          <div className="absolute inset-0 flex items-center justify-center z-30 pointer-events-none">
             <div className="bg-black bg-opacity-50 rounded-full p-4">
               <div className="text-white text-2xl">⏸️</div>
             </div>
@@ -265,10 +597,24 @@ const StoryViewer = ({ stories, initialIndex, isOpen, onClose }) => {
 
       {/* Instructions */}
       <div className="absolute bottom-4 left-1/2 transform -translate-x-1/2 text-white text-xs opacity-50 text-center">
-        <p>Tap left/right to navigate • Space to pause • Esc to close</p>
+        <p>Tap left/right or use the arrow keys to navigate • Hold or Space to pause{isVideo ? ' • M to mute' : ''} • Esc to close</p>
       </div>
+
+      <ReportModal
+        isOpen={reporting}
+        onClose={() => setReporting(false)}
+        targetType={isLive ? 'story' : 'highlight_item'}
+        targetId={isLive ? currentStory.id : currentStory.itemId}
+        targetOwner={currentStory.creator}
+      />
+
+      <HighlightPickerModal
+        isOpen={pinning}
+        onClose={() => setPinning(false)}
+        story={currentStory}
+      />
     </div>
   );
 };
 
-export default StoryViewer;
\ No newline at end of file
+export default StoryViewer;
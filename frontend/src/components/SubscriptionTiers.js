@@ -0,0 +1,240 @@
+// src/components/SubscriptionTiers.js
+import React, { useState, useEffect } from 'react';
+import { Star, Plus, Check } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+
+const SubscriptionTiers = ({ creatorAddress, isOwnProfile }) => {
+  const { account, user, contract, isLegacyContract, getCreatorTiers, createTier, setTierActive, subscribe } = useWeb3();
+  const { toast } = useToast();
+  const [tiers, setTiers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pendingTierId, setPendingTierId] = useState(null);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [newTier, setNewTier] = useState({ name: '', price: '', periodDays: '30' });
+
+  const loadTiers = async () => {
+    setLoading(true);
+    const creatorTiers = await getCreatorTiers(creatorAddress);
+    setTiers(creatorTiers);
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    if (creatorAddress && contract) {
+      loadTiers();
+    }
+  }, [creatorAddress, contract, account]);
+
+  const handleSubscribe = async (tier) => {
+    setPendingTierId(tier.id);
+
+    try {
+      const result = await subscribe(creatorAddress, tier.id);
+
+      if (!result.success) {
+        toast.error(result.message);
+        return;
+      }
+
+      const recorded = await SupabaseService.createSubscription({
+        subscriber_address: account,
+        creator_address: creatorAddress,
+        tier_id: tier.id,
+        amount: parseFloat(result.amount),
+        expires_at: new Date(result.expiresAt * 1000).toISOString(),
+        transaction_hash: result.transactionHash
+      }, user?.username);
+
+      if (!recorded.success) {
+        console.error('Error recording subscription:', recorded.error);
+      }
+
+      toast.success('⭐ ' + result.message);
+      await loadTiers();
+    } finally {
+      setPendingTierId(null);
+    }
+  };
+
+  const handleToggleTier = async (tier) => {
+    setPendingTierId(tier.id);
+
+    try {
+      const result = await setTierActive(tier.id, !tier.active);
+      if (result.success) {
+        toast.success(result.message);
+        await loadTiers();
+      } else {
+        toast.error(result.message);
+      }
+    } finally {
+      setPendingTierId(null);
+    }
+  };
+
+  const handleCreateTier = async (e) => {
+    e.preventDefault();
+
+    if (!newTier.price || parseFloat(newTier.price) <= 0) {
+      toast.warning('Please enter a valid price');
+      return;
+    }
+
+    if (!newTier.periodDays || parseInt(newTier.periodDays, 10) < 1) {
+      toast.warning('Period must be at least 1 day');
+      return;
+    }
+
+    try {
+      setCreating(true);
+      const result = await createTier(newTier.name, newTier.price, parseInt(newTier.periodDays, 10));
+
+      if (result.success) {
+        toast.success(result.message);
+        setNewTier({ name: '', price: '', periodDays: '30' });
+        setShowCreateForm(false);
+        await loadTiers();
+      } else {
+        toast.error(result.message);
+      }
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const formatExpiry = (expiresAt) => {
+    return new Date(expiresAt * 1000).toLocaleDateString();
+  };
+
+  const visibleTiers = isOwnProfile ? tiers : tiers.filter(tier => tier.active);
+
+  // The deployed contract has no tiers to load or create
+  if (isLegacyContract) {
+    return null;
+  }
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <div className="animate-pulse">
+          <div className="h-5 bg-gray-200 rounded w-40 mb-4"></div>
+          <div className="h-20 bg-gray-200 rounded"></div>
+        </div>
+      </div>
+    );
+  }
+
+  if (visibleTiers.length === 0 && !isOwnProfile) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+          <Star size={20} className="text-yellow-500 mr-2" />
+          Subscriptions
+        </h3>
+        {isOwnProfile && (
+          <button
+            onClick={() => setShowCreateForm(!showCreateForm)}
+            className="text-sm bg-purple-100 text-purple-700 px-3 py-1.5 rounded-lg hover:bg-purple-200 transition-colors flex items-center space-x-1"
+          >
+            <Plus size={14} />
+            <span>New Tier</span>
+          </button>
+        )}
+      </div>
+
+      {showCreateForm && (
+        <form onSubmit={handleCreateTier} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-4 p-4 bg-gray-50 rounded-lg">
+          <input
+            type="text"
+            value={newTier.name}
+            onChange={(e) => setNewTier({ ...newTier, name: e.target.value })}
+            placeholder="Tier name"
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+          <input
+            type="number"
+            step="0.001"
+            min="0.001"
+            value={newTier.price}
+            onChange={(e) => setNewTier({ ...newTier, price: e.target.value })}
+            placeholder="Price in BNB"
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+          <input
+            type="number"
+            min="1"
+            value={newTier.periodDays}
+            onChange={(e) => setNewTier({ ...newTier, periodDays: e.target.value })}
+            placeholder="Period (days)"
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={creating}
+            className="bg-purple-500 text-white px-4 py-2 rounded-lg hover:bg-purple-600 disabled:opacity-50 transition-colors"
+          >
+            {creating ? 'Creating...' : 'Create Tier'}
+          </button>
+        </form>
+      )}
+
+      {visibleTiers.length === 0 ? (
+        <p className="text-sm text-gray-500">
+          Create a tier so fans can subscribe and unlock your tier-gated posts.
+        </p>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {visibleTiers.map((tier) => {
+            const isActiveSubscription = tier.expiresAt * 1000 > Date.now();
+
+            return (
+              <div
+                key={tier.id}
+                className={`border-2 rounded-lg p-4 ${tier.active ? 'border-purple-200' : 'border-gray-200 opacity-60'}`}
+              >
+                <h4 className="font-semibold text-gray-900">{tier.name}</h4>
+                <p className="text-2xl font-bold text-purple-600 my-2">{tier.price} BNB</p>
+                <p className="text-sm text-gray-500 mb-4">every {tier.periodDays} days</p>
+
+                {isOwnProfile ? (
+                  <button
+                    onClick={() => handleToggleTier(tier)}
+                    disabled={pendingTierId === tier.id}
+                    className="w-full bg-gray-100 text-gray-700 py-2 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors text-sm"
+                  >
+                    {tier.active ? 'Close Tier' : 'Reopen Tier'}
+                  </button>
+                ) : (
+                  <>
+                    {isActiveSubscription && (
+                      <p className="text-xs text-green-700 mb-2 flex items-center">
+                        <Check size={14} className="mr-1" />
+                        Subscribed until {formatExpiry(tier.expiresAt)}
+                      </p>
+                    )}
+                    <button
+                      onClick={() => handleSubscribe(tier)}
+                      disabled={pendingTierId !== null}
+                      className="w-full bg-gradient-to-r from-purple-500 to-pink-500 text-white py-2 rounded-lg font-semibold hover:from-purple-600 hover:to-pink-600 disabled:opacity-50 transition-all"
+                    >
+                      {pendingTierId === tier.id ? 'Processing...' : isActiveSubscription ? 'Renew' : 'Subscribe'}
+                    </button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SubscriptionTiers;
@@ -3,10 +3,12 @@ import { UserPlus, RefreshCw } from 'lucide-react';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useToast } from '../contexts/ToastContext';
 import SupabaseService from '../services/supabaseService';
+import useFollow from '../hooks/useFollow';
 
 const SuggestedProfiles = () => {
   const { user: currentUser, account, getMediaUrl } = useWeb3();
   const { toast } = useToast();
+  const { follow, unfollow } = useFollow();
   const [suggestedUsers, setSuggestedUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [followingUsers, setFollowingUsers] = useState(new Set());
@@ -17,13 +19,18 @@ const SuggestedProfiles = () => {
     try {
       setLoading(true);
 
-      // Get all users from Supabase (excluding current user)
-      const response = await SupabaseService.getAllUsers();
+      // Get all users from Supabase (excluding current user and people already followed)
+      const [response, followingResult] = await Promise.all([
+        SupabaseService.getAllUsers(),
+        account ? SupabaseService.getFollowing(account) : { success: true, data: [] }
+      ]);
+      const followed = new Set(
+        followingResult.success ? followingResult.data.map(row => row.following_address) : []
+      );
 
       if (response.success && response.data) {
-        // Filter out current user
         const otherUsers = response.data.filter(user =>
-          user.address !== account?.toLowerCase()
+          user.address !== account?.toLowerCase() && !followed.has(user.address?.toLowerCase())
         );
 
         // Shuffle array and take first 3
@@ -69,15 +76,15 @@ const SuggestedProfiles = () => {
       const isCurrentlyFollowing = followingUsers.has(userToFollow.id);
 
       if (isCurrentlyFollowing) {
-        // Unfollow logic (placeholder - implement when follow system is ready)
-        setFollowingUsers(prev => {
-          const updated = new Set(prev);
-          updated.delete(userToFollow.id);
-          return updated;
-        });
-        toast.success(`Unfollowed ${userToFollow.username}`);
-      } else {
-        // Follow logic (placeholder - implement when follow system is ready)
+        if (await unfollow(userToFollow.walletAddress)) {
+          setFollowingUsers(prev => {
+            const updated = new Set(prev);
+            updated.delete(userToFollow.id);
+            return updated;
+          });
+          toast.success(`Unfollowed ${userToFollow.username}`);
+        }
+      } else if (await follow(userToFollow.walletAddress)) {
         setFollowingUsers(prev => new Set([...prev, userToFollow.id]));
         toast.success(`Following ${userToFollow.username}`);
       }
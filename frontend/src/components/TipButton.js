@@ -0,0 +1,104 @@
+// src/components/TipButton.js
+import React, { useState, useEffect, useRef } from 'react';
+import { Gift } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+
+const TIP_PRESETS = ['0.001', '0.005', '0.01', '0.05'];
+
+const TipButton = ({
+  creatorAddress,
+  creatorName,
+  contentId = 0, // On-chain content id, 0 for profile tips
+  postId = null, // Supabase post id for the notification
+  className = "",
+  size = 20,
+  showLabel = false
+}) => {
+  const { account, user, isLegacyContract, sendTip } = useWeb3();
+  const { toast } = useToast();
+  const [showMenu, setShowMenu] = useState(false);
+  const [sending, setSending] = useState(false);
+  const menuRef = useRef(null);
+
+  // Close menu when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (menuRef.current && !menuRef.current.contains(event.target)) {
+        setShowMenu(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  // Can't tip yourself, or anyone on a contract without tips
+  if (isLegacyContract || !creatorAddress || creatorAddress.toLowerCase() === account?.toLowerCase()) {
+    return null;
+  }
+
+  const handleTip = async (amount) => {
+    setShowMenu(false);
+    setSending(true);
+
+    try {
+      const result = await sendTip(creatorAddress, contentId, amount);
+
+      if (!result.success) {
+        toast.error(result.message);
+        return;
+      }
+
+      await SupabaseService.createNotification({
+        user_address: creatorAddress,
+        type: 'tip',
+        title: 'New Tip',
+        message: `${user?.username || account.substring(0, 8)} sent you a ${result.amount} BNB tip`,
+        post_id: postId,
+        from_user_address: account,
+        from_username: user?.username
+      });
+
+      toast.success(`💸 Tipped ${creatorName || 'creator'} ${result.amount} BNB!`);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="relative" ref={menuRef}>
+      <button
+        onClick={(e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          setShowMenu(!showMenu);
+        }}
+        disabled={sending}
+        className={`flex items-center space-x-2 px-3 py-1 rounded-lg transition-all duration-200 text-gray-600 hover:text-yellow-600 hover:bg-yellow-50 disabled:opacity-50 ${className}`}
+        title="Send a tip"
+      >
+        <Gift size={size} className={sending ? 'animate-pulse' : ''} />
+        {showLabel && <span className="text-sm font-medium">{sending ? 'Sending...' : 'Tip'}</span>}
+      </button>
+
+      {showMenu && (
+        <div className="absolute left-0 bottom-10 bg-white rounded-lg shadow-lg border border-gray-200 p-2 z-10 min-w-36">
+          <p className="text-xs text-gray-500 px-2 pb-1">Tip in BNB</p>
+          {TIP_PRESETS.map((amount) => (
+            <button
+              key={amount}
+              onClick={() => handleTip(amount)}
+              className="block w-full text-left px-2 py-1.5 text-sm text-gray-700 rounded hover:bg-yellow-50 hover:text-yellow-700 transition-colors"
+            >
+              {amount} BNB
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TipButton;
@@ -3,6 +3,7 @@ import { Routes, Route, Navigate } from 'react-router-dom';
 import { Wallet, Eye, AlertCircle, Smartphone } from 'lucide-react';
 import Home from '../pages/Home';
 import Search from '../pages/Search';
+import Post from '../pages/Post';
 
 const ViewOnlyMode = ({ onConnect, loading }) => {
   const [showBanner, setShowBanner] = useState(true);
@@ -108,6 +109,15 @@ const ViewOnlyMode = ({ onConnect, loading }) => {
             </div>
           }
         />
+        <Route
+          path="/post/:id"
+          element={
+            <div>
+              <ReadOnlyIndicator />
+              <Post viewOnly={true} onConnect={onConnect} />
+            </div>
+          }
+        />
         <Route
           path="/profile"
           element={
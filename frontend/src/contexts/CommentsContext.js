@@ -6,6 +6,14 @@ import SupabaseService from '../services/supabaseService';
 
 const CommentsContext = createContext();
 
+// Add the author/text/timestamp fields the comment modals render to a Supabase row
+const toDisplayComment = (row) => ({
+  ...row,
+  author: row.username || `User${row.user_address.substring(0, 6)}`,
+  text: row.content,
+  timestamp: new Date(row.created_at).getTime()
+});
+
 export const useComments = () => {
   const context = useContext(CommentsContext);
   if (!context) {
@@ -42,7 +50,7 @@ export const CommentsProvider = ({ children }) => {
       if (result.success) {
         setCommentsData(prevData => ({
           ...prevData,
-          [postId]: result.data
+          [postId]: result.data.map(toDisplayComment)
         }));
       }
     } catch (error) {
@@ -79,7 +87,7 @@ export const CommentsProvider = ({ children }) => {
         // Add to local state optimistically
         setCommentsData(prevData => ({
           ...prevData,
-          [contentId]: [...(prevData[contentId] || []), result.data]
+          [contentId]: [...(prevData[contentId] || []), toDisplayComment(result.data)]
         }));
 
         toast.success('💬 Comment added!');
@@ -199,6 +199,14 @@ export const NotificationsProvider = ({ children }) => {
         return '👤';
       case 'comment':
         return '💬';
+      case 'purchase':
+        return '🔓';
+      case 'subscription':
+        return '⭐';
+      case 'tip':
+        return '💸';
+      case 'mention':
+        return '📣';
       default:
         return '🔔';
     }
@@ -212,7 +220,12 @@ export const NotificationsProvider = ({ children }) => {
       case 'follow':
         return 'text-blue-600';
       case 'comment':
+      case 'mention':
         return 'text-green-600';
+      case 'purchase':
+      case 'subscription':
+      case 'tip':
+        return 'text-purple-600';
       default:
         return 'text-gray-600';
     }
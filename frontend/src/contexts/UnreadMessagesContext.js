@@ -0,0 +1,58 @@
+// src/contexts/UnreadMessagesContext.js
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { useWeb3 } from './Web3Context';
+import SupabaseService from '../services/supabaseService';
+
+const UnreadMessagesContext = createContext();
+
+export const useUnreadMessages = () => {
+  const context = useContext(UnreadMessagesContext);
+  if (!context) {
+    throw new Error('useUnreadMessages must be used within an UnreadMessagesProvider');
+  }
+  return context;
+};
+
+// Unread direct messages for the connected account, shared by the Navbar badge
+// and the Messages sidebar
+export const UnreadMessagesProvider = ({ children }) => {
+  const { account } = useWeb3();
+  const [unreadCount, setUnreadCount] = useState(0);
+  // Sender address -> unread messages from them
+  const [unreadBySender, setUnreadBySender] = useState({});
+
+  const refreshUnread = useCallback(async () => {
+    if (!account) {
+      setUnreadCount(0);
+      setUnreadBySender({});
+      return;
+    }
+
+    const result = await SupabaseService.getUnreadMessageCounts(account);
+    if (result.success) {
+      setUnreadCount(result.data.total);
+      setUnreadBySender(result.data.bySender);
+    }
+  }, [account]);
+
+  // New messages and read receipts both change the counts
+  useEffect(() => {
+    refreshUnread();
+    if (!account) return;
+
+    const subscription = SupabaseService.subscribeToUserMessages(account, () => refreshUnread());
+    return () => subscription.unsubscribe();
+  }, [account, refreshUnread]);
+
+  const value = {
+    unreadCount,
+    unreadBySender,
+    refreshUnread
+  };
+
+  return (
+    <UnreadMessagesContext.Provider value={value}>
+      {children}
+    </UnreadMessagesContext.Provider>
+  );
+};
@@ -1,9 +1,42 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { ethers } from 'ethers';
 import CONTRACT_ABI from '../contracts/SocialPlatform.json';
+import { signInWithWallet, restoreWalletSession, signOutWallet } from '../services/walletAuth';
 
-const CONTRACT_ADDRESS = "0x575e0532445489dd31C12615BeC7C63d737B69DD";
+// Set by scripts/deploy.js; the fallback is the original deployment, which predates tiers and tips
+const CONTRACT_ADDRESS = process.env.REACT_APP_CONTRACT_ADDRESS || "0x575e0532445489dd31C12615BeC7C63d737B69DD";
 const BSC_TESTNET_CHAIN_ID = 97;
+// How far back to scan for past events when reconciling on-chain state
+const EVENT_LOOKBACK_BLOCKS = 50000;
+
+// Find the first log in a receipt emitted by the contract under the given event name
+const findEventInReceipt = (contractInstance, receipt, eventName) => {
+  for (const log of receipt.logs) {
+    try {
+      const parsed = contractInstance.interface.parseLog(log);
+      if (parsed && parsed.name === eventName) {
+        return parsed;
+      }
+    } catch (error) {
+      // Log from another contract, ignore
+    }
+  }
+  return null;
+};
+
+const LEGACY_CONTRACT_MESSAGE = 'Tips and subscriptions need the latest contract deployment.';
+
+// Tiers, tips and deploymentBlock() shipped together, so a revert on the
+// latter means the configured address is a deployment without them
+const detectLegacyContract = async (contractInstance) => {
+  try {
+    await contractInstance.deploymentBlock();
+    return false;
+  } catch (error) {
+    console.warn('⚠️ Contract has no tiers or tips, hiding them:', error);
+    return true;
+  }
+};
 
 const Web3Context = createContext();
 
@@ -25,6 +58,11 @@ export const Web3Provider = ({ children }) => {
   const [networkId, setNetworkId] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [contractError, setContractError] = useState(null);
+  const [isAdmin, setIsAdmin] = useState(false);
+  // Whether the deployed contract predates tiers, tips and subscriptions
+  const [isLegacyContract, setIsLegacyContract] = useState(false);
+  // Whether Supabase requests carry a wallet-signed JWT (see services/walletAuth)
+  const [isAuthenticated, setIsAuthenticated] = useState(false);
 
   // Initialize Web3
   useEffect(() => {
@@ -45,6 +83,7 @@ export const Web3Provider = ({ children }) => {
             disconnectWallet();
           } else if (accounts[0] !== account) {
             setAccount(accounts[0]);
+            setIsAuthenticated(restoreWalletSession(accounts[0]));
           }
         });
 
@@ -56,6 +95,21 @@ export const Web3Provider = ({ children }) => {
     initializeWeb3();
   }, []);
 
+  // The contract owner is the platform admin and moderates reports
+  useEffect(() => {
+    if (!contract || !account) {
+      setIsAdmin(false);
+      return;
+    }
+
+    contract.owner()
+      .then(owner => setIsAdmin(owner.toLowerCase() === account.toLowerCase()))
+      .catch(error => {
+        console.error('❌ Error reading contract owner:', error);
+        setIsAdmin(false);
+      });
+  }, [contract, account]);
+
   const checkConnection = async () => {
     try {
       if (window.ethereum) {
@@ -63,6 +117,8 @@ export const Web3Provider = ({ children }) => {
         if (accounts.length > 0) {
           setAccount(accounts[0]);
           setIsConnected(true);
+          // Reconnecting on page load doesn't prompt for a signature; signIn() can
+          setIsAuthenticated(restoreWalletSession(accounts[0]));
 
           const web3Provider = new ethers.BrowserProvider(window.ethereum);
           const network = await web3Provider.getNetwork();
@@ -113,6 +169,15 @@ export const Web3Provider = ({ children }) => {
       }
 
       await initializeContract(web3Provider, userAccount);
+
+      // Declining the signature still leaves the wallet connected for reading
+      if (!restoreWalletSession(userAccount)) {
+        const web3Signer = await web3Provider.getSigner();
+        const auth = await signInWithWallet(web3Signer, userAccount);
+        setIsAuthenticated(auth.success);
+      } else {
+        setIsAuthenticated(true);
+      }
       setLoading(false);
 
     } catch (error) {
@@ -123,6 +188,8 @@ export const Web3Provider = ({ children }) => {
   };
 
   const disconnectWallet = async () => {
+    signOutWallet();
+    setIsAuthenticated(false);
     setAccount(null);
     setUser(null);
     setContract(null);
@@ -132,6 +199,22 @@ export const Web3Provider = ({ children }) => {
     console.log('✅ Wallet disconnected');
   };
 
+  // Sign the wallet-auth message for the connected account, e.g. after declining it on connect
+  const signIn = async () => {
+    if (!signer || !account) {
+      return { success: false, message: 'Please connect your wallet first.' };
+    }
+
+    const auth = await signInWithWallet(signer, account);
+    setIsAuthenticated(auth.success);
+
+    if (!auth.success) {
+      const rejected = auth.error.includes('user rejected') || auth.error.includes('User denied');
+      return { success: false, message: rejected ? 'Signature was rejected.' : `Sign-in failed: ${auth.error}` };
+    }
+    return { success: true, message: 'Signed in' };
+  };
+
   const switchToBSCTestnet = async () => {
     try {
       await window.ethereum.request({
@@ -175,6 +258,7 @@ export const Web3Provider = ({ children }) => {
         web3Signer
       );
 
+      setIsLegacyContract(await detectLegacyContract(contractInstance));
       setContract(contractInstance);
       setContractError(null);
 
@@ -344,6 +428,448 @@ export const Web3Provider = ({ children }) => {
     }
   };
 
+  // Pass a tierId to also unlock the content for that tier's subscribers
+  const createContent = async (contentHash, price, isPaid, tierId = null) => {
+    if (!contract) {
+      return { success: false, message: 'Contract not available. Please connect your wallet and ensure you\'re on BSC Testnet.' };
+    }
+
+    try {
+      const priceWei = isPaid ? ethers.parseEther(String(price)) : 0n;
+      const tx = tierId !== null && isPaid
+        ? await contract.createTierContent(contentHash, priceWei, tierId)
+        : await contract.createContent(contentHash, priceWei, isPaid);
+      const receipt = await tx.wait();
+
+      const event = findEventInReceipt(contract, receipt, 'ContentCreated');
+      if (!event) {
+        throw new Error('ContentCreated event not found in transaction receipt');
+      }
+
+      const contentId = Number(event.args.contentId);
+      console.log('✅ Content registered on-chain:', contentId, receipt.hash);
+
+      return { success: true, contentId, transactionHash: receipt.hash };
+
+    } catch (error) {
+      console.error('❌ Create content error:', error);
+
+      let errorMessage = 'Failed to register content on-chain: ';
+
+      if (error.message.includes('Only creators can create content')) {
+        errorMessage += 'Only creators can publish premium content.';
+      } else if (error.message.includes('user rejected')) {
+        errorMessage += 'Transaction was rejected.';
+      } else {
+        errorMessage += error.message;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Map content hashes to the on-chain content ids of the connected creator
+  const findContentIdsByHash = async (contentHashes) => {
+    const found = {};
+    if (!contract || !account || contentHashes.length === 0) {
+      return found;
+    }
+
+    try {
+      const wanted = new Set(contentHashes);
+      const contentIds = await contract.getUserContents(account);
+
+      for (let i = contentIds.length - 1; i >= 0 && Object.keys(found).length < wanted.size; i--) {
+        const content = await contract.getContent(contentIds[i]);
+        if (wanted.has(content.contentHash)) {
+          found[content.contentHash] = Number(contentIds[i]);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error looking up content by hash:', error);
+    }
+
+    return found;
+  };
+
+  const buyContent = async (contentId) => {
+    if (!contract) {
+      return { success: false, message: 'Contract not available. Please connect your wallet and ensure you\'re on BSC Testnet.' };
+    }
+
+    if (!user) {
+      return { success: false, message: 'Please register your account first.' };
+    }
+
+    try {
+      // Always pay the on-chain price, the Supabase price is display only
+      const content = await contract.getContent(contentId);
+      if (!content.isPaid) {
+        return { success: false, message: 'This content is free.' };
+      }
+
+      const tx = await contract.buyContent(contentId, { value: content.price });
+      const receipt = await tx.wait();
+
+      const event = findEventInReceipt(contract, receipt, 'ContentPurchased');
+      if (!event) {
+        throw new Error('ContentPurchased event not found in transaction receipt');
+      }
+
+      console.log('✅ Content purchased on-chain:', receipt.hash);
+
+      return {
+        success: true,
+        message: 'Content unlocked!',
+        transactionHash: receipt.hash,
+        amount: ethers.formatEther(event.args.price)
+      };
+
+    } catch (error) {
+      console.error('❌ Buy content error:', error);
+
+      let errorMessage = 'Purchase failed: ';
+
+      if (error.message.includes('Already purchased')) {
+        return { success: false, alreadyPurchased: true, message: 'You already own this content.' };
+      } else if (error.message.includes('user rejected')) {
+        errorMessage += 'Transaction was rejected.';
+      } else if (error.message.includes('insufficient funds')) {
+        errorMessage += 'Insufficient BNB balance.';
+      } else {
+        errorMessage += error.message;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  const sendTip = async (creatorAddress, contentId, amount) => {
+    if (!contract) {
+      return { success: false, message: 'Contract not available. Please connect your wallet and ensure you\'re on BSC Testnet.' };
+    }
+
+    if (isLegacyContract) {
+      return { success: false, message: LEGACY_CONTRACT_MESSAGE };
+    }
+
+    if (!user) {
+      return { success: false, message: 'Please register your account first.' };
+    }
+
+    try {
+      const tx = await contract.tip(creatorAddress, contentId || 0, { value: ethers.parseEther(String(amount)) });
+      const receipt = await tx.wait();
+
+      const event = findEventInReceipt(contract, receipt, 'TipSent');
+      if (!event) {
+        throw new Error('TipSent event not found in transaction receipt');
+      }
+
+      return {
+        success: true,
+        message: `Sent a ${amount} BNB tip!`,
+        transactionHash: receipt.hash,
+        amount: ethers.formatEther(event.args.amount)
+      };
+
+    } catch (error) {
+      console.error('❌ Tip error:', error);
+
+      let errorMessage = 'Tip failed: ';
+
+      if (error.message.includes('Can only tip creators')) {
+        errorMessage += 'This user is not a creator.';
+      } else if (error.message.includes('user rejected')) {
+        errorMessage += 'Transaction was rejected.';
+      } else if (error.message.includes('insufficient funds')) {
+        errorMessage += 'Insufficient BNB balance.';
+      } else {
+        errorMessage += error.message;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  const followUser = async (targetAddress) => {
+    if (!contract) {
+      return { success: false, message: 'Contract not available. Please connect your wallet and ensure you\'re on BSC Testnet.' };
+    }
+
+    if (!user) {
+      return { success: false, message: 'Please register your account first.' };
+    }
+
+    try {
+      const tx = await contract.followUser(targetAddress);
+      const receipt = await tx.wait();
+
+      const event = findEventInReceipt(contract, receipt, 'UserFollowed');
+      if (!event) {
+        throw new Error('UserFollowed event not found in transaction receipt');
+      }
+
+      return {
+        success: true,
+        message: 'Followed!',
+        follower: event.args.follower,
+        following: event.args.following,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      };
+
+    } catch (error) {
+      console.error('❌ Follow error:', error);
+
+      let errorMessage = 'Follow failed: ';
+
+      if (error.message.includes('Already following')) {
+        return { success: false, alreadyFollowing: true, message: 'You already follow this user.' };
+      } else if (error.message.includes('Target user not registered')) {
+        errorMessage += 'This user has not registered on-chain yet.';
+      } else if (error.message.includes('Cannot follow yourself')) {
+        errorMessage += 'You cannot follow yourself.';
+      } else if (error.message.includes('user rejected')) {
+        errorMessage += 'Transaction was rejected.';
+      } else {
+        errorMessage += error.message;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  const unfollowUser = async (targetAddress) => {
+    if (!contract) {
+      return { success: false, message: 'Contract not available. Please connect your wallet and ensure you\'re on BSC Testnet.' };
+    }
+
+    try {
+      const tx = await contract.unfollowUser(targetAddress);
+      const receipt = await tx.wait();
+
+      const event = findEventInReceipt(contract, receipt, 'UserUnfollowed');
+      if (!event) {
+        throw new Error('UserUnfollowed event not found in transaction receipt');
+      }
+
+      return {
+        success: true,
+        message: 'Unfollowed.',
+        follower: event.args.follower,
+        following: event.args.following,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      };
+
+    } catch (error) {
+      console.error('❌ Unfollow error:', error);
+
+      let errorMessage = 'Unfollow failed: ';
+
+      if (error.message.includes('Not following')) {
+        return { success: false, notFollowing: true, message: 'You don\'t follow this user.' };
+      } else if (error.message.includes('user rejected')) {
+        errorMessage += 'Transaction was rejected.';
+      } else {
+        errorMessage += error.message;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  // Check on-chain access and recover the purchase transaction, so a purchase
+  // that never reached Supabase can still be recorded. transactionHash is null
+  // when no ContentPurchased event was found (subscriber access, or a purchase
+  // older than the lookback window).
+  const reconcilePurchase = async (contentId) => {
+    if (!contract || !account) {
+      return { hasAccess: false };
+    }
+
+    try {
+      const hasAccess = await contract.getContentAccess(account, contentId);
+      if (!hasAccess) {
+        return { hasAccess: false };
+      }
+
+      const content = await contract.getContent(contentId);
+      if (content.creator.toLowerCase() === account.toLowerCase()) {
+        return { hasAccess: true, isCreator: true };
+      }
+
+      let transactionHash = null;
+      let amount = ethers.formatEther(content.price);
+
+      try {
+        const latestBlock = await provider.getBlockNumber();
+        const events = await contract.queryFilter(
+          contract.filters.ContentPurchased(contentId, account),
+          Math.max(0, latestBlock - EVENT_LOOKBACK_BLOCKS),
+          latestBlock
+        );
+
+        if (events.length > 0) {
+          const event = events[events.length - 1];
+          transactionHash = event.transactionHash;
+          amount = ethers.formatEther(event.args.price);
+        }
+      } catch (error) {
+        console.warn('⚠️ Could not look up purchase transaction:', error);
+      }
+
+      // Without a ContentPurchased event the access may come from an active
+      // tier subscription, which must not be recorded as a purchase
+      if (!transactionHash) {
+        let viaSubscription = false;
+        try {
+          const gate = await contract.contentTier(contentId);
+          viaSubscription = gate > 0n && await contract.isSubscribed(account, content.creator, gate - 1n);
+        } catch (error) {
+          console.warn('⚠️ Could not check tier subscription:', error);
+        }
+        return { hasAccess: true, transactionHash: null, viaSubscription };
+      }
+
+      return { hasAccess: true, transactionHash, amount };
+    } catch (error) {
+      console.error('❌ Error reconciling purchase:', error);
+      return { hasAccess: false };
+    }
+  };
+
+  const getCreatorTiers = async (creatorAddress) => {
+    if (!contract || !creatorAddress || isLegacyContract) {
+      return [];
+    }
+
+    try {
+      const tiers = await contract.getCreatorTiers(creatorAddress);
+      const expiries = account
+        ? await Promise.all(tiers.map((_, tierId) => contract.subscriptionExpiry(account, creatorAddress, tierId)))
+        : [];
+
+      return tiers.map((tier, tierId) => ({
+        id: tierId,
+        name: tier.name,
+        price: ethers.formatEther(tier.price),
+        periodDays: Math.round(Number(tier.period) / 86400),
+        active: tier.active,
+        expiresAt: expiries[tierId] ? Number(expiries[tierId]) : 0
+      }));
+    } catch (error) {
+      console.error('❌ Error loading subscription tiers:', error);
+      return [];
+    }
+  };
+
+  const createTier = async (name, price, periodDays) => {
+    if (!contract) {
+      return { success: false, message: 'Contract not available. Please connect your wallet and ensure you\'re on BSC Testnet.' };
+    }
+
+    if (isLegacyContract) {
+      return { success: false, message: LEGACY_CONTRACT_MESSAGE };
+    }
+
+    if (!name || name.trim() === '') {
+      return { success: false, message: 'Tier name is required.' };
+    }
+
+    try {
+      const tx = await contract.createTier(
+        name.trim(),
+        ethers.parseEther(String(price)),
+        periodDays * 86400
+      );
+      await tx.wait();
+
+      return { success: true, message: `Tier "${name.trim()}" created!` };
+
+    } catch (error) {
+      console.error('❌ Create tier error:', error);
+
+      let errorMessage = 'Failed to create tier: ';
+
+      if (error.message.includes('user rejected')) {
+        errorMessage += 'Transaction was rejected.';
+      } else {
+        errorMessage += error.message;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
+  const setTierActive = async (tierId, active) => {
+    if (!contract) {
+      return { success: false, message: 'Contract not available. Please connect your wallet and ensure you\'re on BSC Testnet.' };
+    }
+
+    try {
+      const tx = await contract.setTierActive(tierId, active);
+      await tx.wait();
+
+      return { success: true, message: active ? 'Tier reopened.' : 'Tier closed to new subscribers.' };
+
+    } catch (error) {
+      console.error('❌ Set tier status error:', error);
+      return { success: false, message: 'Failed to update tier: ' + error.message };
+    }
+  };
+
+  const subscribe = async (creatorAddress, tierId) => {
+    if (!contract) {
+      return { success: false, message: 'Contract not available. Please connect your wallet and ensure you\'re on BSC Testnet.' };
+    }
+
+    if (isLegacyContract) {
+      return { success: false, message: LEGACY_CONTRACT_MESSAGE };
+    }
+
+    if (!user) {
+      return { success: false, message: 'Please register your account first.' };
+    }
+
+    try {
+      const tier = await contract.creatorTiers(creatorAddress, tierId);
+      const tx = await contract.subscribe(creatorAddress, tierId, { value: tier.price });
+      const receipt = await tx.wait();
+
+      const event = findEventInReceipt(contract, receipt, 'Subscribed');
+      if (!event) {
+        throw new Error('Subscribed event not found in transaction receipt');
+      }
+
+      return {
+        success: true,
+        message: `Subscribed to ${tier.name}!`,
+        transactionHash: receipt.hash,
+        amount: ethers.formatEther(event.args.price),
+        expiresAt: Number(event.args.expiry)
+      };
+
+    } catch (error) {
+      console.error('❌ Subscribe error:', error);
+
+      let errorMessage = 'Subscription failed: ';
+
+      if (error.message.includes('Tier is not active')) {
+        errorMessage += 'This tier is no longer available.';
+      } else if (error.message.includes('user rejected')) {
+        errorMessage += 'Transaction was rejected.';
+      } else if (error.message.includes('insufficient funds')) {
+        errorMessage += 'Insufficient BNB balance.';
+      } else {
+        errorMessage += error.message;
+      }
+
+      return { success: false, message: errorMessage };
+    }
+  };
+
   // Simple media upload to localStorage
   const uploadMedia = async (file) => {
     return new Promise((resolve, reject) => {
@@ -416,14 +942,29 @@ export const Web3Provider = ({ children }) => {
     loading,
     networkId,
     isConnected,
+    isAdmin,
+    isAuthenticated,
+    isLegacyContract,
     isCorrectNetwork: networkId === BSC_TESTNET_CHAIN_ID,
     contractError,
     connectWallet,
     disconnectWallet,
+    signIn,
     switchToBSCTestnet,
     registerUser,
     becomeCreator,
     updateProfile,
+    createContent,
+    findContentIdsByHash,
+    buyContent,
+    sendTip,
+    followUser,
+    unfollowUser,
+    reconcilePurchase,
+    getCreatorTiers,
+    createTier,
+    setTierActive,
+    subscribe,
     loadUserData,
     uploadMedia,
     getMediaUrl
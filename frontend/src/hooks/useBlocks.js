@@ -0,0 +1,62 @@
+// src/hooks/useBlocks.js
+import { useState, useEffect, useCallback } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+
+// The connected account's block and mute list
+const useBlocks = () => {
+  const { account } = useWeb3();
+  const { toast } = useToast();
+  // Lowercased address -> 'block' | 'mute'
+  const [blocks, setBlocks] = useState({});
+
+  const loadBlocks = useCallback(async () => {
+    if (!account) {
+      setBlocks({});
+      return;
+    }
+
+    const result = await SupabaseService.getUserBlocks(account);
+    if (result.success) {
+      setBlocks(Object.fromEntries(result.data.map(row => [row.blocked_address, row.kind])));
+    }
+  }, [account]);
+
+  useEffect(() => {
+    loadBlocks();
+  }, [loadBlocks]);
+
+  const getBlockKind = (address) => (address ? blocks[address.toLowerCase()] || null : null);
+
+  const setBlockKind = async (address, kind, successMessage) => {
+    const result = kind
+      ? await SupabaseService.setUserBlock(account, address, kind)
+      : await SupabaseService.removeUserBlock(account, address);
+
+    if (!result.success) {
+      toast.error('Failed to update block list: ' + result.error);
+      return false;
+    }
+
+    setBlocks(prev => {
+      const updated = { ...prev };
+      if (kind) {
+        updated[address.toLowerCase()] = kind;
+      } else {
+        delete updated[address.toLowerCase()];
+      }
+      return updated;
+    });
+    toast.success(successMessage);
+    return true;
+  };
+
+  const block = (address, username) => setBlockKind(address, 'block', `Blocked ${username}`);
+  const mute = (address, username) => setBlockKind(address, 'mute', `Muted ${username}`);
+  const unblock = (address, username) => setBlockKind(address, null, `${username} is no longer blocked or muted`);
+
+  return { getBlockKind, block, mute, unblock, reloadBlocks: loadBlocks };
+};
+
+export default useBlocks;
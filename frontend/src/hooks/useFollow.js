@@ -0,0 +1,104 @@
+// src/hooks/useFollow.js
+import { useWeb3 } from '../contexts/Web3Context';
+import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+import { fetchFollowChanges, markFollowsSynced } from '../utils/followSync';
+
+// Following and unfollowing on-chain, with the Supabase follows table mirroring
+// the contract's UserFollowed/UserUnfollowed events
+const useFollow = () => {
+  const { contract, user, account, followUser, unfollowUser } = useWeb3();
+  const { toast } = useToast();
+
+  const follow = async (targetAddress) => {
+    const result = await followUser(targetAddress);
+
+    if (!result.success && !result.alreadyFollowing) {
+      toast.error(result.message);
+      return false;
+    }
+
+    if (result.success) {
+      const mirrored = await SupabaseService.recordFollow(result, user?.username);
+      if (!mirrored.success) {
+        // syncFollows replays the event on the next feed load
+        console.warn('⚠️ Follow not mirrored to Supabase:', mirrored.error);
+      }
+    }
+    return true;
+  };
+
+  const unfollow = async (targetAddress) => {
+    const result = await unfollowUser(targetAddress);
+
+    if (!result.success && !result.notFollowing) {
+      toast.error(result.message);
+      return false;
+    }
+
+    if (result.success) {
+      const mirrored = await SupabaseService.removeFollow(result);
+      if (!mirrored.success) {
+        console.warn('⚠️ Unfollow not mirrored to Supabase:', mirrored.error);
+      }
+    }
+    return true;
+  };
+
+  // The contract's followers or following of `address` (listType 'followers'
+  // or 'following'), lowercased. Null on deployments that can't list follows.
+  const getFollowList = async (address, listType) => {
+    if (!contract || !address) return null;
+
+    try {
+      const addresses = listType === 'followers'
+        ? await contract.getFollowers(address)
+        : await contract.getFollowing(address);
+      return addresses.map(entry => entry.toLowerCase());
+    } catch (error) {
+      console.warn('⚠️ Contract can\'t list follows:', error);
+      return null;
+    }
+  };
+
+  // Replay the account's follow events since the last sync, for deployments
+  // without getFollowing. The scan can only start at the contract's
+  // deploymentBlock, so on older deployments it misses earlier follows.
+  const syncFollows = async () => {
+    if (!contract || !account) return;
+
+    try {
+      const { changes, toBlock } = await fetchFollowChanges(contract, account);
+      const result = await SupabaseService.applyFollowChanges(account, changes);
+
+      if (result.success) {
+        await markFollowsSynced(contract, account, toBlock);
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not sync follows from chain:', error);
+    }
+  };
+
+  // Lowercased addresses the connected account follows, read from the
+  // contract; the Supabase mirror is brought in line along the way
+  const getFollowingAddresses = async () => {
+    if (!account) return [];
+
+    const following = await getFollowList(account, 'following');
+    if (following) {
+      const mirrored = await SupabaseService.syncFollowing(account, following);
+      if (!mirrored.success) {
+        console.warn('⚠️ Follows not mirrored to Supabase:', mirrored.error);
+      }
+      return following;
+    }
+
+    await syncFollows();
+    const result = await SupabaseService.getFollowing(account);
+    return result.success ? result.data.map(row => row.following_address) : [];
+  };
+
+  return { follow, unfollow, syncFollows, getFollowList, getFollowingAddresses };
+};
+
+export default useFollow;
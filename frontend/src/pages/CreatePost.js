@@ -1,14 +1,38 @@
 // src/pages/CreatePost.js
-import React, { useState } from 'react';
-import { Upload, DollarSign, Lock, Globe } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Upload, DollarSign, Lock, Globe, Star, Clock } from 'lucide-react';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useToast } from '../contexts/ToastContext';
-import { useNavigate } from 'react-router-dom';
-import SupabaseService from '../services/supabaseService';
+import { useNavigate, Link } from 'react-router-dom';
+import SupabaseService, { STORY_LIFETIME_MS } from '../services/supabaseService';
 import CompressionIndicator from '../components/CompressionIndicator';
+import { uploadImage } from '../services/api';
+import { dataUrlToFile } from '../utils/mediaUrl';
+import { toDateTimeLocal, parseFutureDateTime } from '../utils/schedule';
+
+const MAX_SAVE_ATTEMPTS = 3;
+
+const AUDIENCES = [
+  { id: 'public', label: 'Public', icon: Globe },
+  { id: 'close_friends', label: 'Close friends', icon: Star }
+];
+
+// Retry a SupabaseService call with a linear backoff until it succeeds
+const retrySupabase = async (operation, attempts = MAX_SAVE_ATTEMPTS) => {
+  let result;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    result = await operation();
+    if (result.success) return result;
+    console.warn(`Attempt ${attempt}/${attempts} failed:`, result.error);
+    if (attempt < attempts) {
+      await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+    }
+  }
+  return result;
+};
 
 const CreatePost = () => {
-  const { account, user, contract } = useWeb3(); // Added contract from context
+  const { account, user, contract, createContent, findContentIdsByHash, getCreatorTiers } = useWeb3();
   const { toast } = useToast();
   const navigate = useNavigate();
   
@@ -16,26 +40,77 @@ const CreatePost = () => {
     file: null,
     isPaid: false,
     price: '',
-    description: ''
+    tierId: '',
+    description: '',
+    audience: 'public',
+    scheduled: false,
+    publishAt: '' // datetime-local value
   });
+  const [tiers, setTiers] = useState([]);
   const [preview, setPreview] = useState(null);
   const [uploading, setUploading] = useState(false);
   const [compressionData, setCompressionData] = useState(null);
   const [compressionProfile, setCompressionProfile] = useState('standard');
 
-  // Upload image function (placeholder for IPFS or cloud storage)
-  const uploadImage = async (file) => {
+  // Link paid posts saved before their on-chain registration (the old order),
+  // which stay hidden from others until they have a content_id
+  useEffect(() => {
+    const syncUnlinkedPosts = async () => {
+      const result = await SupabaseService.getUnlinkedPaidPosts(account);
+      if (!result.success || result.data.length === 0) return;
+
+      const contentIds = await findContentIdsByHash(result.data.map(post => post.content_hash));
+
+      for (const post of result.data) {
+        const contentId = contentIds[post.content_hash];
+        if (contentId) {
+          console.log('🔗 Linking post', post.id, 'to on-chain content', contentId);
+          await SupabaseService.linkPostToContent(post.id, account, contentId);
+        }
+      }
+    };
+
+    if (account && contract) {
+      syncUnlinkedPosts();
+    }
+  }, [account, contract]);
+
+  useEffect(() => {
+    const loadTiers = async () => {
+      const creatorTiers = await getCreatorTiers(account);
+      setTiers(creatorTiers.filter(tier => tier.active));
+    };
+
+    if (account && contract) {
+      loadTiers();
+    }
+  }, [account, contract]);
+
+  // Register a paid post on-chain before it is saved, so it never shows up in
+  // feeds (or sends mentions) without a content id to buy it by
+  const registerPaidContent = async (contentHash, tierId) => {
+    const chainResult = await createContent(contentHash, formData.price, true, tierId);
+
+    if (!chainResult.success) {
+      throw new Error(chainResult.message);
+    }
+    return chainResult.contentId;
+  };
+
+  // Upload the post or story media to Supabase Storage and return its storage path.
+  // Images are compressed first; videos are uploaded as-is.
+  const uploadMedia = async (file, folder) => {
+    let uploadFile = file;
+    if (file.type.startsWith('image/')) {
+      const compressedDataUrl = await compressImage(file, 0.7);
+      uploadFile = dataUrlToFile(compressedDataUrl, file.name.replace(/\.[^.]+$/, '') + '.jpg');
+    }
+
     try {
-      // Convert to base64 for now - you can replace this with actual IPFS upload
-      const base64Data = await compressImage(file, 0.7);
-      
-      // For production, upload to IPFS and return the hash
-      // const ipfsHash = await ipfsClient.add(file);
-      // return `https://ipfs.io/ipfs/${ipfsHash}`;
-      
-      return base64Data; // Temporary - return base64 for database storage
+      const path = await uploadImage(uploadFile, `${folder}/${account}`);
+      return { path, file: uploadFile };
     } catch (error) {
-      throw new Error('Failed to upload image: ' + error.message);
+      throw new Error('Failed to upload media: ' + error.message);
     }
   };
 
@@ -124,6 +199,19 @@ const CreatePost = () => {
     }
   };
 
+  // The scheduled publish time, null to publish now, or undefined when the
+  // chosen time is missing or already past
+  const getPublishAt = () => {
+    if (!formData.scheduled) return null;
+
+    const publishAt = parseFutureDateTime(formData.publishAt);
+    if (!publishAt) {
+      toast.warning('Please pick a publish time in the future');
+      return undefined;
+    }
+    return publishAt;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -137,71 +225,89 @@ const CreatePost = () => {
       return;
     }
 
+    // Premium posts can be bought as soon as they are registered on-chain,
+    // which can't wait for a publish time
+    if (formData.isPaid && formData.scheduled) {
+      toast.warning('Premium posts can\'t be scheduled. Publish now or make the post free.');
+      return;
+    }
+
+    const publishAt = getPublishAt();
+    if (publishAt === undefined) return;
+
     try {
       setUploading(true);
       console.log('Starting upload process...');
       
-      // Convert file to base64 (compressed for images)
-      let base64Data;
-      if (formData.file.type.startsWith('image/')) {
-        base64Data = await compressImage(formData.file, 0.7);
-        
-        // Update compression data
-        const compressedSize = Math.round((base64Data.length * 3) / 4);
+      const { path, file: uploadedFile } = await uploadMedia(formData.file, 'posts');
+      if (uploadedFile !== formData.file) {
         setCompressionData(prev => ({
           ...prev,
-          compressedSize
+          compressedSize: uploadedFile.size
         }));
-      } else {
-        // For videos, convert to base64 without compression
-        const reader = new FileReader();
-        base64Data = await new Promise((resolve) => {
-          reader.onload = () => resolve(reader.result);
-          reader.readAsDataURL(formData.file);
-        });
       }
 
-
       // Save to Supabase with exact posts table structure
       const contentHash = `content_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
-      const contentId = Math.floor(Math.random() * 2147483647);
+      const tierId = formData.isPaid && formData.tierId !== '' ? parseInt(formData.tierId, 10) : null;
+      const contentId = formData.isPaid ? await registerPaidContent(contentHash, tierId) : null;
 
       const postData = {
-        content_id: contentId,
+        content_id: contentId, // From the ContentCreated event for paid posts
         creator_address: account,
         username: user?.username || `User${account.substring(0, 6)}`,
         description: formData.description || '',
         content_hash: contentHash,
-        image_url: base64Data, // Image/video data goes in image_url field
+        image_url: path, // Storage path in the media bucket
+        file_name: formData.file.name,
+        file_type: uploadedFile.type,
+        file_size: uploadedFile.size,
         price: formData.isPaid ? parseFloat(formData.price) : 0,
         is_paid: formData.isPaid,
+        tier_id: tierId,
+        audience: formData.isPaid ? 'public' : formData.audience,
+        ...(publishAt && { publish_at: publishAt.toISOString() }),
         likes: 0,
         purchase_count: 0
       };
 
-      const result = await SupabaseService.createPost(postData);
+      // A paid post is already registered on-chain by now, so try harder to save it
+      const result = formData.isPaid
+        ? await retrySupabase(() => SupabaseService.createPost(postData))
+        : await SupabaseService.createPost(postData);
       
       if (!result.success) {
         console.error('Supabase error:', result.error);
-        throw new Error('Failed to save post: ' + result.error);
+        throw new Error(formData.isPaid
+          ? `Content ${contentId} was registered on-chain, but the post could not be saved: ${result.error}`
+          : 'Failed to save post: ' + result.error);
       }
 
       console.log('Post saved to Supabase:', result.data);
-      toast.success('✅ Post created successfully! Your content is now live!');
+
+      if (publishAt) {
+        toast.success(`🗓️ Post scheduled for ${publishAt.toLocaleString()}`);
+      } else {
+        toast.success('✅ Post created successfully! Your content is now live!');
+      }
       
       // Reset form
       setFormData({
         file: null,
         isPaid: false,
         price: '',
-        description: ''
+        tierId: '',
+        description: '',
+        audience: 'public',
+        scheduled: false,
+        publishAt: ''
       });
       setPreview(null);
       setCompressionData(null);
       
-      // Navigate to home
+      // Navigate to home, or to the queue for scheduled posts
       setTimeout(() => {
-        navigate('/');
+        navigate(publishAt ? '/scheduled' : '/');
       }, 1000);
       
     } catch (error) {
@@ -219,22 +325,15 @@ const CreatePost = () => {
       return;
     }
 
+    const publishAt = getPublishAt();
+    if (publishAt === undefined) return;
+
     try {
       setUploading(true);
       console.log('Creating story...');
       
       // 1. Upload image/video
-      let imageUrl;
-      if (formData.file.type.startsWith('image/')) {
-        imageUrl = await uploadImage(formData.file); // Using compressed image
-      } else {
-        // For videos, convert to base64
-        const reader = new FileReader();
-        imageUrl = await new Promise((resolve) => {
-          reader.onload = () => resolve(reader.result);
-          reader.readAsDataURL(formData.file);
-        });
-      }
+      const { path, file: uploadedFile } = await uploadMedia(formData.file, 'stories');
       
       // 2. Generate content hash for blockchain interaction
       const contentHash = `story_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
@@ -252,8 +351,8 @@ const CreatePost = () => {
         }
       }
       
-      // 4. Calculate expiry time (24 hours from now)
-      const expiryTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      // 4. Calculate expiry time (24 hours after it is published)
+      const expiryTime = new Date((publishAt || new Date()).getTime() + STORY_LIFETIME_MS);
       
       // 5. Save to Supabase with exact table structure
       const storyData = {
@@ -261,14 +360,18 @@ const CreatePost = () => {
         username: user?.username || `User${account.substring(0, 6)}`,
         content: formData.description || '', // Text description
         content_hash: contentHash,
-        image_url: imageUrl, // Image/video data goes in image_url field
-        expires_at: expiryTime.toISOString()
+        image_url: path, // Storage path in the media bucket
+        file_name: formData.file.name,
+        file_type: uploadedFile.type,
+        expires_at: expiryTime.toISOString(),
+        audience: formData.audience,
+        ...(publishAt && { publish_at: publishAt.toISOString() })
       };
 
       console.log('Story data being saved:', {
         creator_address: storyData.creator_address,
         content_length: storyData.content.length,
-        image_url_length: storyData.image_url.length,
+        image_url: storyData.image_url,
         expires_at: storyData.expires_at,
         content_hash: storyData.content_hash
       });
@@ -281,14 +384,22 @@ const CreatePost = () => {
       }
 
       console.log('Story saved to Supabase:', result.data);
-      toast.success('📱 Story created successfully! It will be visible for 24 hours.');
+      if (publishAt) {
+        toast.success(`🗓️ Story scheduled for ${publishAt.toLocaleString()}`);
+      } else {
+        toast.success('📱 Story created successfully! It will be visible for 24 hours.');
+      }
       
       // Reset form
       setFormData({
         file: null,
         isPaid: false,
         price: '',
-        description: ''
+        tierId: '',
+        description: '',
+        audience: 'public',
+        scheduled: false,
+        publishAt: ''
       });
       setPreview(null);
       setCompressionData(null);
@@ -296,9 +407,9 @@ const CreatePost = () => {
       // Trigger refresh
       window.dispatchEvent(new CustomEvent('refreshFeed'));
       
-      // Navigate to home
+      // Navigate to home, or to the queue for scheduled stories
       setTimeout(() => {
-        navigate('/');
+        navigate(publishAt ? '/scheduled' : '/');
       }, 1000);
       
     } catch (error) {
@@ -313,7 +424,16 @@ const CreatePost = () => {
     <div className="max-w-2xl mx-auto">
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
         <div className="border-b border-gray-200 p-6">
-          <h1 className="text-2xl font-bold text-gray-900">Create New Content</h1>
+          <div className="flex items-center justify-between">
+            <h1 className="text-2xl font-bold text-gray-900">Create New Content</h1>
+            <Link
+              to="/scheduled"
+              className="flex items-center text-sm text-blue-500 hover:text-blue-600"
+            >
+              <Clock size={16} className="mr-1" />
+              Scheduled
+            </Link>
+          </div>
           <p className="text-gray-600 mt-1">Share your creativity with the world</p>
         </div>
         
@@ -404,7 +524,7 @@ const CreatePost = () => {
             <div className="grid grid-cols-2 gap-4">
               <button
                 type="button"
-                onClick={() => setFormData({ ...formData, isPaid: false, price: '' })}
+                onClick={() => setFormData({ ...formData, isPaid: false, price: '', tierId: '' })}
                 className={`p-4 rounded-lg border-2 transition-all ${
                   !formData.isPaid
                     ? 'border-green-500 bg-green-50'
@@ -420,7 +540,7 @@ const CreatePost = () => {
 
               <button
                 type="button"
-                onClick={() => setFormData({ ...formData, isPaid: true })}
+                onClick={() => setFormData({ ...formData, isPaid: true, audience: 'public' })}
                 className={`p-4 rounded-lg border-2 transition-all ${
                   formData.isPaid
                     ? 'border-purple-500 bg-purple-50'
@@ -454,16 +574,96 @@ const CreatePost = () => {
               <p className="text-sm text-gray-500 mt-1">
                 Minimum: 0.001 BNB. Platform fee: 2%
               </p>
+
+              {tiers.length > 0 && (
+                <div className="mt-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Include in Subscription Tier</label>
+                  <select
+                    value={formData.tierId}
+                    onChange={(e) => setFormData({ ...formData, tierId: e.target.value })}
+                    className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                  >
+                    <option value="">Purchase only</option>
+                    {tiers.map((tier) => (
+                      <option key={tier.id} value={tier.id}>
+                        {tier.name} ({tier.price} BNB / {tier.periodDays} days)
+                      </option>
+                    ))}
+                  </select>
+                  <p className="text-sm text-gray-500 mt-1">
+                    Subscribers to this tier unlock the post without buying it
+                  </p>
+                </div>
+              )}
             </div>
           )}
 
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Audience</label>
+            <div className="flex space-x-2">
+              {AUDIENCES.map(option => {
+                const selected = formData.audience === option.id;
+                return (
+                  <button
+                    key={option.id}
+                    type="button"
+                    onClick={() => setFormData({ ...formData, audience: option.id })}
+                    disabled={option.id === 'close_friends' && formData.isPaid}
+                    className={`flex-1 flex items-center justify-center px-4 py-2 rounded-lg border-2 text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed transition-all ${
+                      selected
+                        ? 'border-green-500 bg-green-50 text-green-800'
+                        : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    <option.icon size={16} className="mr-2" />
+                    {option.label}
+                  </button>
+                );
+              })}
+            </div>
+            <p className="text-sm text-gray-500 mt-1">
+              {formData.isPaid
+                ? 'Premium posts are always public'
+                : 'Close friends posts and stories are only shown to people on your close friends list'}
+            </p>
+          </div>
+
+          <div>
+            <label className="flex items-center space-x-2 text-sm font-medium text-gray-700 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={formData.scheduled}
+                onChange={(e) => setFormData({ ...formData, scheduled: e.target.checked })}
+                className="rounded border-gray-300 text-blue-500 focus:ring-blue-500"
+              />
+              <Clock size={16} className="text-gray-500" />
+              <span>Schedule for later</span>
+            </label>
+            {formData.scheduled && (
+              <div className="mt-2">
+                <input
+                  type="datetime-local"
+                  value={formData.publishAt}
+                  min={toDateTimeLocal(new Date())}
+                  onChange={(e) => setFormData({ ...formData, publishAt: e.target.value })}
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                />
+                <p className="text-sm text-gray-500 mt-1">
+                  {formData.isPaid
+                    ? 'Premium posts can\'t be scheduled, only stories. Stories stay up for 24 hours from this time.'
+                    : 'Only you can see it until then. Stories stay up for 24 hours from this time.'}
+                </p>
+              </div>
+            )}
+          </div>
+
           <div className="flex space-x-4">
             <button
               type="submit"
               disabled={uploading || !formData.file}
               className="flex-1 bg-gradient-to-r from-purple-500 to-pink-500 text-white py-3 rounded-lg font-semibold hover:from-purple-600 hover:to-pink-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
             >
-              {uploading ? 'Creating...' : 'Create Post'}
+              {uploading ? 'Creating...' : formData.scheduled ? 'Schedule Post' : 'Create Post'}
             </button>
             
             <button
@@ -472,7 +672,7 @@ const CreatePost = () => {
               disabled={uploading || !formData.file}
               className="bg-orange-500 text-white px-6 py-3 rounded-lg font-semibold hover:bg-orange-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
-              Story
+              {formData.scheduled ? 'Schedule Story' : 'Story'}
             </button>
           </div>
 
@@ -482,8 +682,7 @@ const CreatePost = () => {
               <li>• Content saved to Supabase database</li>
               <li>• Images automatically compressed</li>
               <li>• Stories expire after 24 hours</li>
-              <li>• Premium content supports payments</li>
-              <li>• Blockchain integration ready</li>
+              <li>• Premium content is registered on-chain</li>
               <li>• IPFS upload capability (when configured)</li>
             </ul>
           </div>
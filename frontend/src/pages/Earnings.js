@@ -1,14 +1,33 @@
 // src/pages/Earnings.js
-/* global BigInt */
 import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
-import { DollarSign, TrendingUp, Download, Eye } from 'lucide-react';
+import { DollarSign, TrendingUp, Download, Eye, Star, ImageIcon, Gift, BarChart3, ExternalLink, FileSpreadsheet, FileJson } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
 import { useToast } from '../contexts/ToastContext';
+import { fetchEarningsHistory, summarizeByContent, groupRevenueByPeriod } from '../utils/earningsHistory';
+import { buildEarningsReport, reportToCsv, reportToJson, downloadReport } from '../utils/earningsExport';
+import SupabaseService from '../services/supabaseService';
 
-const Earnings = ({ contract, user }) => {
+const CHART_PERIODS = [
+  { id: 'day', label: 'Daily' },
+  { id: 'week', label: 'Weekly' },
+  { id: 'month', label: 'Monthly' }
+];
+
+const Earnings = () => {
+  const { contract, user, isLegacyContract } = useWeb3();
   const { toast } = useToast();
   const [earnings, setEarnings] = useState('0');
+  const [revenueSplit, setRevenueSplit] = useState({ content: '0', subscriptions: '0', tips: '0' });
   const [contentStats, setContentStats] = useState([]);
+  const [history, setHistory] = useState([]);
+  // False when the contract can't say where its history starts and only recent events were scanned
+  const [historyComplete, setHistoryComplete] = useState(true);
+  const [chartPeriod, setChartPeriod] = useState('day');
+  const [scanProgress, setScanProgress] = useState(null);
+  const [fiatRate, setFiatRate] = useState('');
+  const [fiatCurrency, setFiatCurrency] = useState('USD');
+  const [exporting, setExporting] = useState(false);
   const [withdrawing, setWithdrawing] = useState(false);
   const [loading, setLoading] = useState(true);
 
@@ -18,28 +37,69 @@ const Earnings = ({ contract, user }) => {
     }
   }, [contract, user]);
 
+  // Each part loads on its own so one failing chain call (e.g. against an
+  // older deployment) doesn't blank the whole page
   const loadEarningsData = async () => {
+    setLoading(true);
+
     try {
-      setLoading(true);
-      
       const userData = await contract.getUser(user.address);
       setEarnings(ethers.formatEther(userData.totalEarnings));
-      
+    } catch (error) {
+      console.error('Error loading earnings balance:', error);
+      toast.error('Failed to load earnings balance');
+    }
+
+    // Older deployments don't keep a per-source split
+    if (!isLegacyContract) {
+      try {
+        const [contentRevenue, subscriptionRevenue, tipRevenue] = await Promise.all([
+          contract.contentRevenue(user.address),
+          contract.subscriptionRevenue(user.address),
+          contract.tipRevenue(user.address)
+        ]);
+        setRevenueSplit({
+          content: ethers.formatEther(contentRevenue),
+          subscriptions: ethers.formatEther(subscriptionRevenue),
+          tips: ethers.formatEther(tipRevenue)
+        });
+      } catch (error) {
+        console.warn('⚠️ Revenue split unavailable:', error);
+      }
+    }
+
+    let events = [];
+    try {
+      setScanProgress(0);
+      const scanned = await fetchEarningsHistory(contract, user.address, setScanProgress);
+      events = scanned.events;
+      setHistory(events);
+      setHistoryComplete(scanned.complete);
+    } catch (error) {
+      console.error('Error loading earnings history:', error);
+      toast.error('Failed to load earnings history');
+    } finally {
+      setScanProgress(null);
+    }
+
+    try {
+      const revenueByContent = summarizeByContent(events);
       const contentIds = await contract.getUserContents(user.address);
       const stats = [];
       
       for (let id of contentIds) {
         try {
           const content = await contract.getContent(Number(id));
-          const purchaseCount = Number(content.purchaseCount);
+          const revenue = revenueByContent[Number(id)] || { purchases: 0, net: 0n };
           
           stats.push({
             id: Number(id),
             contentHash: content.contentHash,
-            price: content.price,
+            price: ethers.formatEther(content.price),
             isPaid: content.isPaid,
-            purchaseCount,
-            earnings: content.isPaid ? content.price * BigInt(purchaseCount) * 98n / 100n : 0n,
+            // The contract's count covers sales older than a partial history scan
+            purchaseCount: Number(content.purchaseCount),
+            earnings: revenue.net,
             timestamp: Number(content.timestamp)
           });
         } catch (error) {
@@ -48,9 +108,9 @@ const Earnings = ({ contract, user }) => {
       }
       
       setContentStats(stats.sort((a, b) => b.timestamp - a.timestamp));
-      
     } catch (error) {
-      console.error('Error loading earnings data:', error);
+      console.error('Error loading content stats:', error);
+      toast.error('Failed to load content performance');
     } finally {
       setLoading(false);
     }
@@ -74,6 +134,52 @@ const Earnings = ({ contract, user }) => {
     }
   };
 
+  const handleExport = async (format) => {
+    try {
+      setExporting(true);
+
+      const rate = parseFloat(fiatRate);
+      if (fiatRate && (isNaN(rate) || rate <= 0)) {
+        toast.warning('Please enter a valid conversion rate');
+        return;
+      }
+
+      const sales = await SupabaseService.getCreatorSales(user.address);
+      if (!sales.success) {
+        toast.warning('Could not load purchase records, exporting contract events only');
+      }
+
+      const rows = buildEarningsReport(history, sales.success ? sales.data : [], rate || null, fiatCurrency || 'USD');
+      const filename = `earnings-${user.address.slice(0, 8)}-${new Date().toISOString().slice(0, 10)}`;
+
+      if (format === 'csv') {
+        downloadReport(reportToCsv(rows), `${filename}.csv`, 'text/csv');
+      } else {
+        const metadata = {
+          creator: user.address,
+          historyComplete,
+          fiatRate: rate || null,
+          fiatCurrency: rate ? fiatCurrency : null
+        };
+        downloadReport(reportToJson(rows, metadata), `${filename}.json`, 'application/json');
+      }
+
+      if (!historyComplete) {
+        toast.warning('Contract history is partial: only recent events are included');
+      }
+      const unverified = rows.filter(row => row.source === 'unverified').length;
+      if (unverified > 0) {
+        toast.warning(`${unverified} purchase records have no matching contract event and are marked unverified without amounts`);
+      }
+      toast.success(`Exported ${rows.length} records`);
+    } catch (error) {
+      console.error('Export error:', error);
+      toast.error('Export failed: ' + error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   const formatTimeAgo = (timestamp) => {
     const now = Math.floor(Date.now() / 1000);
     const diff = now - timestamp;
@@ -95,11 +201,20 @@ const Earnings = ({ contract, user }) => {
               </div>
             ))}
           </div>
+          {scanProgress !== null && (
+            <p className="text-sm text-gray-500 text-center">
+              Scanning contract history... {Math.round(scanProgress * 100)}%
+            </p>
+          )}
         </div>
       </div>
     );
   }
 
+  const chartData = groupRevenueByPeriod(history, chartPeriod);
+  const chartMax = Math.max(...chartData.map(bucket => bucket.value), 0);
+  const withdrawals = history.filter(event => event.type === 'withdrawal').reverse();
+
   return (
     <div className="max-w-4xl mx-auto space-y-6">
       <div className="bg-gradient-to-r from-purple-500 to-pink-500 rounded-xl text-white p-6">
@@ -107,6 +222,14 @@ const Earnings = ({ contract, user }) => {
         <p className="opacity-90">Track your content performance and withdraw your earnings</p>
       </div>
 
+      {!historyComplete && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-4 text-sm text-yellow-800">
+          This contract deployment can't report where its history starts, so the chart, per-post
+          revenue, withdrawals and export only include recent activity. Your balance and sales counts
+          come straight from the contract and are complete.
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
           <div className="flex items-center justify-between mb-4">
@@ -138,6 +261,89 @@ const Earnings = ({ contract, user }) => {
         </div>
       </div>
 
+      {!isLegacyContract && (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Revenue by Source</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div className="flex items-center space-x-4">
+              <div className="w-12 h-12 bg-purple-100 rounded-lg flex items-center justify-center">
+                <ImageIcon className="text-purple-600" size={24} />
+              </div>
+              <div>
+                <div className="text-sm text-gray-500">Per-post sales</div>
+                <div className="text-xl font-bold text-gray-900">{parseFloat(revenueSplit.content).toFixed(4)} BNB</div>
+              </div>
+            </div>
+            <div className="flex items-center space-x-4">
+              <div className="w-12 h-12 bg-yellow-100 rounded-lg flex items-center justify-center">
+                <Star className="text-yellow-600" size={24} />
+              </div>
+              <div>
+                <div className="text-sm text-gray-500">Subscriptions</div>
+                <div className="text-xl font-bold text-gray-900">{parseFloat(revenueSplit.subscriptions).toFixed(4)} BNB</div>
+              </div>
+            </div>
+            <div className="flex items-center space-x-4">
+              <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center">
+                <Gift className="text-green-600" size={24} />
+              </div>
+              <div>
+                <div className="text-sm text-gray-500">Tips</div>
+                <div className="text-xl font-bold text-gray-900">{parseFloat(revenueSplit.tips).toFixed(4)} BNB</div>
+              </div>
+            </div>
+          </div>
+          <p className="text-xs text-gray-400 mt-4">Lifetime revenue after platform fees</p>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-lg font-semibold text-gray-900 flex items-center">
+            <BarChart3 size={20} className="text-purple-500 mr-2" />
+            Revenue Over Time
+          </h3>
+          <div className="flex bg-gray-100 rounded-lg p-1">
+            {CHART_PERIODS.map((period) => (
+              <button
+                key={period.id}
+                onClick={() => setChartPeriod(period.id)}
+                className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                  chartPeriod === period.id
+                    ? 'bg-white text-purple-700 shadow-sm'
+                    : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {period.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {chartData.length === 0 ? (
+          <p className="text-sm text-gray-500 text-center py-8">No revenue yet</p>
+        ) : (
+          <div className="flex items-end space-x-1 h-48">
+            {chartData.map((bucket) => (
+              <div
+                key={bucket.label}
+                className="flex-1 flex flex-col items-center justify-end h-full group"
+                title={`${bucket.label}: ${bucket.value.toFixed(4)} BNB`}
+              >
+                <div
+                  className="w-full bg-gradient-to-t from-purple-500 to-pink-400 rounded-t group-hover:opacity-80 transition-opacity"
+                  style={{ height: chartMax > 0 ? `${(bucket.value / chartMax) * 100}%` : '0%' }}
+                ></div>
+                {chartData.length <= 12 && (
+                  <span className="text-xs text-gray-500 mt-2 whitespace-nowrap">{bucket.label}</span>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+        <p className="text-xs text-gray-400 mt-4">Purchases, subscriptions and tips after the platform fee in force at the time</p>
+      </div>
+
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
         <div className="flex items-center justify-between">
           <div>
@@ -235,7 +441,7 @@ const Earnings = ({ contract, user }) => {
                       {content.purchaseCount}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-green-600">
-                      {content.isPaid ? `${ethers.formatEther(content.earnings)} BNB` : '-'}
+                      {content.isPaid ? `${parseFloat(ethers.formatEther(content.earnings)).toFixed(4)} BNB` : '-'}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {formatTimeAgo(content.timestamp)}
@@ -248,6 +454,87 @@ const Earnings = ({ contract, user }) => {
         )}
       </div>
 
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <div className="p-6 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Withdrawal History</h3>
+        </div>
+
+        {withdrawals.length === 0 ? (
+          <p className="p-6 text-sm text-gray-500">No withdrawals yet</p>
+        ) : (
+          <div className="divide-y divide-gray-200">
+            {withdrawals.map((withdrawal) => (
+              <div key={withdrawal.transactionHash} className="px-6 py-4 flex items-center justify-between">
+                <div>
+                  <div className="text-sm font-medium text-gray-900">
+                    {parseFloat(ethers.formatEther(withdrawal.gross)).toFixed(4)} BNB
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {withdrawal.timestamp ? new Date(withdrawal.timestamp * 1000).toLocaleString() : `Block ${withdrawal.blockNumber}`}
+                  </div>
+                </div>
+                <a
+                  href={`https://testnet.bscscan.com/tx/${withdrawal.transactionHash}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-sm text-purple-600 hover:text-purple-700 flex items-center space-x-1"
+                >
+                  <span>{withdrawal.transactionHash.slice(0, 10)}...</span>
+                  <ExternalLink size={14} />
+                </a>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
+        <h3 className="text-lg font-semibold text-gray-900 mb-2">Export for Tax Reporting</h3>
+        <p className="text-sm text-gray-600 mb-4">
+          Download every purchase, subscription, tip and withdrawal with gross, fee and net amounts.
+          Optionally add a fiat value using your own conversion rate.
+        </p>
+        <div className="flex flex-col md:flex-row md:items-center gap-3">
+          <div className="flex items-center gap-2">
+            <span className="text-sm text-gray-600 whitespace-nowrap">1 BNB =</span>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={fiatRate}
+              onChange={(e) => setFiatRate(e.target.value)}
+              placeholder="Rate (optional)"
+              className="w-36 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+            <input
+              type="text"
+              maxLength={3}
+              value={fiatCurrency}
+              onChange={(e) => setFiatCurrency(e.target.value.toUpperCase())}
+              className="w-20 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+            />
+          </div>
+          <div className="flex gap-2 md:ml-auto">
+            <button
+              onClick={() => handleExport('csv')}
+              disabled={exporting}
+              className="bg-purple-500 text-white px-4 py-2 rounded-lg hover:bg-purple-600 disabled:opacity-50 transition-colors flex items-center space-x-2"
+            >
+              <FileSpreadsheet size={18} />
+              <span>CSV</span>
+            </button>
+            <button
+              onClick={() => handleExport('json')}
+              disabled={exporting}
+              className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors flex items-center space-x-2"
+            >
+              <FileJson size={18} />
+              <span>JSON</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
       <div className="bg-gradient-to-r from-blue-50 to-purple-50 border border-blue-200 rounded-xl p-6">
         <h3 className="font-semibold text-blue-900 mb-4">Tips to Increase Earnings</h3>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm text-blue-800">
@@ -1,6 +1,6 @@
 // src/pages/Home.js
-import React, { useState, useEffect } from 'react';
-import { Lock, Plus, Trash2, MoreHorizontal } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Lock, Plus, Trash2, MoreHorizontal, Flag, Star } from 'lucide-react';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useLikes } from '../contexts/LikesContext';
 import { useComments } from '../contexts/CommentsContext';
@@ -10,11 +10,44 @@ import SupabaseService from '../services/supabaseService';
 import LikeButton from '../components/LikeButton';
 import CommentButton from '../components/CommentButton';
 import ShareButton from '../components/ShareButton';
+import TipButton from '../components/TipButton';
+import RichText from '../components/RichText';
 import PostDetailModal from '../components/PostDetailModal';
 import SuggestedProfiles from '../components/SuggestedProfiles';
+import ReportModal from '../components/ReportModal';
+import StoryViewer from '../components/StoryViewer';
+import usePostPurchase from '../hooks/usePostPurchase';
+import useFollow from '../hooks/useFollow';
+import { resolveMediaUrl, isVideoUrl } from '../utils/mediaUrl';
+
+const FEED_PAGE_SIZE = 10;
+
+// Convert a Supabase post row to the shape ContentCard expects
+const toFeedContent = (post) => ({
+  id: post.id,
+  contentId: post.content_id, // On-chain content id
+  creator: post.creator_address,
+  creatorData: {
+    username: post.username || `User${post.creator_address?.substring(0, 6) || 'Unknown'}`,
+    profileImage: '', // TODO: Add user profile image lookup
+    address: post.creator_address,
+    isCreator: true
+  },
+  content: resolveMediaUrl(post.image_url), // Storage path or legacy base64 data URL
+  description: post.description || '',
+  isPaid: post.is_paid || false,
+  price: post.price ? post.price.toString() : '0',
+  timestamp: Math.floor(new Date(post.publish_at).getTime() / 1000),
+  likes: post.likes || 0,
+  comments: [],
+  purchaseCount: post.purchase_count || 0,
+  audience: post.audience || 'public'
+});
 
 const Home = () => {
-  const { contract, user, account, loading: web3Loading, becomeCreator } = useWeb3();
+  const { user, account, loading: web3Loading, becomeCreator } = useWeb3();
+  const { buyContent: purchaseContent, checkContentAccess } = usePostPurchase();
+  const { follow, getFollowingAddresses } = useFollow();
   const { initializeMultipleLikes } = useLikes();
   const { initializeMultipleComments } = useComments();
   const { toast } = useToast();
@@ -24,11 +57,19 @@ const Home = () => {
   const [loading, setLoading] = useState(true);
   const [showPostDetail, setShowPostDetail] = useState(false);
   const [selectedPost, setSelectedPost] = useState(null);
+  // { type, id, owner } of the post being reported
+  const [reportTarget, setReportTarget] = useState(null);
   const [showStoryViewer, setShowStoryViewer] = useState(false);
-  const [selectedStory, setSelectedStory] = useState(null);
   const [currentStoryIndex, setCurrentStoryIndex] = useState(0);
   const [followingAddresses, setFollowingAddresses] = useState([]);
   const [hasFollows, setHasFollows] = useState(true);
+  const [feedTab, setFeedTab] = useState('following');
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Pagination state for the current feed load: a refresh replaces the object,
+  // so pages still in flight for an older load can tell they're stale
+  const feedRef = useRef({ fetchPage: null, cursor: null, nextPage: null });
+  const loadMoreRef = useRef(null);
 
   // Redirect to login if not authenticated
   useEffect(() => {
@@ -40,8 +81,7 @@ const Home = () => {
 
   useEffect(() => {
     if (account) {
-      loadFollowingList();
-      loadFeedData();
+      loadInitialFeed();
       loadStoriesData();
     }
   }, [account]);
@@ -51,8 +91,7 @@ const Home = () => {
     const handleRefreshFeed = () => {
       console.log('Refresh feed requested');
       if (account) {
-        loadFollowingList();
-        loadFeedData();
+        loadInitialFeed();
         loadStoriesData();
       }
     };
@@ -65,39 +104,71 @@ const Home = () => {
     try {
       console.log('📋 Loading following list for:', account);
 
-      if (!contract) {
-        console.log('⚠️ Contract not available yet');
-        return;
-      }
-
-      // Get the list of addresses the user is following from the smart contract
-      const following = await contract.getFollowing(account);
+      // Follows mirrored from the contract's events, synced with the chain first
+      const following = await getFollowingAddresses();
       console.log('✅ User is following:', following.length, 'addresses', following);
 
       setFollowingAddresses(following);
       setHasFollows(following.length > 0);
+      return following;
     } catch (error) {
       console.error('❌ Error loading following list:', error);
       setFollowingAddresses([]);
       setHasFollows(false);
+      return [];
+    }
+  };
+
+  // Users who follow nobody land on Explore so they see content straight away
+  const loadInitialFeed = async () => {
+    const following = await loadFollowingList();
+    const tab = following.length > 0 ? 'following' : 'explore';
+    setFeedTab(tab);
+    loadFeedData(tab, following);
+  };
+
+  const switchFeedTab = (tab) => {
+    if (tab === feedTab) return;
+    setFeedTab(tab);
+    loadFeedData(tab, followingAddresses);
+  };
+
+  // Start fetching the page after `cursor` so it's ready before the user reaches the end
+  const prefetchNextPage = (feed, cursor) => {
+    feed.cursor = cursor;
+    feed.nextPage = cursor ? feed.fetchPage(cursor) : null;
+    setHasMore(!!cursor);
+  };
+
+  const initializePageInteractions = async (pageContents) => {
+    if (pageContents.length > 0 && account) {
+      const contentIds = pageContents.map(content => content.id.toString());
+      await initializeMultipleLikes(contentIds);
+      await initializeMultipleComments(contentIds);
     }
   };
 
-  const loadFeedData = async () => {
+  const loadFeedData = async (tab, addresses) => {
+    const fetchPage = tab === 'explore'
+      ? (cursor) => SupabaseService.getExplorePosts({ limit: FEED_PAGE_SIZE, cursor, excludeAddress: account })
+      : (cursor) => SupabaseService.getPostsByCreators(addresses, { limit: FEED_PAGE_SIZE, cursor });
+    const feed = { fetchPage, cursor: null, nextPage: null };
+    feedRef.current = feed;
+
     try {
       setLoading(true);
-      console.log('📰 Loading following-only feed from Supabase...');
-      console.log('👥 Following addresses:', followingAddresses);
+      setHasMore(false);
+      console.log(`📰 Loading ${tab} feed from Supabase...`);
 
-      // If user doesn't follow anyone, show empty feed
-      if (followingAddresses.length === 0) {
+      // If user doesn't follow anyone, the following feed is empty
+      if (tab === 'following' && addresses.length === 0) {
         console.log('📭 User is not following anyone');
         setContents([]);
-        setLoading(false);
         return;
       }
 
-      const result = await SupabaseService.getPostsByCreators(followingAddresses);
+      const result = await fetchPage(null);
+      if (feedRef.current !== feed) return;
 
       if (!result.success) {
         console.error('Error loading posts:', result.error);
@@ -105,45 +176,74 @@ const Home = () => {
         return;
       }
 
-      console.log(`✅ Loaded ${result.data.length} posts from followed creators`);
-
-      // Convert Supabase posts to expected format
-      const contentData = result.data.map(post => ({
-        id: post.id,
-        creator: post.creator_address,
-        creatorData: {
-          username: post.username || `User${post.creator_address?.substring(0, 6) || 'Unknown'}`,
-          profileImage: '', // TODO: Add user profile image lookup
-          address: post.creator_address,
-          isCreator: true
-        },
-        content: post.image_url, // base64 image data from image_url field
-        description: post.description || '',
-        isPaid: post.is_paid || false,
-        price: post.price ? post.price.toString() : '0',
-        timestamp: Math.floor(new Date(post.created_at).getTime() / 1000),
-        likes: post.likes || 0,
-        comments: [],
-        purchaseCount: post.purchase_count || 0
-      }));
+      console.log(`✅ Loaded ${result.data.length} posts for the ${tab} feed`);
 
+      const contentData = result.data.map(toFeedContent);
       setContents(contentData);
+      prefetchNextPage(feed, result.nextCursor);
 
-      // Initialize likes and comments
-      if (contentData.length > 0 && account) {
-        const contentIds = contentData.map(content => content.id.toString());
-        await initializeMultipleLikes(contentIds);
-        await initializeMultipleComments(contentIds);
-      }
+      await initializePageInteractions(contentData);
 
     } catch (error) {
       console.error('Error loading feed:', error);
       toast.error('Failed to load feed');
     } finally {
-      setLoading(false);
+      if (feedRef.current === feed) {
+        setLoading(false);
+      }
     }
   };
 
+  const loadMorePosts = async () => {
+    const feed = feedRef.current;
+    if (!feed.cursor || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+
+      // Use the prefetched page if there is one, otherwise retry from the last cursor
+      const result = await (feed.nextPage || feed.fetchPage(feed.cursor));
+      if (feedRef.current !== feed) return;
+
+      if (!result.success) {
+        feed.nextPage = null;
+        console.error('Error loading more posts:', result.error);
+        toast.error('Failed to load more posts');
+        return;
+      }
+
+      const pageContents = result.data.map(toFeedContent);
+      setContents(prev => {
+        const loadedIds = new Set(prev.map(content => content.id));
+        return [...prev, ...pageContents.filter(content => !loadedIds.has(content.id))];
+      });
+      prefetchNextPage(feed, result.nextCursor);
+
+      await initializePageInteractions(pageContents);
+    } catch (error) {
+      console.error('Error loading more posts:', error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Load the next page when the end of the feed scrolls into view
+  useEffect(() => {
+    if (!hasMore || loadingMore || !loadMoreRef.current) return;
+
+    const observer = new IntersectionObserver(
+      ([entry]) => {
+        if (entry.isIntersecting) {
+          loadMorePosts();
+        }
+      },
+      { rootMargin: '600px' }
+    );
+
+    observer.observe(loadMoreRef.current);
+    return () => observer.disconnect();
+  }, [hasMore, loadingMore, contents.length]);
+
   const loadStoriesData = async () => {
     try {
       console.log('Loading stories from Supabase...');
@@ -167,8 +267,10 @@ const Home = () => {
           address: story.creator_address,
           isCreator: true
         },
-        content: story.image_url, // base64 image data from image_url field
-        timestamp: Math.floor(new Date(story.created_at).getTime() / 1000),
+        content: resolveMediaUrl(story.image_url), // Storage path or legacy base64 data URL
+        imageUrl: story.image_url, // Copied onto story replies for their thumbnail
+        audience: story.audience || 'public',
+        timestamp: Math.floor(new Date(story.publish_at).getTime() / 1000),
         expiryTime: Math.floor(new Date(story.expires_at).getTime() / 1000)
       }));
 
@@ -199,42 +301,27 @@ const Home = () => {
     }
   };
 
-  const buyContent = async (contentId, price) => {
-    console.log('Starting content purchase...', { contentId, price });
-    
-    if (!contract) {
-      toast.error('Contract not available. Please connect your wallet.');
-      return;
-    }
-
-    if (!account) {
-      toast.error('Please connect your wallet first.');
-      return;
-    }
-
-    try {
-      // For now, simulate purchase - in production you'd interact with smart contract
-      toast.info('Purchase simulation - content unlocked!');
-      
-      // Reload feed to show updated access
-      await loadFeedData();
-      
-    } catch (error) {
-      console.error('Purchase failed:', error);
-      toast.error('Purchase failed: ' + error.message);
+  const followCreator = async (creatorAddress) => {
+    const followed = await follow(creatorAddress);
+    if (followed) {
+      setFollowingAddresses(prev => [...prev, creatorAddress.toLowerCase()]);
+      setHasFollows(true);
     }
+    return followed;
   };
 
-  const checkContentAccess = async (contentId) => {
-    if (!account) return false;
+  const isFollowingCreator = (creatorAddress) => {
+    return followingAddresses.some(address => address.toLowerCase() === creatorAddress?.toLowerCase());
+  };
 
-    try {
-      const result = await SupabaseService.checkContentAccess(account, contentId);
-      return result.success ? result.hasAccess : false;
-    } catch (error) {
-      console.error('Error checking content access:', error);
-      return false;
+  const buyContent = async (content) => {
+    const unlocked = await purchaseContent(content);
+    if (unlocked) {
+      setContents(prev => prev.map(item =>
+        item.id === content.id ? { ...item, purchaseCount: item.purchaseCount + 1 } : item
+      ));
     }
+    return unlocked;
   };
 
   const formatTimeAgo = (timestamp) => {
@@ -256,31 +343,11 @@ const Home = () => {
     return `${Math.floor(remaining / 3600)}h left`;
   };
 
-  const handleStoryClick = (story, index) => {
-    setSelectedStory(story);
+  const handleStoryClick = (index) => {
     setCurrentStoryIndex(index);
     setShowStoryViewer(true);
   };
 
-  const handleNextStory = () => {
-    if (currentStoryIndex < stories.length - 1) {
-      const nextIndex = currentStoryIndex + 1;
-      setCurrentStoryIndex(nextIndex);
-      setSelectedStory(stories[nextIndex]);
-    } else {
-      setShowStoryViewer(false);
-      setSelectedStory(null);
-    }
-  };
-
-  const handlePrevStory = () => {
-    if (currentStoryIndex > 0) {
-      const prevIndex = currentStoryIndex - 1;
-      setCurrentStoryIndex(prevIndex);
-      setSelectedStory(stories[prevIndex]);
-    }
-  };
-
   const StoriesCarousel = () => {
     if (stories.length === 0) return null;
 
@@ -305,16 +372,22 @@ const Home = () => {
             <div
               key={story.id}
               className="flex-shrink-0 text-center cursor-pointer hover:scale-105 transition-transform"
-              onClick={() => handleStoryClick(story, index)}
+              onClick={() => handleStoryClick(index)}
             >
               <div className="relative">
-                <div className="w-16 h-16 bg-gradient-to-r from-pink-400 to-white rounded-full p-0.5">
+                <div className={`w-16 h-16 rounded-full p-0.5 ${
+                  story.audience === 'close_friends' ? 'bg-green-500' : 'bg-gradient-to-r from-pink-400 to-white'
+                }`}>
                   <div className="w-full h-full rounded-full overflow-hidden">
-                    <img 
-                      src={story.content}
-                      alt={`${story.creatorData.username}'s story`}
-                      className="w-full h-full object-cover"
-                    />
+                    {isVideoUrl(story.content) ? (
+                      <video src={story.content} muted preload="metadata" className="w-full h-full object-cover" />
+                    ) : (
+                      <img
+                        src={story.content}
+                        alt={`${story.creatorData.username}'s story`}
+                        className="w-full h-full object-cover"
+                      />
+                    )}
                   </div>
                 </div>
                 <div className="absolute -bottom-1 -right-1 bg-green-500 text-white text-xs px-1 rounded">
@@ -335,12 +408,13 @@ const Home = () => {
     const [hasAccess, setHasAccess] = useState(false);
     const [purchasing, setPurchasing] = useState(false);
     const [showMenu, setShowMenu] = useState(false);
+    const [followLoading, setFollowLoading] = useState(false);
 
     useEffect(() => {
       if (!content?.id) return;
       
       const loadAccess = async () => {
-        const access = await checkContentAccess(content.id);
+        const access = await checkContentAccess(content);
         setHasAccess(access);
       };
       loadAccess();
@@ -353,8 +427,11 @@ const Home = () => {
 
     const handlePurchase = async () => {
       setPurchasing(true);
-      await buyContent(content.id, content.price);
+      const unlocked = await buyContent(content);
       setPurchasing(false);
+      if (unlocked) {
+        setHasAccess(true);
+      }
     };
 
     const handleDeleteContent = () => {
@@ -365,6 +442,17 @@ const Home = () => {
     };
 
     const isOwnPost = account && content.creator === account;
+    const canFollow = feedTab === 'explore' && !isOwnPost && !isFollowingCreator(content.creator);
+
+    const handleFollow = async () => {
+      setFollowLoading(true);
+      const followed = await followCreator(content.creator);
+      if (followed) {
+        toast.success(`Following ${content.creatorData.username}`);
+      } else {
+        setFollowLoading(false);
+      }
+    };
 
     return (
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden mb-6">
@@ -385,14 +473,31 @@ const Home = () => {
             </div>
             <div className="flex-1">
               <h3 className="font-semibold text-gray-900">{content.creatorData.username}</h3>
-              <p className="text-sm text-gray-500">{formatTimeAgo(content.timestamp)}</p>
+              <p className="text-sm text-gray-500 flex items-center">
+                {formatTimeAgo(content.timestamp)}
+                {content.audience === 'close_friends' && (
+                  <span className="ml-2 inline-flex items-center text-green-600 text-xs font-medium">
+                    <Star size={12} className="mr-0.5 fill-current" />
+                    Close friends
+                  </span>
+                )}
+              </p>
             </div>
             <div className="bg-purple-100 text-purple-800 px-2 py-1 rounded-full text-xs font-medium">
               Creator
             </div>
+            {canFollow && (
+              <button
+                onClick={handleFollow}
+                disabled={followLoading}
+                className="bg-blue-500 text-white px-3 py-1 rounded-full text-xs font-medium hover:bg-blue-600 disabled:opacity-50 transition-colors"
+              >
+                {followLoading ? '...' : 'Follow'}
+              </button>
+            )}
           </div>
           
-          {isOwnPost && (
+          {account && (
             <div className="relative">
               <button
                 onClick={() => setShowMenu(!showMenu)}
@@ -403,13 +508,26 @@ const Home = () => {
               
               {showMenu && (
                 <div className="absolute right-0 top-8 bg-white rounded-lg shadow-lg border border-gray-200 py-1 z-10 min-w-32">
-                  <button
-                    onClick={handleDeleteContent}
-                    className="flex items-center w-full px-4 py-2 text-sm text-red-600 hover:bg-red-50 transition-colors"
-                  >
-                    <Trash2 size={16} className="mr-2" />
-                    Delete Post
-                  </button>
+                  {isOwnPost ? (
+                    <button
+                      onClick={handleDeleteContent}
+                      className="flex items-center w-full px-4 py-2 text-sm text-red-600 hover:bg-red-50 transition-colors"
+                    >
+                      <Trash2 size={16} className="mr-2" />
+                      Delete Post
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => {
+                        setShowMenu(false);
+                        setReportTarget({ type: 'post', id: content.id, owner: content.creator });
+                      }}
+                      className="flex items-center w-full px-4 py-2 text-sm text-red-600 hover:bg-red-50 transition-colors"
+                    >
+                      <Flag size={16} className="mr-2" />
+                      Report Post
+                    </button>
+                  )}
                 </div>
               )}
             </div>
@@ -460,7 +578,9 @@ const Home = () => {
 
         <div className="p-4">
           {content.description && (
-            <p className="text-gray-700 mb-3">{content.description}</p>
+            <p className="text-gray-700 mb-3">
+              <RichText text={content.description} />
+            </p>
           )}
           
           <div className="flex items-center justify-between mb-3">
@@ -483,6 +603,12 @@ const Home = () => {
                 contentAuthor={content.creatorData.username}
                 contentDescription={content.description || "Amazing content on SocialWeb3"}
               />
+              <TipButton
+                creatorAddress={content.creator}
+                creatorName={content.creatorData.username}
+                contentId={content.contentId}
+                postId={content.id}
+              />
             </div>
             
             {content.isPaid && (
@@ -502,103 +628,6 @@ const Home = () => {
     );
   };
 
-  const StoryViewer = () => {
-    if (!showStoryViewer || !selectedStory) return null;
-
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-90 flex items-center justify-center z-50">
-        <div className="relative w-full h-full">
-          {/* Progress bars */}
-          <div className="absolute top-4 left-4 right-4 flex space-x-1 z-10">
-            {stories.map((_, index) => (
-              <div
-                key={index}
-                className={`flex-1 h-1 rounded-full ${
-                  index < currentStoryIndex
-                    ? 'bg-white'
-                    : index === currentStoryIndex
-                    ? 'bg-white'
-                    : 'bg-gray-400'
-                }`}
-              />
-            ))}
-          </div>
-
-          {/* Story header */}
-          <div className="absolute top-8 left-4 right-4 flex items-center justify-between z-10 pt-6">
-            <div className="flex items-center space-x-3">
-              <div className="w-8 h-8 bg-gradient-to-r from-pink-400 to-white rounded-full flex items-center justify-center">
-                <span className="text-pink-800 text-sm font-semibold">
-                  {selectedStory.creatorData.username.charAt(0).toUpperCase()}
-                </span>
-              </div>
-              <div>
-                <p className="text-pink-800 font-semibold text-sm">
-                  {selectedStory.creatorData.username}
-                </p>
-                <p className="text-gray-300 text-xs">
-                  {formatTimeAgo(selectedStory.timestamp)}
-                </p>
-              </div>
-            </div>
-            <button
-              onClick={() => setShowStoryViewer(false)}
-              className="text-white hover:text-gray-300 transition-colors"
-            >
-              ✕
-            </button>
-          </div>
-
-          {/* Story content */}
-          <div
-            className="h-full w-full flex items-center justify-center cursor-pointer"
-            onClick={handleNextStory}
-          >
-            <img
-              src={selectedStory.content}
-              alt={`${selectedStory.creatorData.username}'s story`}
-              className="max-w-full max-h-full object-contain"
-            />
-          </div>
-
-          {/* Navigation buttons */}
-          <div className="absolute inset-0 flex">
-            {/* Left half - previous story */}
-            {currentStoryIndex > 0 && (
-              <div
-                className="w-1/2 h-full cursor-pointer flex items-center justify-start pl-4"
-                onClick={handlePrevStory}
-              >
-                <div className="text-white text-2xl opacity-0 hover:opacity-100 transition-opacity">
-                  ‹
-                </div>
-              </div>
-            )}
-
-            {/* Right half - next story */}
-            <div
-              className="w-1/2 h-full cursor-pointer flex items-center justify-end pr-4 ml-auto"
-              onClick={handleNextStory}
-            >
-              <div className="text-white text-2xl opacity-0 hover:opacity-100 transition-opacity">
-                {currentStoryIndex < stories.length - 1 ? '›' : '✓'}
-              </div>
-            </div>
-          </div>
-
-          {/* Time remaining indicator */}
-          <div className="absolute bottom-4 left-4 right-4">
-            <div className="bg-black bg-opacity-50 rounded-full px-3 py-1 text-center">
-              <span className="text-white text-xs">
-                {formatTimeRemaining(selectedStory.expiryTime)}
-              </span>
-            </div>
-          </div>
-        </div>
-      </div>
-    );
-  };
-
   if (web3Loading || loading) {
     return (
       <div className="w-full">
@@ -646,14 +675,33 @@ const Home = () => {
       <div className="flex gap-6">
         {/* Main Feed */}
         <div className="flex-1 max-w-2xl">
-          {!loading && contents.length === 0 && !hasFollows && (
+          <div className="flex bg-white rounded-xl shadow-sm border border-gray-200 p-1 mb-6">
+            {[
+              { id: 'following', label: 'Following' },
+              { id: 'explore', label: 'Explore' }
+            ].map(tab => (
+              <button
+                key={tab.id}
+                onClick={() => switchFeedTab(tab.id)}
+                className={`flex-1 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  feedTab === tab.id
+                    ? 'bg-purple-600 text-white'
+                    : 'text-gray-600 hover:bg-gray-100'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </div>
+
+          {!loading && feedTab === 'following' && contents.length === 0 && !hasFollows && (
             <div className="bg-gradient-to-r from-blue-500 to-purple-500 rounded-xl text-white p-8 mb-6 text-center">
               <div className="text-6xl mb-4">👥</div>
               <h2 className="text-2xl font-bold mb-2">Your Feed is Empty</h2>
               <p className="opacity-90 mb-4">Start following creators to see their posts in your feed!</p>
               <div className="flex justify-center space-x-4">
                 <button
-                  onClick={() => navigate('/explore')}
+                  onClick={() => switchFeedTab('explore')}
                   className="bg-white text-purple-600 px-6 py-3 rounded-lg font-semibold hover:bg-gray-100 transition-colors"
                 >
                   Discover Creators
@@ -662,14 +710,22 @@ const Home = () => {
             </div>
           )}
 
-          {!loading && contents.length === 0 && hasFollows && (
+          {!loading && feedTab === 'explore' && contents.length === 0 && (
+            <div className="bg-gray-50 rounded-xl p-8 mb-6 text-center border border-gray-200">
+              <div className="text-6xl mb-4">🧭</div>
+              <h2 className="text-2xl font-bold mb-2 text-gray-800">Nothing to Explore Yet</h2>
+              <p className="text-gray-600">No one has posted recently. Check back soon!</p>
+            </div>
+          )}
+
+          {!loading && feedTab === 'following' && contents.length === 0 && hasFollows && (
             <div className="bg-gray-50 rounded-xl p-8 mb-6 text-center border border-gray-200">
               <div className="text-6xl mb-4">📭</div>
               <h2 className="text-2xl font-bold mb-2 text-gray-800">No Posts Yet</h2>
               <p className="text-gray-600 mb-4">The creators you follow haven't posted anything yet. Check back later!</p>
               <div className="flex justify-center space-x-4">
                 <button
-                  onClick={() => navigate('/explore')}
+                  onClick={() => switchFeedTab('explore')}
                   className="bg-purple-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-purple-700 transition-colors"
                 >
                   Find More Creators
@@ -707,7 +763,15 @@ const Home = () => {
               <ContentCard key={content.id} content={content} />
             ))}
 
-            {contents.length > 0 && (
+            {hasMore && (
+              <div ref={loadMoreRef} className="text-center py-8">
+                {loadingMore && (
+                  <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-purple-600"></div>
+                )}
+              </div>
+            )}
+
+            {contents.length > 0 && !hasMore && (
               <div className="text-center py-8">
                 <p className="text-gray-500">You're all caught up!</p>
                 <p className="text-sm text-gray-400 mt-2">Create more content or follow other creators</p>
@@ -735,7 +799,22 @@ const Home = () => {
       />
 
       {/* Story Viewer Modal */}
-      <StoryViewer />
+      {showStoryViewer && (
+        <StoryViewer
+          stories={stories}
+          initialIndex={currentStoryIndex}
+          isOpen={showStoryViewer}
+          onClose={() => setShowStoryViewer(false)}
+        />
+      )}
+
+      <ReportModal
+        isOpen={!!reportTarget}
+        onClose={() => setReportTarget(null)}
+        targetType={reportTarget?.type}
+        targetId={reportTarget?.id}
+        targetOwner={reportTarget?.owner}
+      />
     </div>
   );
 };
@@ -1,14 +1,47 @@
 // src/pages/Messages.js
 import React, { useState, useEffect, useRef } from 'react';
-import { Send, Search, Plus, X } from 'lucide-react';
+import { Send, Search, Plus, X, Flag, Check, CheckCheck } from 'lucide-react';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useToast } from '../contexts/ToastContext';
+import { useUnreadMessages } from '../contexts/UnreadMessagesContext';
 import SupabaseService from '../services/supabaseService';
 import LoadingSpinner from '../components/LoadingSpinner';
+import BlockMuteMenu from '../components/BlockMuteMenu';
+import ReportModal from '../components/ReportModal';
+import useBlocks from '../hooks/useBlocks';
+import { resolveMediaUrl, isVideoUrl } from '../utils/mediaUrl';
+
+// Supabase message row -> what the thread renders
+const toChatMessage = (message, account) => ({
+  id: message.id,
+  sender_address: message.sender_address,
+  content: message.content,
+  created_at: message.created_at,
+  read_at: message.read_at,
+  // Set on replies to a story; the media path outlives the story itself
+  storyImageUrl: resolveMediaUrl(message.story_image_url),
+  isStoryReply: !!message.story_image_url,
+  timestamp: new Date(message.created_at).getTime(),
+  isOwn: message.sender_address === account
+});
+
+// Conversation row (with the other participant's profile) -> sidebar entry
+const toSidebarConversation = (conversation, otherUser) => ({
+  id: conversation.other_address,
+  username: otherUser?.username || `User${conversation.other_address.substring(0, 6)}`,
+  address: conversation.other_address,
+  lastMessage: conversation.last_message || 'No messages yet',
+  timestamp: new Date(conversation.last_message_at).getTime(),
+  avatar: otherUser?.username?.charAt(0).toUpperCase() || '👤'
+});
+
+const TYPING_IDLE_MS = 3000;
 
 const Messages = () => {
   const { user, account, loading } = useWeb3();
   const { toast } = useToast();
+  const blocks = useBlocks();
+  const { unreadBySender, refreshUnread } = useUnreadMessages();
   const [conversations, setConversations] = useState([]);
   const [activeChat, setActiveChat] = useState(null);
   const [messages, setMessages] = useState([]);
@@ -16,13 +49,22 @@ const Messages = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [loadingMessages, setLoadingMessages] = useState(false);
   const [loadingConversations, setLoadingConversations] = useState(true);
+  const [hasMoreConversations, setHasMoreConversations] = useState(false);
+  const [loadingMoreConversations, setLoadingMoreConversations] = useState(false);
+  // Cursor for the page of history before the oldest loaded message
+  const [earlierMessagesCursor, setEarlierMessagesCursor] = useState(null);
+  const [loadingEarlierMessages, setLoadingEarlierMessages] = useState(false);
   const [sendingMessage, setSendingMessage] = useState(false);
   const [showNewChatModal, setShowNewChatModal] = useState(false);
   const [availableUsers, setAvailableUsers] = useState([]);
   const [loadingUsers, setLoadingUsers] = useState(false);
   const [userSearchQuery, setUserSearchQuery] = useState('');
+  const [reportedMessage, setReportedMessage] = useState(null);
+  const [otherTyping, setOtherTyping] = useState(false);
   const messagesEndRef = useRef(null);
   const messageSubscriptionRef = useRef(null);
+  // Stop announcing "typing" after this long without a keystroke
+  const typingTimeoutRef = useRef(null);
 
   useEffect(() => {
     if (user && account) {
@@ -32,9 +74,11 @@ const Messages = () => {
   }, [user, account]);
 
   useEffect(() => {
+    setOtherTyping(false);
+
     if (activeChat && user && account) {
       console.log('💬 Loading messages for active chat:', activeChat.address);
-      loadMessages(activeChat.address);
+      loadMessages(activeChat.address).then(() => markChatRead(activeChat.address));
 
       // Subscribe to real-time messages
       if (messageSubscriptionRef.current) {
@@ -48,14 +92,7 @@ const Messages = () => {
           console.log('📨 Real-time message received:', payload);
           // Supabase uses 'INSERT' for eventType in postgres_changes
           if (payload.eventType === 'INSERT' && payload.new) {
-            const newMessage = {
-              id: payload.new.id,
-              sender_address: payload.new.sender_address,
-              content: payload.new.content,
-              created_at: payload.new.created_at,
-              timestamp: new Date(payload.new.created_at).getTime(),
-              isOwn: payload.new.sender_address === account
-            };
+            const newMessage = toChatMessage(payload.new, account);
 
             // Avoid duplicates by checking if message already exists
             setMessages(prev => {
@@ -64,21 +101,37 @@ const Messages = () => {
               }
               return [...prev, newMessage];
             });
+
+            // The thread is open, so whatever arrives is read straight away
+            if (!newMessage.isOwn) {
+              markChatRead(activeChat.address);
+            }
+          } else if (payload.eventType === 'UPDATE' && payload.new) {
+            // Read receipts for messages we sent
+            setMessages(prev => prev.map(msg =>
+              msg.id === payload.new.id ? { ...msg, read_at: payload.new.read_at } : msg
+            ));
           }
-        }
+        },
+        setOtherTyping
       );
     }
 
     return () => {
+      clearTimeout(typingTimeoutRef.current);
+      typingTimeoutRef.current = null;
       if (messageSubscriptionRef.current) {
         messageSubscriptionRef.current.unsubscribe();
       }
     };
   }, [activeChat, user, account]);
 
+  // Only new messages at the end scroll the thread; loading earlier ones
+  // keeps the reader where they are
+  const lastMessageId = messages[messages.length - 1]?.id;
   useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [lastMessageId]);
 
   useEffect(() => {
     console.log('🔄 Modal state changed:', showNewChatModal);
@@ -88,6 +141,13 @@ const Messages = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   };
 
+  // Pairs each conversation with the other participant's profile
+  const withUserData = async (rows) => {
+    const userResult = await SupabaseService.getUsersByAddresses(rows.map(row => row.other_address));
+    const users = userResult.success ? userResult.data : [];
+    return rows.map(row => toSidebarConversation(row, users.find(u => u.address === row.other_address)));
+  };
+
   const loadConversations = async () => {
     if (!account) return;
 
@@ -98,63 +158,12 @@ const Messages = () => {
       const result = await SupabaseService.getConversations(account);
 
       if (result.success && result.data.length > 0) {
-        // Group messages by conversation partner
-        const conversationsMap = new Map();
-
-        result.data.forEach(message => {
-          // Determine the other participant
-          const otherParticipant = message.sender_address === account
-            ? message.receiver_address
-            : message.sender_address;
-
-          if (!conversationsMap.has(otherParticipant)) {
-            conversationsMap.set(otherParticipant, {
-              address: otherParticipant,
-              messages: [],
-              lastMessage: null,
-              lastTimestamp: 0
-            });
-          }
-
-          const conv = conversationsMap.get(otherParticipant);
-          conv.messages.push(message);
-
-          // Track the most recent message
-          const msgTimestamp = new Date(message.created_at).getTime();
-          if (msgTimestamp > conv.lastTimestamp) {
-            conv.lastMessage = message;
-            conv.lastTimestamp = msgTimestamp;
-          }
-        });
-
-        // Get user data for all participants
-        const userResult = await SupabaseService.getAllUsers();
-        const users = userResult.success ? userResult.data : [];
-
-        // Convert map to array and add user data
-        const conversationsWithUserData = Array.from(conversationsMap.values()).map(conv => {
-          const otherUser = users.find(u => u.address === conv.address);
-
-          return {
-            id: conv.address, // Use address as unique ID
-            username: otherUser?.username || `User${conv.address?.substring(0, 6)}`,
-            address: conv.address,
-            lastMessage: conv.lastMessage?.content || 'No messages yet',
-            timestamp: conv.lastTimestamp,
-            unread: false, // TODO: Implement unread logic
-            avatar: otherUser?.username?.charAt(0).toUpperCase() || '👤'
-          };
-        });
-
-        // Sort by most recent message
-        conversationsWithUserData.sort((a, b) => b.timestamp - a.timestamp);
+        const conversationsWithUserData = await withUserData(result.data);
 
         console.log('✅ Loaded conversations:', conversationsWithUserData);
         setConversations(conversationsWithUserData);
-
-        if (conversationsWithUserData.length > 0) {
-          setActiveChat(conversationsWithUserData[0]);
-        }
+        setHasMoreConversations(result.hasMore);
+        setActiveChat(conversationsWithUserData[0]);
       } else {
         console.log('📭 No messages found, showing demo conversations');
         createDemoConversations();
@@ -169,6 +178,27 @@ const Messages = () => {
     }
   };
 
+  const loadMoreConversations = async () => {
+    if (loadingMoreConversations) return;
+
+    setLoadingMoreConversations(true);
+    const loaded = conversations.filter(conv => !conv.isDemoConversation);
+    const result = await SupabaseService.getConversations(account, { offset: loaded.length });
+
+    if (result.success) {
+      const more = await withUserData(result.data);
+      // A conversation may have moved pages while we were reading
+      setConversations(prev => [
+        ...prev,
+        ...more.filter(conv => !prev.some(existing => existing.address === conv.address))
+      ]);
+      setHasMoreConversations(result.hasMore);
+    } else {
+      toast.error('Failed to load more conversations');
+    }
+    setLoadingMoreConversations(false);
+  };
+
   const createDemoConversations = () => {
     console.log('🎯 Creating demo conversations for testing');
     const demoConversations = [
@@ -178,7 +208,6 @@ const Messages = () => {
         address: '0x1234567890123456789012345678901234567890',
         lastMessage: 'This is a demo conversation for testing',
         timestamp: Date.now() - 300000,
-        unread: false,
         avatar: '🎨',
         isDemoConversation: true
       },
@@ -188,7 +217,6 @@ const Messages = () => {
         address: '0x2345678901234567890123456789012345678901',
         lastMessage: 'Another demo conversation',
         timestamp: Date.now() - 3600000,
-        unread: false,
         avatar: '💰',
         isDemoConversation: true
       }
@@ -210,17 +238,11 @@ const Messages = () => {
       const result = await SupabaseService.getMessages(account, otherAddress);
 
       if (result.success) {
-        const messagesWithOwnership = result.data.map(message => ({
-          id: message.id,
-          sender_address: message.sender_address,
-          content: message.content,
-          created_at: message.created_at,
-          timestamp: new Date(message.created_at).getTime(),
-          isOwn: message.sender_address === account
-        }));
+        const messagesWithOwnership = result.data.map(message => toChatMessage(message, account));
 
         console.log('✅ Loaded messages:', messagesWithOwnership);
         setMessages(messagesWithOwnership);
+        setEarlierMessagesCursor(result.nextCursor);
       } else {
         console.error('❌ Failed to load messages:', result.error);
         const errorMessage = typeof result.error === 'string'
@@ -228,6 +250,7 @@ const Messages = () => {
           : result.error?.message || 'Failed to load messages';
         toast.error(errorMessage);
         setMessages([]);
+        setEarlierMessagesCursor(null);
       }
     } catch (error) {
       console.error('❌ Error loading messages:', error);
@@ -239,10 +262,56 @@ const Messages = () => {
     }
   };
 
+  const loadEarlierMessages = async () => {
+    if (!activeChat || !earlierMessagesCursor || loadingEarlierMessages) return;
+
+    setLoadingEarlierMessages(true);
+    const result = await SupabaseService.getMessages(account, activeChat.address, {
+      cursor: earlierMessagesCursor
+    });
+
+    if (result.success) {
+      setMessages(prev => [...result.data.map(message => toChatMessage(message, account)), ...prev]);
+      setEarlierMessagesCursor(result.nextCursor);
+    } else {
+      toast.error('Failed to load earlier messages');
+    }
+    setLoadingEarlierMessages(false);
+  };
+
+  const markChatRead = async (otherAddress) => {
+    const result = await SupabaseService.markMessagesRead(otherAddress);
+    if (result.success && result.data > 0) {
+      refreshUnread();
+    }
+  };
+
+  // Announce typing on the first keystroke and stop after a pause
+  const setTyping = (isTyping) => {
+    clearTimeout(typingTimeoutRef.current);
+
+    if (isTyping) {
+      if (!typingTimeoutRef.current) {
+        SupabaseService.setTypingStatus(messageSubscriptionRef.current, true);
+      }
+      typingTimeoutRef.current = setTimeout(() => setTyping(false), TYPING_IDLE_MS);
+    } else if (typingTimeoutRef.current) {
+      typingTimeoutRef.current = null;
+      SupabaseService.setTypingStatus(messageSubscriptionRef.current, false);
+    }
+  };
+
+  const handleMessageChange = (e) => {
+    setNewMessage(e.target.value);
+    setTyping(e.target.value.length > 0);
+  };
+
   const sendMessage = async (e) => {
     e.preventDefault();
     if (!newMessage.trim() || !activeChat || !account) return;
 
+    setTyping(false);
+
     try {
       setSendingMessage(true);
       console.log('📤 Sending message to:', activeChat.address);
@@ -261,19 +330,20 @@ const Messages = () => {
         // Clear the input immediately for better UX
         setNewMessage('');
 
-        // Update the conversation's last message in the sidebar
-        setConversations(prev => prev.map(conv =>
-          conv.address === activeChat.address
-            ? {
-                ...conv,
-                lastMessage: messageData.content,
-                timestamp: Date.now()
-              }
-            : conv
-        ));
+        // Move the conversation to the top of the sidebar with its new last message
+        setConversations(prev => {
+          const current = prev.find(conv => conv.address === activeChat.address) || activeChat;
+          return [
+            { ...current, lastMessage: messageData.content, timestamp: Date.now() },
+            ...prev.filter(conv => conv.address !== activeChat.address)
+          ];
+        });
 
-        // Immediately fetch and display the updated message list
-        await loadMessages(activeChat.address);
+        // Show the message straight away; the realtime echo is deduplicated
+        const sentMessage = toChatMessage(result.data, account);
+        setMessages(prev => (
+          prev.some(msg => msg.id === sentMessage.id) ? prev : [...prev, sentMessage]
+        ));
 
         toast.success('Message sent!');
       } else {
@@ -357,7 +427,6 @@ const Messages = () => {
       address: selectedUser.address,
       lastMessage: 'Start a conversation',
       timestamp: Date.now(),
-      unread: false,
       avatar: selectedUser.username?.charAt(0).toUpperCase() || '👤'
     };
 
@@ -380,6 +449,9 @@ const Messages = () => {
     loadMessages(selectedUser.address);
   };
 
+  // The "Seen" marker sits under the newest message the user sent
+  const lastOwnIndex = messages.map(message => message.isOwn).lastIndexOf(true);
+
   const filteredConversations = conversations.filter(conv =>
     conv.username.toLowerCase().includes(searchQuery.toLowerCase())
   );
@@ -466,13 +538,24 @@ const Messages = () => {
                       {conversation.lastMessage}
                     </p>
                   </div>
-                  {conversation.unread && (
-                    <div className="w-2 h-2 bg-blue-500 rounded-full"></div>
+                  {unreadBySender[conversation.address] > 0 && (
+                    <span className="bg-blue-500 text-white text-xs font-medium rounded-full min-w-5 h-5 px-1.5 flex items-center justify-center">
+                      {unreadBySender[conversation.address]}
+                    </span>
                   )}
                 </div>
               </button>
             ))
           )}
+          {hasMoreConversations && !searchQuery && (
+            <button
+              onClick={loadMoreConversations}
+              disabled={loadingMoreConversations}
+              className="w-full p-3 text-sm text-blue-500 hover:text-blue-600 hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              {loadingMoreConversations ? 'Loading...' : 'Load more conversations'}
+            </button>
+          )}
         </div>
       </div>
 
@@ -484,16 +567,36 @@ const Messages = () => {
                 <div className="text-2xl">{activeChat.avatar}</div>
                 <div>
                   <h2 className="font-semibold text-gray-900">{activeChat.username}</h2>
-                  <p className="text-sm text-gray-500">Active now</p>
+                  <p className={`text-sm ${otherTyping ? 'text-blue-500' : 'text-gray-500'}`}>
+                    {otherTyping
+                      ? 'typing...'
+                      : blocks.getBlockKind(activeChat.address) === 'mute' ? 'Muted' : 'Active now'}
+                  </p>
                 </div>
               </div>
+              <BlockMuteMenu
+                address={activeChat.address}
+                username={activeChat.username}
+                blocks={blocks}
+              />
             </div>
 
             <div className="flex-1 overflow-y-auto p-4 space-y-4">
-              {messages.map((message) => (
+              {earlierMessagesCursor && (
+                <div className="text-center">
+                  <button
+                    onClick={loadEarlierMessages}
+                    disabled={loadingEarlierMessages}
+                    className="text-sm text-blue-500 hover:text-blue-600 disabled:opacity-50"
+                  >
+                    {loadingEarlierMessages ? 'Loading...' : 'Load earlier messages'}
+                  </button>
+                </div>
+              )}
+              {messages.map((message, index) => (
                 <div
                   key={message.id}
-                  className={`flex ${message.isOwn ? 'justify-end' : 'justify-start'}`}
+                  className={`flex flex-col ${message.isOwn ? 'items-end' : 'items-start'}`}
                 >
                   <div
                     className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${
@@ -502,39 +605,78 @@ const Messages = () => {
                         : 'bg-gray-200 text-gray-900'
                     }`}
                   >
+                    {message.isStoryReply && (
+                      <div className="mb-2">
+                        <p className={`text-xs mb-1 ${message.isOwn ? 'text-blue-100' : 'text-gray-500'}`}>
+                          {message.isOwn ? 'You replied to their story' : 'Replied to your story'}
+                        </p>
+                        {message.storyImageUrl && (
+                          isVideoUrl(message.storyImageUrl) ? (
+                            <video src={message.storyImageUrl} muted className="w-24 h-40 object-cover rounded-md" />
+                          ) : (
+                            <img src={message.storyImageUrl} alt="Story" className="w-24 h-40 object-cover rounded-md" />
+                          )
+                        )}
+                      </div>
+                    )}
                     <p className="text-sm">{message.content}</p>
-                    <p className={`text-xs mt-1 ${
+                    <div className={`flex items-center justify-between space-x-2 text-xs mt-1 ${
                       message.isOwn ? 'text-blue-100' : 'text-gray-500'
                     }`}>
-                      {formatMessageTime(message.timestamp)}
-                    </p>
+                      <span>{formatMessageTime(message.timestamp)}</span>
+                      {message.isOwn && (
+                        message.read_at
+                          ? <CheckCheck size={14} className="text-white" />
+                          : <Check size={14} />
+                      )}
+                      {!message.isOwn && (
+                        <button
+                          onClick={() => setReportedMessage(message)}
+                          className="hover:text-red-500 transition-colors"
+                          title="Report message"
+                        >
+                          <Flag size={12} />
+                        </button>
+                      )}
+                    </div>
                   </div>
+                  {index === lastOwnIndex && message.read_at && (
+                    <span className="text-xs text-gray-400 mt-1">
+                      Seen {formatMessageTime(new Date(message.read_at).getTime())}
+                    </span>
+                  )}
                 </div>
               ))}
               <div ref={messagesEndRef} />
             </div>
 
             <div className="p-4 border-t border-gray-200">
-              <form onSubmit={sendMessage} className="flex space-x-2">
-                <input
-                  type="text"
-                  value={newMessage}
-                  onChange={(e) => setNewMessage(e.target.value)}
-                  placeholder="Type a message..."
-                  className="flex-1 px-4 py-2 border border-gray-300 rounded-full focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                />
-                <button
-                  type="submit"
-                  disabled={!newMessage.trim() || sendingMessage}
-                  className="bg-blue-500 text-white p-2 rounded-full hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
-                >
-                  {sendingMessage ? (
-                    <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
-                  ) : (
-                    <Send size={20} />
-                  )}
-                </button>
-              </form>
+              {blocks.getBlockKind(activeChat.address) === 'block' ? (
+                <p className="text-sm text-gray-500 text-center">
+                  You blocked {activeChat.username}. Unblock them to send messages.
+                </p>
+              ) : (
+                <form onSubmit={sendMessage} className="flex space-x-2">
+                  <input
+                    type="text"
+                    value={newMessage}
+                    onChange={handleMessageChange}
+                    placeholder="Type a message..."
+                    className="flex-1 px-4 py-2 border border-gray-300 rounded-full focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    type="submit"
+                    disabled={!newMessage.trim() || sendingMessage}
+                    className="bg-blue-500 text-white p-2 rounded-full hover:bg-blue-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                  >
+                    {sendingMessage ? (
+                      <div className="w-5 h-5 border-2 border-white border-t-transparent rounded-full animate-spin"></div>
+                    ) : (
+                      <Send size={20} />
+                    )}
+                  </button>
+                </form>
+              )}
               
               <div className="mt-2 text-xs text-gray-500 text-center">
                 Messages are stored locally and not encrypted end-to-end
@@ -556,6 +698,14 @@ const Messages = () => {
         )}
       </div>
 
+      <ReportModal
+        isOpen={!!reportedMessage}
+        onClose={() => setReportedMessage(null)}
+        targetType="message"
+        targetId={reportedMessage?.id}
+        targetOwner={reportedMessage?.sender_address}
+      />
+
       {/* New Chat Modal */}
       {showNewChatModal && (
         <div
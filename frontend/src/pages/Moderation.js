@@ -0,0 +1,257 @@
+// src/pages/Moderation.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Shield, Flag, EyeOff, Check } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+import { REPORT_REASONS, targetLabel } from '../components/ReportModal';
+import { resolveMediaUrl, isVideoUrl } from '../utils/mediaUrl';
+
+const STATUS_TABS = [
+  { id: 'open', label: 'Open' },
+  { id: 'hidden', label: 'Hidden' },
+  { id: 'dismissed', label: 'Dismissed' }
+];
+
+const reasonLabel = (reason) => REPORT_REASONS.find(option => option.value === reason)?.label || reason;
+
+const formatAddress = (address) => (address ? `${address.slice(0, 6)}...${address.slice(-4)}` : 'unknown');
+
+// Reports arrive one per reporter; the queue shows one card per reported item
+const groupByTarget = (reports) => {
+  const groups = new Map();
+  reports.forEach(report => {
+    const key = `${report.target_type}:${report.target_id}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key, targetType: report.target_type, targetId: report.target_id, owner: report.target_owner_address, reports: [] });
+    }
+    groups.get(key).reports.push(report);
+  });
+  return [...groups.values()];
+};
+
+const ReportPreview = ({ targetType, targetId }) => {
+  const [target, setTarget] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    SupabaseService.getReportTarget(targetType, targetId).then(result => {
+      setTarget(result.success ? result.data : null);
+      setLoading(false);
+    });
+  }, [targetType, targetId]);
+
+  if (loading) {
+    return <div className="h-20 bg-gray-100 rounded-lg animate-pulse"></div>;
+  }
+
+  if (!target) {
+    return (
+      <p className="text-sm text-gray-500 italic">
+        {targetType === 'story' ? 'This story has expired or was deleted' : `This ${targetLabel(targetType)} was deleted`}
+      </p>
+    );
+  }
+
+  const mediaUrl = resolveMediaUrl(target.image_url);
+  const text = target.description ?? target.content;
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-3 space-y-2">
+      {mediaUrl && (
+        isVideoUrl(mediaUrl) ? (
+          <video src={mediaUrl} controls className="max-h-64 rounded-lg" />
+        ) : (
+          <img src={mediaUrl} alt="Reported content" className="max-h-64 rounded-lg object-contain" />
+        )
+      )}
+      {text && <p className="text-sm text-gray-800 whitespace-pre-wrap">{text}</p>}
+      {targetType === 'post' && (
+        <Link to={`/post/${target.id}`} className="text-xs text-blue-500 hover:text-blue-600">
+          Open post
+        </Link>
+      )}
+      {targetType === 'comment' && (
+        <Link to={`/post/${target.post_id}`} className="text-xs text-blue-500 hover:text-blue-600">
+          Open post
+        </Link>
+      )}
+      {target.is_hidden && (
+        <p className="text-xs text-red-500 font-medium">Hidden</p>
+      )}
+    </div>
+  );
+};
+
+// Owner-only queue of reported posts, comments, stories and messages
+const Moderation = () => {
+  const { isAdmin } = useWeb3();
+  const { toast } = useToast();
+  const [status, setStatus] = useState('open');
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [resolving, setResolving] = useState(null);
+
+  useEffect(() => {
+    if (isAdmin) {
+      loadReports();
+    }
+  }, [isAdmin, status]);
+
+  const loadReports = async () => {
+    setLoading(true);
+    const result = await SupabaseService.getReports({ status });
+
+    if (result.success) {
+      setReports(result.data);
+    } else {
+      toast.error('Failed to load reports: ' + result.error);
+    }
+    setLoading(false);
+  };
+
+  const handleResolve = async (group, resolution) => {
+    if (resolution === 'hidden' && !window.confirm(`Hide this ${targetLabel(group.targetType)} for everyone?`)) {
+      return;
+    }
+
+    setResolving(group.key);
+    const result = await SupabaseService.resolveReport(group.reports[0].id, resolution);
+    setResolving(null);
+
+    if (!result.success) {
+      toast.error('Failed to resolve report: ' + result.error);
+      return;
+    }
+
+    // Every open report on the target was closed
+    setReports(prev => prev.filter(report => `${report.target_type}:${report.target_id}` !== group.key));
+    toast.success(resolution === 'hidden' ? `The ${targetLabel(group.targetType)} is now hidden` : 'Report dismissed');
+  };
+
+  if (!isAdmin) {
+    return (
+      <div className="text-center py-12">
+        <Shield size={48} className="mx-auto mb-4 text-gray-300" />
+        <h2 className="text-xl font-semibold text-gray-700">Moderators only</h2>
+        <p className="text-gray-500 mt-1">The moderation queue is available to the platform owner.</p>
+      </div>
+    );
+  }
+
+  const groups = groupByTarget(reports);
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <Shield className="mr-3" size={28} />
+          Moderation
+        </h1>
+        <p className="text-gray-600 mt-1">
+          Review reported content and hide anything that breaks the rules
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+        <div className="flex border-b border-gray-200">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setStatus(tab.id)}
+              className={`flex-1 py-4 px-6 text-center font-medium transition-colors ${
+                status === tab.id
+                  ? 'text-blue-600 border-b-2 border-blue-600 bg-blue-50'
+                  : 'text-gray-600 hover:text-gray-900 hover:bg-gray-50'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="p-6 space-y-4 animate-pulse">
+            {[1, 2, 3].map(i => (
+              <div key={i} className="h-24 bg-gray-100 rounded-lg"></div>
+            ))}
+          </div>
+        ) : groups.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <Flag size={32} className="mx-auto mb-2 opacity-50" />
+            <p>No {status} reports</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {groups.map(group => (
+              <div key={group.key} className="p-6 space-y-3">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <span className="text-sm font-semibold text-gray-900 capitalize">{targetLabel(group.targetType)}</span>
+                    <span className="text-sm text-gray-500"> by </span>
+                    {group.owner ? (
+                      <Link to={`/profile/${group.owner}`} className="text-sm text-blue-500 hover:text-blue-600">
+                        {formatAddress(group.owner)}
+                      </Link>
+                    ) : (
+                      <span className="text-sm text-gray-500">unknown</span>
+                    )}
+                  </div>
+                  <span className="bg-red-100 text-red-700 text-xs font-medium px-2 py-1 rounded-full">
+                    {group.reports.length} {group.reports.length === 1 ? 'report' : 'reports'}
+                  </span>
+                </div>
+
+                <ReportPreview targetType={group.targetType} targetId={group.targetId} />
+
+                <ul className="space-y-1">
+                  {group.reports.map(report => (
+                    <li key={report.id} className="text-sm text-gray-700">
+                      <span className="font-medium">{reasonLabel(report.reason)}</span>
+                      <span className="text-gray-500">
+                        {' '}from {formatAddress(report.reporter_address)} · {new Date(report.created_at).toLocaleString()}
+                      </span>
+                      {report.details && (
+                        <p className="text-gray-600 ml-2 italic">“{report.details}”</p>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+
+                {status === 'open' && (
+                  <div className="flex space-x-2">
+                    <button
+                      onClick={() => handleResolve(group, 'hidden')}
+                      disabled={resolving === group.key}
+                      className="flex items-center bg-red-500 text-white px-4 py-2 rounded-lg text-sm font-medium hover:bg-red-600 disabled:opacity-50 transition-colors"
+                    >
+                      <EyeOff size={16} className="mr-2" />
+                      Hide {targetLabel(group.targetType)}
+                    </button>
+                    <button
+                      onClick={() => handleResolve(group, 'dismissed')}
+                      disabled={resolving === group.key}
+                      className="flex items-center bg-gray-100 text-gray-700 px-4 py-2 rounded-lg text-sm font-medium hover:bg-gray-200 disabled:opacity-50 transition-colors"
+                    >
+                      <Check size={16} className="mr-2" />
+                      Dismiss
+                    </button>
+                  </div>
+                )}
+
+                {status !== 'open' && group.reports[0].reviewed_at && (
+                  <p className="text-xs text-gray-500">
+                    Reviewed by {formatAddress(group.reports[0].reviewed_by)} on {new Date(group.reports[0].reviewed_at).toLocaleString()}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Moderation;
@@ -44,8 +44,7 @@ const Notifications = () => {
 
     // Navigate based on notification type
     if (notification.postId) {
-      // Navigate to post (in a real app, this would go to the specific post)
-      navigate('/');
+      navigate(`/post/${notification.postId}`);
     } else if (notification.storyId) {
       // Navigate to stories
       navigate('/');
@@ -0,0 +1,279 @@
+// src/pages/Post.js
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Lock, Send, Wallet, MessageCircle } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useComments } from '../contexts/CommentsContext';
+import LikeButton from '../components/LikeButton';
+import ShareButton from '../components/ShareButton';
+import TipButton from '../components/TipButton';
+import RichText from '../components/RichText';
+import SupabaseService from '../services/supabaseService';
+import usePostPurchase from '../hooks/usePostPurchase';
+import { resolveMediaUrl } from '../utils/mediaUrl';
+
+// Permalink page for shared /post/:id links, also rendered for visitors without a wallet
+const Post = ({ viewOnly = false, onConnect }) => {
+  const { id } = useParams();
+  const { account, user } = useWeb3();
+  const { getComments, initializeComments, addComment, formatTimestamp } = useComments();
+  const { buyContent, checkContentAccess } = usePostPurchase();
+  const [content, setContent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [hasAccess, setHasAccess] = useState(false);
+  const [purchasing, setPurchasing] = useState(false);
+  const [commentText, setCommentText] = useState('');
+  const [submittingComment, setSubmittingComment] = useState(false);
+
+  const comments = getComments(id);
+  const canInteract = !viewOnly && !!account;
+
+  useEffect(() => {
+    loadPost();
+  }, [id, account]);
+
+  const loadPost = async () => {
+    setLoading(true);
+
+    const result = await SupabaseService.getPost(parseInt(id, 10));
+    if (!result.success || !result.data) {
+      setContent(null);
+      setLoading(false);
+      return;
+    }
+
+    const post = result.data;
+    const postContent = {
+      id: post.id,
+      contentId: post.content_id,
+      creator: post.creator_address,
+      creatorData: {
+        username: post.username || `User${post.creator_address?.substring(0, 6) || 'Unknown'}`,
+        address: post.creator_address
+      },
+      content: resolveMediaUrl(post.image_url),
+      description: post.description || '',
+      isPaid: post.is_paid || false,
+      price: post.price ? post.price.toString() : '0',
+      timestamp: Math.floor(new Date(post.publish_at).getTime() / 1000),
+      purchaseCount: post.purchase_count || 0
+    };
+    setContent(postContent);
+
+    const isOwnPost = account && post.creator_address.toLowerCase() === account.toLowerCase();
+    if (!postContent.isPaid || isOwnPost) {
+      setHasAccess(true);
+    } else {
+      setHasAccess(canInteract ? await checkContentAccess(postContent) : false);
+    }
+
+    await initializeComments(id);
+    setLoading(false);
+  };
+
+  const handlePurchase = async () => {
+    setPurchasing(true);
+    const unlocked = await buyContent(content);
+    setPurchasing(false);
+    if (unlocked) {
+      setHasAccess(true);
+      setContent(prev => ({ ...prev, purchaseCount: prev.purchaseCount + 1 }));
+    }
+  };
+
+  const handleSubmitComment = async (e) => {
+    e.preventDefault();
+    if (!commentText.trim()) return;
+
+    setSubmittingComment(true);
+    const result = await addComment(id, commentText, account, user?.username);
+    if (result.success) {
+      setCommentText('');
+    }
+    setSubmittingComment(false);
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-2xl mx-auto bg-white rounded-xl shadow-sm border border-gray-200 p-4 animate-pulse">
+        <div className="flex items-center space-x-3 mb-4">
+          <div className="w-10 h-10 bg-gray-200 rounded-full"></div>
+          <div className="h-4 bg-gray-200 rounded w-32"></div>
+        </div>
+        <div className="aspect-square bg-gray-200 rounded-lg"></div>
+      </div>
+    );
+  }
+
+  if (!content) {
+    return (
+      <div className="max-w-lg mx-auto bg-white rounded-xl shadow-sm border border-gray-200 p-8 text-center">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">Post not found</h2>
+        <p className="text-gray-500 mb-4">This post may have been deleted.</p>
+        <Link to="/" className="text-blue-600 hover:underline">Back to feed</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-4">
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+        <div className="flex items-center space-x-3 p-4">
+          <div className="w-10 h-10 bg-gradient-to-r from-pink-400 to-white rounded-full flex items-center justify-center">
+            <span className="text-pink-800 font-semibold">
+              {content.creatorData.username.charAt(0).toUpperCase()}
+            </span>
+          </div>
+          <div>
+            {viewOnly ? (
+              <h3 className="font-semibold text-gray-900">{content.creatorData.username}</h3>
+            ) : (
+              <Link
+                to={`/profile/${content.creator}`}
+                className="font-semibold text-gray-900 hover:text-blue-600 transition-colors"
+              >
+                {content.creatorData.username}
+              </Link>
+            )}
+            <p className="text-sm text-gray-500">{new Date(content.timestamp * 1000).toLocaleString()}</p>
+          </div>
+        </div>
+
+        {content.isPaid && !hasAccess ? (
+          <div className="relative bg-gray-100 flex items-center justify-center overflow-hidden" style={{ maxHeight: '600px' }}>
+            <img
+              src={content.content}
+              alt="Preview"
+              className="w-full h-auto object-contain blur-lg"
+              style={{ maxHeight: '600px' }}
+            />
+            <div className="absolute inset-0 flex items-center justify-center">
+              <div className="text-center text-white bg-black bg-opacity-50 p-6 rounded-lg">
+                <Lock size={48} className="mx-auto mb-4" />
+                <h3 className="text-lg font-semibold mb-2">Premium Content</h3>
+                <p className="text-sm opacity-90 mb-4">
+                  Unlock this exclusive content for {content.price} BNB
+                </p>
+                {canInteract ? (
+                  <button
+                    onClick={handlePurchase}
+                    disabled={purchasing}
+                    className="bg-purple-500 text-white px-6 py-2 rounded-lg hover:bg-purple-600 disabled:opacity-50 transition-colors"
+                  >
+                    {purchasing ? 'Purchasing...' : `Buy for ${content.price} BNB`}
+                  </button>
+                ) : onConnect && (
+                  <button
+                    onClick={onConnect}
+                    className="bg-purple-500 text-white px-6 py-2 rounded-lg hover:bg-purple-600 transition-colors flex items-center space-x-2 mx-auto"
+                  >
+                    <Wallet size={16} />
+                    <span>Connect wallet to unlock</span>
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-gray-100 flex items-center justify-center">
+            <img
+              src={content.content}
+              alt="Content"
+              className="w-full h-auto object-contain"
+              style={{ maxHeight: '600px' }}
+            />
+          </div>
+        )}
+
+        <div className="p-4">
+          {content.description && (
+            <p className="text-gray-700 mb-3">
+              <RichText text={content.description} />
+            </p>
+          )}
+
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-4">
+              <LikeButton contentId={content.id.toString()} />
+              <span className="flex items-center space-x-1 text-gray-600">
+                <MessageCircle size={20} />
+                <span className="text-sm">{comments.length}</span>
+              </span>
+              <ShareButton
+                contentId={content.id.toString()}
+                contentAuthor={content.creatorData.username}
+                contentDescription={content.description || "Amazing content on SocialWeb3"}
+              />
+              {canInteract && (
+                <TipButton
+                  creatorAddress={content.creator}
+                  creatorName={content.creatorData.username}
+                  contentId={content.contentId || 0}
+                  postId={content.id}
+                />
+              )}
+            </div>
+            {content.isPaid && (
+              <span className="text-sm text-gray-500">{content.purchaseCount} purchases</span>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-4">
+        <h3 className="font-semibold text-gray-900 mb-4">Comments</h3>
+
+        {comments.length === 0 ? (
+          <p className="text-sm text-gray-500 mb-4">No comments yet</p>
+        ) : (
+          <div className="space-y-3 mb-4">
+            {comments.map((comment) => (
+              <div key={comment.id} className="bg-gray-50 rounded-lg p-3">
+                <div className="flex items-center justify-between mb-1">
+                  <span className="text-sm font-semibold text-gray-900">{comment.author}</span>
+                  <span className="text-xs text-gray-500">{formatTimestamp(comment.timestamp)}</span>
+                </div>
+                <p className="text-sm text-gray-700">
+                  <RichText text={comment.text} />
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {canInteract ? (
+          <form onSubmit={handleSubmitComment} className="flex items-center space-x-2">
+            <input
+              type="text"
+              value={commentText}
+              onChange={(e) => setCommentText(e.target.value)}
+              placeholder="Add a comment..."
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              type="submit"
+              disabled={submittingComment || !commentText.trim()}
+              className="bg-blue-500 text-white p-2 rounded-lg hover:bg-blue-600 disabled:opacity-50 transition-colors"
+            >
+              <Send size={18} />
+            </button>
+          </form>
+        ) : (
+          <div className="flex items-center justify-between bg-blue-50 border border-blue-200 rounded-lg p-3">
+            <p className="text-sm text-blue-800">Connect a wallet to like and comment.</p>
+            {onConnect && (
+              <button
+                onClick={onConnect}
+                className="bg-blue-600 text-white px-3 py-1.5 rounded-lg text-sm hover:bg-blue-700 transition-colors"
+              >
+                Connect Wallet
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Post;
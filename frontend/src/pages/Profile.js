@@ -2,15 +2,26 @@
 import React, { useState, useEffect } from 'react';
 import { useParams } from 'react-router-dom';
 import { ethers } from 'ethers';
-import { Edit, UserPlus, UserMinus, Grid, Trash2 } from 'lucide-react';
+import { Edit, UserPlus, UserMinus, Grid, Trash2, Ban, Star } from 'lucide-react';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useToast } from '../contexts/ToastContext';
 import EditProfileModal from '../components/EditProfileModal';
+import FollowListModal from '../components/FollowListModal';
+import CloseFriendsModal from '../components/CloseFriendsModal';
+import BlockMuteMenu from '../components/BlockMuteMenu';
+import SubscriptionTiers from '../components/SubscriptionTiers';
+import TipButton from '../components/TipButton';
+import StoryHighlights from '../components/StoryHighlights';
 import SupabaseService from '../services/supabaseService';
+import useFollow from '../hooks/useFollow';
+import useBlocks from '../hooks/useBlocks';
+import { resolveMediaUrl } from '../utils/mediaUrl';
 
 const Profile = () => {
   const { contract, user, getMediaUrl, updateProfile, loading: web3Loading } = useWeb3();
   const { toast } = useToast();
+  const { follow, unfollow } = useFollow();
+  const blocks = useBlocks();
   const { address } = useParams();
   const isOwnProfile = !address || address === user?.address;
   const profileAddress = address || user?.address;
@@ -21,6 +32,8 @@ const Profile = () => {
   const [loading, setLoading] = useState(true);
   const [selectedImage, setSelectedImage] = useState(null);
   const [showEditModal, setShowEditModal] = useState(false);
+  const [showCloseFriends, setShowCloseFriends] = useState(false);
+  const [followListType, setFollowListType] = useState(null);
 
   useEffect(() => {
     if (profileAddress && user) {
@@ -99,12 +112,12 @@ const Profile = () => {
             address: post.creator_address,
             isCreator: true
           },
-          content: post.image_url, // Image data from image_url field
+          content: resolveMediaUrl(post.image_url), // Storage path or legacy base64 data URL
           contentHash: post.content_hash,
           description: post.description || '',
           isPaid: post.is_paid || false,
           price: post.price ? post.price.toString() : '0',
-          timestamp: Math.floor(new Date(post.created_at).getTime() / 1000),
+          timestamp: Math.floor(new Date(post.publish_at).getTime() / 1000),
           purchaseCount: post.purchase_count || 0
         }));
 
@@ -133,18 +146,13 @@ const Profile = () => {
   };
 
   const handleFollow = async () => {
-    try {
-      const tx = isFollowing 
-        ? await contract.unfollowUser(profileAddress)
-        : await contract.followUser(profileAddress);
-      await tx.wait();
-      
+    const done = isFollowing
+      ? await unfollow(profileAddress)
+      : await follow(profileAddress);
+
+    if (done) {
       setIsFollowing(!isFollowing);
       await loadProfileData();
-      
-    } catch (error) {
-      console.error('Follow error:', error);
-      toast.error('Follow action failed: ' + error.message);
     }
   };
 
@@ -301,14 +309,20 @@ const Profile = () => {
                 <div className="font-bold text-gray-900">{userContents.length}</div>
                 <div className="text-gray-600">Posts</div>
               </div>
-              <div className="text-center">
+              <button
+                onClick={() => setFollowListType('followers')}
+                className="text-center hover:opacity-75 transition-opacity"
+              >
                 <div className="font-bold text-gray-900">{profileData.followersCount}</div>
                 <div className="text-gray-600">Followers</div>
-              </div>
-              <div className="text-center">
+              </button>
+              <button
+                onClick={() => setFollowListType('following')}
+                className="text-center hover:opacity-75 transition-opacity"
+              >
                 <div className="font-bold text-gray-900">{profileData.followingCount}</div>
                 <div className="text-gray-600">Following</div>
-              </div>
+              </button>
               {profileData.isCreator && (
                 <div className="text-center">
                   <div className="font-bold text-gray-900">
@@ -326,14 +340,23 @@ const Profile = () => {
 
           <div className="flex space-x-3">
             {isOwnProfile ? (
-              <button
-                onClick={() => setShowEditModal(true)}
-                disabled={web3Loading}
-                className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors flex items-center space-x-2"
-              >
-                <Edit size={16} />
-                <span>Edit Profile</span>
-              </button>
+              <>
+                <button
+                  onClick={() => setShowEditModal(true)}
+                  disabled={web3Loading}
+                  className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 disabled:opacity-50 transition-colors flex items-center space-x-2"
+                >
+                  <Edit size={16} />
+                  <span>Edit Profile</span>
+                </button>
+                <button
+                  onClick={() => setShowCloseFriends(true)}
+                  className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg hover:bg-gray-200 transition-colors flex items-center space-x-2"
+                >
+                  <Star size={16} className="text-green-600" />
+                  <span>Close Friends</span>
+                </button>
+              </>
             ) : (
               <button
                 onClick={handleFollow}
@@ -347,10 +370,37 @@ const Profile = () => {
                 <span>{isFollowing ? 'Unfollow' : 'Follow'}</span>
               </button>
             )}
+            {!isOwnProfile && profileData.isCreator && (
+              <TipButton
+                creatorAddress={profileAddress}
+                creatorName={profileData.username}
+                className="border border-gray-200 py-2"
+                size={16}
+                showLabel={true}
+              />
+            )}
+            {!isOwnProfile && (
+              <BlockMuteMenu
+                address={profileAddress}
+                username={profileData.username}
+                blocks={blocks}
+                onChange={loadProfileData}
+              />
+            )}
           </div>
         </div>
       </div>
 
+      <StoryHighlights
+        ownerAddress={profileAddress}
+        username={profileData.username}
+        isOwnProfile={isOwnProfile}
+      />
+
+      {profileData.isCreator && (
+        <SubscriptionTiers creatorAddress={profileAddress} isOwnProfile={isOwnProfile} />
+      )}
+
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
         <div className="border-b border-gray-200">
           <div className="flex">
@@ -362,7 +412,13 @@ const Profile = () => {
         </div>
 
         <div className="p-6">
-          {userContents.length === 0 ? (
+          {!isOwnProfile && blocks.getBlockKind(profileAddress) === 'block' ? (
+            <div className="text-center py-12">
+              <Ban size={48} className="mx-auto text-gray-300 mb-4" />
+              <h3 className="text-lg font-medium text-gray-500 mb-2">You blocked {profileData.username}</h3>
+              <p className="text-gray-400">Unblock them to see their posts.</p>
+            </div>
+          ) : userContents.length === 0 ? (
             <div className="text-center py-12">
               <Grid size={48} className="mx-auto text-gray-300 mb-4" />
               <h3 className="text-lg font-medium text-gray-500 mb-2">No posts yet</h3>
@@ -411,6 +467,14 @@ const Profile = () => {
       />
       
       {/* Edit Profile Modal */}
+      <FollowListModal
+        isOpen={!!followListType}
+        onClose={() => setFollowListType(null)}
+        address={profileAddress}
+        listType={followListType}
+        onFollowChange={loadProfileData}
+      />
+
       <EditProfileModal
         isOpen={showEditModal}
         onClose={() => setShowEditModal(false)}
@@ -418,6 +482,13 @@ const Profile = () => {
         onSave={handleSaveProfile}
         loading={web3Loading}
       />
+
+      {isOwnProfile && (
+        <CloseFriendsModal
+          isOpen={showCloseFriends}
+          onClose={() => setShowCloseFriends(false)}
+        />
+      )}
     </div>
   );
 };
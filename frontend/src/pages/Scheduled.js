@@ -0,0 +1,254 @@
+// src/pages/Scheduled.js
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Clock, CalendarClock, Send, Trash2, Lock, Star } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+import { resolveMediaUrl, isVideoUrl } from '../utils/mediaUrl';
+import { toDateTimeLocal, parseFutureDateTime } from '../utils/schedule';
+
+const KIND_TABS = [
+  { id: 'posts', label: 'Posts' },
+  { id: 'stories', label: 'Stories' }
+];
+
+const ScheduledItem = ({ item, kind, onReschedule, onCancel }) => {
+  const [editing, setEditing] = useState(false);
+  const [publishAt, setPublishAt] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const mediaUrl = resolveMediaUrl(item.image_url);
+  const text = kind === 'posts' ? item.description : item.content;
+
+  const startEditing = () => {
+    setPublishAt(toDateTimeLocal(new Date(item.publish_at)));
+    setEditing(true);
+  };
+
+  const run = async (action) => {
+    setSaving(true);
+    const done = await action();
+    setSaving(false);
+    if (done) setEditing(false);
+  };
+
+  return (
+    <div className="p-6 flex space-x-4">
+      <div className="w-20 h-20 rounded-lg overflow-hidden bg-gray-100 flex-shrink-0">
+        {mediaUrl && (
+          isVideoUrl(mediaUrl)
+            ? <video src={mediaUrl} muted preload="metadata" className="w-full h-full object-cover" />
+            : <img src={mediaUrl} alt="Scheduled content" className="w-full h-full object-cover" />
+        )}
+      </div>
+
+      <div className="flex-1 min-w-0 space-y-2">
+        <div className="flex items-center flex-wrap gap-2 text-sm">
+          <span className="flex items-center font-medium text-gray-900">
+            <Clock size={14} className="mr-1 text-blue-500" />
+            {new Date(item.publish_at).toLocaleString()}
+          </span>
+          {item.is_paid && (
+            <span className="flex items-center bg-purple-100 text-purple-700 text-xs font-medium px-2 py-0.5 rounded-full">
+              <Lock size={10} className="mr-1" />
+              {item.price} BNB
+            </span>
+          )}
+          {item.audience === 'close_friends' && (
+            <span className="flex items-center bg-green-100 text-green-700 text-xs font-medium px-2 py-0.5 rounded-full">
+              <Star size={10} className="mr-1 fill-current" />
+              Close friends
+            </span>
+          )}
+        </div>
+
+        {text && <p className="text-sm text-gray-700 line-clamp-2">{text}</p>}
+
+        {editing ? (
+          <div className="flex items-center flex-wrap gap-2">
+            <input
+              type="datetime-local"
+              value={publishAt}
+              min={toDateTimeLocal(new Date())}
+              onChange={(e) => setPublishAt(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              onClick={() => run(() => onReschedule(item, parseFutureDateTime(publishAt)))}
+              disabled={saving || !parseFutureDateTime(publishAt)}
+              className="bg-blue-500 text-white px-3 py-2 rounded-lg text-sm font-medium hover:bg-blue-600 disabled:opacity-50 transition-colors"
+            >
+              Save
+            </button>
+            <button
+              onClick={() => setEditing(false)}
+              className="text-sm text-gray-600 hover:text-gray-900 px-2"
+            >
+              Cancel
+            </button>
+          </div>
+        ) : (
+          <div className="flex items-center flex-wrap gap-2">
+            <button
+              onClick={startEditing}
+              className="flex items-center bg-gray-100 text-gray-700 px-3 py-1.5 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
+            >
+              <CalendarClock size={14} className="mr-1" />
+              Reschedule
+            </button>
+            <button
+              onClick={() => run(() => onReschedule(item, new Date()))}
+              disabled={saving}
+              className="flex items-center bg-gray-100 text-gray-700 px-3 py-1.5 rounded-lg text-sm font-medium hover:bg-gray-200 disabled:opacity-50 transition-colors"
+            >
+              <Send size={14} className="mr-1" />
+              Publish now
+            </button>
+            <button
+              onClick={() => run(() => onCancel(item))}
+              disabled={saving}
+              className="flex items-center text-red-500 px-3 py-1.5 rounded-lg text-sm font-medium hover:bg-red-50 disabled:opacity-50 transition-colors"
+            >
+              <Trash2 size={14} className="mr-1" />
+              Cancel {kind === 'posts' ? 'post' : 'story'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Creator-only queue of posts and stories waiting for their publish time
+const Scheduled = () => {
+  const { account } = useWeb3();
+  const { toast } = useToast();
+  const [kind, setKind] = useState('posts');
+  const [scheduled, setScheduled] = useState({ posts: [], stories: [] });
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (account) {
+      loadScheduled();
+    }
+  }, [account]);
+
+  const loadScheduled = async () => {
+    setLoading(true);
+    const result = await SupabaseService.getScheduledContent(account);
+
+    if (result.success) {
+      setScheduled(result.data);
+    } else {
+      toast.error('Failed to load scheduled content: ' + result.error);
+    }
+    setLoading(false);
+  };
+
+  // Items leave the queue once they are published
+  const handleReschedule = async (item, publishAt) => {
+    const result = kind === 'posts'
+      ? await SupabaseService.reschedulePost(item.id, account, publishAt)
+      : await SupabaseService.rescheduleStory(item.id, account, publishAt);
+
+    if (!result.success) {
+      toast.error('Failed to reschedule: ' + result.error);
+      return false;
+    }
+
+    const isLive = new Date(result.data.publish_at) <= new Date();
+    setScheduled(prev => ({
+      ...prev,
+      [kind]: isLive
+        ? prev[kind].filter(queued => queued.id !== item.id)
+        : prev[kind]
+          .map(queued => (queued.id === item.id ? result.data : queued))
+          .sort((a, b) => new Date(a.publish_at) - new Date(b.publish_at))
+    }));
+    toast.success(isLive ? 'Published' : `Rescheduled for ${publishAt.toLocaleString()}`);
+    return true;
+  };
+
+  const handleCancel = async (item) => {
+    const label = kind === 'posts' ? 'post' : 'story';
+    if (!window.confirm(`Cancel this scheduled ${label}? It will be deleted.`)) return false;
+
+    const result = kind === 'posts'
+      ? await SupabaseService.deletePost(item.id, account)
+      : await SupabaseService.deleteStory(item.id, account);
+
+    if (!result.success) {
+      toast.error(`Failed to cancel ${label}: ` + result.error);
+      return false;
+    }
+
+    setScheduled(prev => ({ ...prev, [kind]: prev[kind].filter(queued => queued.id !== item.id) }));
+    toast.success(`Scheduled ${label} cancelled`);
+    return true;
+  };
+
+  const items = scheduled[kind];
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 mb-6">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+          <CalendarClock className="mr-3" size={28} />
+          Scheduled
+        </h1>
+        <p className="text-gray-600 mt-1">
+          Posts and stories waiting to go live. Only you can see them until then.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200">
+        <div className="flex border-b border-gray-200">
+          {KIND_TABS.map(tab => (
+            <button
+              key={tab.id}
+              onClick={() => setKind(tab.id)}
+              className={`flex-1 py-4 px-6 text-center font-medium transition-colors ${
+                kind === tab.id
+                  ? 'text-blue-600 border-b-2 border-blue-600 bg-blue-50'
+                  : 'text-gray-600 hover:text-gray-900 hover:bg-gray-50'
+              }`}
+            >
+              {tab.label} ({scheduled[tab.id].length})
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div className="p-6 space-y-4 animate-pulse">
+            {[1, 2, 3].map(i => (
+              <div key={i} className="h-20 bg-gray-100 rounded-lg"></div>
+            ))}
+          </div>
+        ) : items.length === 0 ? (
+          <div className="text-center py-12 text-gray-500">
+            <Clock size={32} className="mx-auto mb-2 opacity-50" />
+            <p>No scheduled {kind}</p>
+            <Link to="/create-post" className="text-sm text-blue-500 hover:text-blue-600">
+              Schedule something
+            </Link>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {items.map(item => (
+              <ScheduledItem
+                key={item.id}
+                item={item}
+                kind={kind}
+                onReschedule={handleReschedule}
+                onCancel={handleCancel}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Scheduled;
@@ -1,100 +1,137 @@
 // src/pages/Search.js
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { Search as SearchIcon, Filter, Star } from 'lucide-react';
+import { Search as SearchIcon, Filter, Star, Lock } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
 import { useToast } from '../contexts/ToastContext';
+import SupabaseService from '../services/supabaseService';
+import useFollow from '../hooks/useFollow';
 
-const Search = ({ contract, user, viewOnly = false }) => {
+const PAGE_SIZE = 20;
+
+const SEARCH_TABS = [
+  { id: 'people', label: 'People' },
+  { id: 'posts', label: 'Posts' }
+];
+
+const Search = ({ viewOnly = false }) => {
+  const { contract, user } = useWeb3();
   const { toast } = useToast();
+  const { follow, unfollow } = useFollow();
   const [searchQuery, setSearchQuery] = useState('');
+  const [submittedQuery, setSubmittedQuery] = useState('');
+  const [activeTab, setActiveTab] = useState('people');
   const [searchResults, setSearchResults] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
   const [filterCreatorsOnly, setFilterCreatorsOnly] = useState(false);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // Add on-chain follower counts and follow state to Supabase users
+  const enrichUsers = async (users) => {
+    return Promise.all(users.map(async (userRow) => {
+      const userData = {
+        address: userRow.address,
+        username: userRow.username || `User${userRow.address.substring(0, 6)}`,
+        bio: userRow.bio || '',
+        isCreator: userRow.is_creator || false,
+        followersCount: 0,
+        isFollowing: false
+      };
+
+      if (!contract) return userData;
+
+      try {
+        const [onChainUser, isFollowing] = await Promise.all([
+          contract.getUser(userRow.address),
+          user ? contract.isFollowing(user.address, userRow.address) : false
+        ]);
+        userData.followersCount = Number(onChainUser.followersCount);
+        userData.isFollowing = isFollowing;
+      } catch (error) {
+        console.error('Error loading on-chain profile:', error);
+      }
+
+      return userData;
+    }));
+  };
+
+  const fetchPage = async (query, tab, offset) => {
+    const options = { limit: PAGE_SIZE, offset };
+    const result = tab === 'people'
+      ? await SupabaseService.searchUsers(query, { ...options, creatorsOnly: filterCreatorsOnly })
+      : await SupabaseService.searchPosts(query, options);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const rows = tab === 'people' ? await enrichUsers(result.data) : result.data;
+    return { rows, hasMore: result.data.length === PAGE_SIZE };
+  };
 
-  const performSearch = async () => {
-    if (!searchQuery.trim()) {
+  const performSearch = async (query = searchQuery, tab = activeTab) => {
+    const trimmed = query.trim();
+    setSubmittedQuery(trimmed);
+
+    if (!trimmed) {
       setSearchResults([]);
+      setHasMore(false);
       return;
     }
 
     setLoading(true);
     
     try {
-      // Simulazione ricerca (in produzione useresti un database o indexing)
-      const mockUsers = [
-        {
-          address: '0x1234567890123456789012345678901234567890',
-          username: 'crypto_artist',
-          bio: 'Digital artist creating unique NFT collections',
-          isCreator: true,
-          followersCount: 1250,
-          verified: true
-        },
-        {
-          address: '0x2345678901234567890123456789012345678901',
-          username: 'defi_master',
-          bio: 'DeFi expert sharing market insights',
-          isCreator: true,
-          followersCount: 890,
-          verified: false
-        },
-        {
-          address: '0x3456789012345678901234567890123456789012',
-          username: 'web3_educator',
-          bio: 'Teaching Web3 and blockchain technology',
-          isCreator: true,
-          followersCount: 2100,
-          verified: true
-        },
-        {
-          address: '0x4567890123456789012345678901234567890123',
-          username: 'nft_collector',
-          bio: 'Collector and trader of rare NFTs',
-          isCreator: false,
-          followersCount: 450,
-          verified: false
-        }
-      ];
-
-      let filtered = mockUsers.filter(user => 
-        user.username.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        user.bio.toLowerCase().includes(searchQuery.toLowerCase())
-      );
+      const page = await fetchPage(trimmed, tab, 0);
+      setSearchResults(page.rows);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error('Search error:', error);
+      toast.error('Search failed. Please try again.');
+      setSearchResults([]);
+      setHasMore(false);
+    } finally {
+      setLoading(false);
+    }
+  };
 
-      if (filterCreatorsOnly) {
-        filtered = filtered.filter(user => user.isCreator);
-      }
+  const loadMore = async () => {
+    setLoadingMore(true);
 
-      filtered.sort((a, b) => b.followersCount - a.followersCount);
-      setSearchResults(filtered);
-      
+    try {
+      const page = await fetchPage(submittedQuery, activeTab, searchResults.length);
+      setSearchResults(prev => [...prev, ...page.rows]);
+      setHasMore(page.hasMore);
     } catch (error) {
       console.error('Search error:', error);
+      toast.error('Failed to load more results');
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
+    }
+  };
+
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    setSearchResults([]);
+    if (submittedQuery) {
+      performSearch(submittedQuery, tab);
     }
   };
 
   const UserCard = ({ userData }) => {
-    const [isFollowing, setIsFollowing] = useState(false);
+    const [isFollowing, setIsFollowing] = useState(userData.isFollowing);
     const [followLoading, setFollowLoading] = useState(false);
 
     const handleFollow = async () => {
-      if (!contract) return;
-      
-      try {
-        setFollowLoading(true);
-        const tx = isFollowing 
-          ? await contract.unfollowUser(userData.address)
-          : await contract.followUser(userData.address);
-        await tx.wait();
+      setFollowLoading(true);
+      const done = isFollowing
+        ? await unfollow(userData.address)
+        : await follow(userData.address);
+      if (done) {
         setIsFollowing(!isFollowing);
-      } catch (error) {
-        console.error('Follow error:', error);
-        toast.error('Follow action failed');
-      } finally {
-        setFollowLoading(false);
       }
+      setFollowLoading(false);
     };
 
     return (
@@ -111,11 +148,6 @@ const Search = ({ contract, user, viewOnly = false }) => {
                 <Star size={12} />
               </div>
             )}
-            {userData.verified && (
-              <div className="absolute -top-1 -right-1 bg-blue-500 text-white rounded-full p-1">
-                <span className="text-xs">✓</span>
-              </div>
-            )}
           </div>
 
           <div className="flex-1">
@@ -143,7 +175,7 @@ const Search = ({ contract, user, viewOnly = false }) => {
             </div>
           </div>
 
-          {!viewOnly && userData.address !== user?.address && (
+          {!viewOnly && userData.address.toLowerCase() !== user?.address?.toLowerCase() && (
             <button
               onClick={handleFollow}
               disabled={followLoading}
@@ -164,10 +196,50 @@ const Search = ({ contract, user, viewOnly = false }) => {
     );
   };
 
+  const PostResult = ({ post }) => (
+    <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 hover:shadow-md transition-shadow">
+      <div className="flex items-center justify-between mb-2">
+        <Link
+          to={`/profile/${post.creator_address}`}
+          className="font-semibold text-gray-900 hover:text-blue-600 transition-colors"
+        >
+          {post.username || `User${post.creator_address.substring(0, 6)}`}
+        </Link>
+        <span className="text-sm text-gray-500">{new Date(post.publish_at).toLocaleDateString()}</span>
+      </div>
+      <p className="text-gray-700 text-sm mb-3">{post.description}</p>
+      <div className="flex items-center space-x-4 text-sm text-gray-500">
+        <span>{post.likes || 0} likes</span>
+        {post.is_paid && (
+          <span className="flex items-center text-purple-600">
+            <Lock size={14} className="mr-1" />
+            {post.price} BNB
+          </span>
+        )}
+      </div>
+    </div>
+  );
+
   return (
     <div className="max-w-4xl mx-auto space-y-6">
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
-        <h1 className="text-2xl font-bold text-gray-900 mb-4">Discover People</h1>
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">Discover</h1>
+
+        <div className="flex space-x-1 bg-gray-100 rounded-lg p-1 mb-4">
+          {SEARCH_TABS.map((tab) => (
+            <button
+              key={tab.id}
+              onClick={() => handleTabChange(tab.id)}
+              className={`flex-1 py-2 text-sm font-medium rounded-md transition-colors ${
+                activeTab === tab.id
+                  ? 'bg-white text-blue-600 shadow-sm'
+                  : 'text-gray-600 hover:text-gray-900'
+              }`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
         
         <div className="relative mb-4">
           <SearchIcon className="absolute left-3 top-3 text-gray-400" size={20} />
@@ -176,7 +248,7 @@ const Search = ({ contract, user, viewOnly = false }) => {
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
             onKeyPress={(e) => e.key === 'Enter' && performSearch()}
-            placeholder="Search users by username or bio..."
+            placeholder={activeTab === 'people' ? 'Search users by username or bio...' : 'Search posts by description...'}
             className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           />
         </div>
@@ -188,19 +260,21 @@ const Search = ({ contract, user, viewOnly = false }) => {
               <span className="text-sm text-gray-700">Filters:</span>
             </div>
             
-            <label className="flex items-center space-x-2 cursor-pointer">
-              <input
-                type="checkbox"
-                checked={filterCreatorsOnly}
-                onChange={(e) => setFilterCreatorsOnly(e.target.checked)}
-                className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
-              />
-              <span className="text-sm text-gray-700">Creators only</span>
-            </label>
+            {activeTab === 'people' && (
+              <label className="flex items-center space-x-2 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={filterCreatorsOnly}
+                  onChange={(e) => setFilterCreatorsOnly(e.target.checked)}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <span className="text-sm text-gray-700">Creators only</span>
+              </label>
+            )}
           </div>
 
           <button
-            onClick={performSearch}
+            onClick={() => performSearch()}
             className="bg-blue-500 text-white px-4 py-2 rounded-lg hover:bg-blue-600 transition-colors"
           >
             Search
@@ -208,14 +282,14 @@ const Search = ({ contract, user, viewOnly = false }) => {
         </div>
       </div>
 
-      {searchQuery.trim() && (
+      {submittedQuery && (
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
           <div className="p-6 border-b border-gray-200">
             <h2 className="text-lg font-semibold text-gray-900">
-              Search Results for "{searchQuery}"
+              Search Results for "{submittedQuery}"
             </h2>
             <p className="text-gray-600">
-              {loading ? 'Searching...' : `${searchResults.length} results found`}
+              {loading ? 'Searching...' : `${searchResults.length}${hasMore ? '+' : ''} results found`}
             </p>
           </div>
 
@@ -240,36 +314,49 @@ const Search = ({ contract, user, viewOnly = false }) => {
               </div>
             ) : (
               <div className="space-y-4">
-                {searchResults.map((userData) => (
-                  <UserCard key={userData.address} userData={userData} />
-                ))}
+                {activeTab === 'people'
+                  ? searchResults.map((userData) => (
+                      <UserCard key={userData.address} userData={userData} />
+                    ))
+                  : searchResults.map((post) => (
+                      <PostResult key={post.id} post={post} />
+                    ))}
+
+                {hasMore && (
+                  <button
+                    onClick={loadMore}
+                    disabled={loadingMore}
+                    className="w-full py-3 text-blue-600 font-medium rounded-lg hover:bg-blue-50 disabled:opacity-50 transition-colors"
+                  >
+                    {loadingMore ? 'Loading...' : 'Load more'}
+                  </button>
+                )}
               </div>
             )}
           </div>
         </div>
       )}
 
-      {!searchQuery.trim() && (
+      {!submittedQuery && (
         <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">Popular Categories</h3>
           <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
             {[
-              { name: 'Crypto Art', icon: '🎨', count: 45 },
-              { name: 'DeFi', icon: '💰', count: 32 },
-              { name: 'Gaming', icon: '🎮', count: 28 },
-              { name: 'Education', icon: '📚', count: 67 }
+              { name: 'Crypto Art', icon: '🎨' },
+              { name: 'DeFi', icon: '💰' },
+              { name: 'Gaming', icon: '🎮' },
+              { name: 'Education', icon: '📚' }
             ].map((category) => (
               <button
                 key={category.name}
                 onClick={() => {
                   setSearchQuery(category.name.toLowerCase());
-                  performSearch();
+                  performSearch(category.name.toLowerCase());
                 }}
                 className="p-4 border border-gray-200 rounded-lg hover:border-blue-500 hover:bg-blue-50 transition-all text-center"
               >
                 <div className="text-2xl mb-2">{category.icon}</div>
                 <div className="font-medium text-gray-900">{category.name}</div>
-                <div className="text-sm text-gray-500">{category.count} creators</div>
               </button>
             ))}
           </div>
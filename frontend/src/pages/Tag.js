@@ -0,0 +1,94 @@
+// src/pages/Tag.js
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Hash, Lock } from 'lucide-react';
+import { useToast } from '../contexts/ToastContext';
+import RichText from '../components/RichText';
+import SupabaseService from '../services/supabaseService';
+import { resolveMediaUrl } from '../utils/mediaUrl';
+
+const Tag = () => {
+  const { tag } = useParams();
+  const { toast } = useToast();
+  const [posts, setPosts] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    loadPosts();
+  }, [tag]);
+
+  const loadPosts = async () => {
+    setLoading(true);
+
+    const result = await SupabaseService.getPostsByHashtag(tag);
+    if (result.success) {
+      setPosts(result.data);
+    } else {
+      toast.error('Failed to load posts for #' + tag);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-6 flex items-center space-x-4">
+        <div className="w-14 h-14 bg-blue-100 rounded-full flex items-center justify-center">
+          <Hash className="text-blue-600" size={28} />
+        </div>
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">#{tag}</h1>
+          <p className="text-gray-500">{loading ? 'Loading...' : `${posts.length} posts`}</p>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[1, 2, 3, 4].map((i) => (
+            <div key={i} className="animate-pulse bg-white rounded-xl border border-gray-200 p-4">
+              <div className="aspect-square bg-gray-200 rounded-lg mb-3"></div>
+              <div className="h-4 bg-gray-200 rounded w-2/3"></div>
+            </div>
+          ))}
+        </div>
+      ) : posts.length === 0 ? (
+        <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-12 text-center">
+          <Hash size={48} className="mx-auto text-gray-300 mb-4" />
+          <h3 className="text-lg font-medium text-gray-500">No posts with #{tag} yet</h3>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {posts.map((post) => (
+            <div key={post.id} className="bg-white rounded-xl shadow-sm border border-gray-200 overflow-hidden">
+              <div className="aspect-square bg-gray-100 flex items-center justify-center">
+                {post.is_paid ? (
+                  <div className="text-center text-gray-500">
+                    <Lock size={32} className="mx-auto mb-2" />
+                    <span className="font-semibold text-purple-600">{post.price} BNB</span>
+                  </div>
+                ) : (
+                  <img src={resolveMediaUrl(post.image_url)} alt="Post content" className="w-full h-full object-cover" />
+                )}
+              </div>
+              <div className="p-4">
+                <Link
+                  to={`/profile/${post.creator_address}`}
+                  className="font-semibold text-gray-900 hover:text-blue-600 transition-colors"
+                >
+                  {post.username || `User${post.creator_address.substring(0, 6)}`}
+                </Link>
+                {post.description && (
+                  <p className="text-sm text-gray-700 mt-1">
+                    <RichText text={post.description} />
+                  </p>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Tag;
@@ -0,0 +1,49 @@
+// src/pages/UsernameRedirect.js
+import React, { useState, useEffect } from 'react';
+import { useParams, Navigate, Link } from 'react-router-dom';
+import SupabaseService from '../services/supabaseService';
+
+// Resolves @mention links to the mentioned user's profile
+const UsernameRedirect = () => {
+  const { username } = useParams();
+  const [address, setAddress] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    const resolveUsername = async () => {
+      setAddress(null);
+      setNotFound(false);
+
+      const result = await SupabaseService.getUserByUsername(username);
+      if (result.success && result.data) {
+        setAddress(result.data.address);
+      } else {
+        setNotFound(true);
+      }
+    };
+
+    resolveUsername();
+  }, [username]);
+
+  if (address) {
+    return <Navigate to={`/profile/${address}`} replace />;
+  }
+
+  if (notFound) {
+    return (
+      <div className="max-w-lg mx-auto bg-white rounded-xl shadow-sm border border-gray-200 p-8 text-center">
+        <h2 className="text-xl font-semibold text-gray-900 mb-2">User not found</h2>
+        <p className="text-gray-500 mb-4">No one goes by @{username}.</p>
+        <Link to="/search" className="text-blue-600 hover:underline">Search for people</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex justify-center py-12">
+      <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-500"></div>
+    </div>
+  );
+};
+
+export default UsernameRedirect;
@@ -1,31 +1,51 @@
 import { supabase } from '../lib/supabase'
 
-// Upload immagine
-export const uploadImage = async (file) => {
+export const MEDIA_BUCKET = 'images'
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'video/quicktime': 'mov'
+}
+
+// Upload immagine o video nello storage, ritorna il path da salvare nella riga
+export const uploadImage = async (file, folder = 'posts') => {
   try {
-    const fileExt = file.name.split('.').pop()
-    const fileName = `${Date.now()}-${Math.random().toString(36).substring(2)}.${fileExt}`
+    const fileExt = MIME_EXTENSIONS[file.type] || (file.name ? file.name.split('.').pop() : 'bin')
+    const fileName = `${folder}/${Date.now()}-${Math.random().toString(36).substring(2)}.${fileExt}`
     
-    const { data, error } = await supabase.storage
-      .from('images')
-      .upload(fileName, file)
+    const { error } = await supabase.storage
+      .from(MEDIA_BUCKET)
+      .upload(fileName, file, {
+        contentType: file.type,
+        cacheControl: '31536000'
+      })
     
     if (error) {
       console.error('Upload error:', error)
       throw error
     }
     
-    const { data: urlData } = supabase.storage
-      .from('images')
-      .getPublicUrl(fileName)
-      
-    return urlData.publicUrl
+    return fileName
   } catch (error) {
     console.error('Error in uploadImage:', error)
     throw error
   }
 }
 
+// URL pubblico di un path nello storage
+export const getMediaPublicUrl = (path) => {
+  const { data } = supabase.storage
+    .from(MEDIA_BUCKET)
+    .getPublicUrl(path)
+    
+  return data.publicUrl
+}
+
 // Posts API
 export const createPost = async (postData) => {
   try {
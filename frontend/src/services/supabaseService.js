@@ -1,5 +1,39 @@
 // src/services/supabaseService.js
 import { supabase } from '../supabaseClient';
+import { functionErrorMessage } from './walletAuth';
+import { extractHashtags, extractMentions } from '../utils/textParsing';
+
+const FEED_PAGE_SIZE = 20;
+const CONVERSATION_PAGE_SIZE = 30;
+const MESSAGE_PAGE_SIZE = 30;
+export const STORY_LIFETIME_MS = 24 * 60 * 60 * 1000;
+
+// Keyset pagination over (column, id) descending. A cursor is the
+// { at, id } of the last row of the previous page. Post feeds page by
+// publish_at so scheduled posts land where they went live.
+const applyFeedCursor = (query, cursor, column = 'created_at') => {
+  if (!cursor) return query;
+  return query.or(
+    `${column}.lt."${cursor.at}",and(${column}.eq."${cursor.at}",id.lt.${cursor.id})`
+  );
+};
+
+// Pages are fetched with one extra row to know whether another page exists
+const toFeedPage = (rows, limit, column = 'created_at') => {
+  const data = rows.slice(0, limit);
+  const last = data[data.length - 1];
+  const nextCursor = rows.length > limit ? { at: last[column], id: last.id } : null;
+  return { data, nextCursor };
+};
+
+// Table holding each kind of reportable content
+const REPORT_TARGET_TABLES = {
+  post: 'posts',
+  comment: 'comments',
+  story: 'stories',
+  message: 'messages',
+  highlight_item: 'story_highlight_items'
+};
 
 export class SupabaseService {
   // Posts
@@ -12,6 +46,14 @@ export class SupabaseService {
         .single();
 
       if (error) throw error;
+
+      // The database holds back mentions of a scheduled post until it publishes
+      await this.saveTextEntities(postData.description, {
+        postId: data.id,
+        authorAddress: postData.creator_address,
+        authorUsername: postData.username
+      });
+
       return { success: true, data };
     } catch (error) {
       console.error('Error creating post:', error);
@@ -19,18 +61,62 @@ export class SupabaseService {
     }
   }
 
-  static async getPosts(limit = 50) {
+  static async getPosts({ limit = FEED_PAGE_SIZE, cursor = null } = {}) {
+    try {
+      const query = supabase
+        .from('posts')
+        .select('*')
+        .eq('is_hidden', false)
+        .lte('publish_at', new Date().toISOString());
+      const { data, error } = await applyFeedCursor(query, cursor, 'publish_at')
+        .order('publish_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit + 1);
+
+      if (error) throw error;
+      return { success: true, ...toFeedPage(data, limit, 'publish_at') };
+    } catch (error) {
+      console.error('Error fetching posts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Ranked discovery feed for the Explore tab. The cursor is a row offset
+  // because explore_posts orders by a time-decayed score.
+  static async getExplorePosts({ limit = FEED_PAGE_SIZE, cursor = null, excludeAddress = null } = {}) {
+    try {
+      const offset = cursor || 0;
+      const { data, error } = await supabase.rpc('explore_posts', {
+        page_size: limit + 1,
+        page_offset: offset,
+        exclude_address: excludeAddress
+      });
+
+      if (error) throw error;
+      return {
+        success: true,
+        data: data.slice(0, limit),
+        nextCursor: data.length > limit ? offset + limit : null
+      };
+    } catch (error) {
+      console.error('Error fetching explore posts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getPost(postId) {
     try {
       const { data, error } = await supabase
         .from('posts')
         .select('*')
-        .order('created_at', { ascending: false })
-        .limit(limit);
+        .eq('id', postId)
+        .eq('is_hidden', false)
+        .maybeSingle();
 
       if (error) throw error;
       return { success: true, data };
     } catch (error) {
-      console.error('Error fetching posts:', error);
+      console.error('Error fetching post:', error);
       return { success: false, error: error.message };
     }
   }
@@ -41,7 +127,9 @@ export class SupabaseService {
         .from('posts')
         .select('*')
         .eq('creator_address', creatorAddress)
-        .order('created_at', { ascending: false })
+        .eq('is_hidden', false)
+        .lte('publish_at', new Date().toISOString())
+        .order('publish_at', { ascending: false })
         .limit(limit);
 
       if (error) throw error;
@@ -52,30 +140,71 @@ export class SupabaseService {
     }
   }
 
-  static async getPostsByCreators(creatorAddresses, limit = 50) {
+  static async getPostsByCreators(creatorAddresses, { limit = FEED_PAGE_SIZE, cursor = null } = {}) {
     try {
-      console.log('🔍 Fetching posts from creators:', creatorAddresses);
-
       if (!creatorAddresses || creatorAddresses.length === 0) {
-        return { success: true, data: [] };
+        return { success: true, data: [], nextCursor: null };
       }
 
-      const { data, error } = await supabase
+      console.log('🔍 Fetching posts from', creatorAddresses.length, 'creators', cursor ? 'after cursor' : '(first page)');
+
+      const query = supabase
         .from('posts')
         .select('*')
         .in('creator_address', creatorAddresses)
-        .order('created_at', { ascending: false })
-        .limit(limit);
+        .eq('is_hidden', false)
+        .lte('publish_at', new Date().toISOString());
+
+      const { data, error } = await applyFeedCursor(query, cursor, 'publish_at')
+        .order('publish_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit + 1);
 
       if (error) throw error;
-      console.log('✅ Found', data.length, 'posts from followed creators');
-      return { success: true, data };
+      const page = toFeedPage(data, limit, 'publish_at');
+      console.log('✅ Found', page.data.length, 'posts from followed creators');
+      return { success: true, ...page };
     } catch (error) {
       console.error('Error fetching posts by creators:', error);
       return { success: false, error: error.message };
     }
   }
 
+  static async linkPostToContent(postId, userAddress, contentId) {
+    try {
+      const { data, error } = await supabase
+        .from('posts')
+        .update({ content_id: contentId })
+        .eq('id', postId)
+        .eq('creator_address', userAddress)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error linking post to content:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getUnlinkedPaidPosts(creatorAddress) {
+    try {
+      const { data, error } = await supabase
+        .from('posts')
+        .select('id, content_hash')
+        .eq('creator_address', creatorAddress)
+        .eq('is_paid', true)
+        .is('content_id', null);
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error fetching unlinked posts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async deletePost(postId, userAddress) {
     try {
       const { error } = await supabase
@@ -122,7 +251,9 @@ export class SupabaseService {
         .from('stories')
         .select('*')
         .gt('expires_at', new Date().toISOString())
-        .order('created_at', { ascending: false });
+        .lte('publish_at', new Date().toISOString())
+        .eq('is_hidden', false)
+        .order('publish_at', { ascending: false });
 
       if (error) throw error;
       return { success: true, data };
@@ -132,6 +263,324 @@ export class SupabaseService {
     }
   }
 
+  static async deleteStory(storyId, userAddress) {
+    try {
+      const { error } = await supabase
+        .from('stories')
+        .delete()
+        .eq('id', storyId)
+        .eq('creator_address', userAddress);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting story:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Scheduled posts and stories
+  // Queued items are only visible to their creator until publish_at passes
+  static async getScheduledContent(creatorAddress) {
+    try {
+      const now = new Date().toISOString();
+      const [postsResult, storiesResult] = await Promise.all([
+        supabase
+          .from('posts')
+          .select('*')
+          .eq('creator_address', creatorAddress)
+          .gt('publish_at', now)
+          .order('publish_at', { ascending: true }),
+        supabase
+          .from('stories')
+          .select('*')
+          .eq('creator_address', creatorAddress)
+          .gt('publish_at', now)
+          .order('publish_at', { ascending: true })
+      ]);
+
+      if (postsResult.error) throw postsResult.error;
+      if (storiesResult.error) throw storiesResult.error;
+      return { success: true, data: { posts: postsResult.data, stories: storiesResult.data } };
+    } catch (error) {
+      console.error('Error fetching scheduled content:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async reschedulePost(postId, userAddress, publishAt) {
+    try {
+      const { data, error } = await supabase
+        .from('posts')
+        .update({ publish_at: publishAt.toISOString() })
+        .eq('id', postId)
+        .eq('creator_address', userAddress)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error rescheduling post:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // A story's 24 hours start when it is published; the database moves
+  // expires_at along with publish_at
+  static async rescheduleStory(storyId, userAddress, publishAt) {
+    try {
+      const { data, error } = await supabase
+        .from('stories')
+        .update({ publish_at: publishAt.toISOString() })
+        .eq('id', storyId)
+        .eq('creator_address', userAddress)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error rescheduling story:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Story views and reactions
+  // Only the viewer and the story's creator can read them; replies are direct
+  // messages (see sendMessage) carrying the story's id and media
+  static async recordStoryView(storyId, viewerAddress) {
+    try {
+      const { error } = await supabase
+        .from('story_views')
+        .upsert([{
+          story_id: storyId,
+          viewer_address: viewerAddress.toLowerCase()
+        }], { onConflict: 'story_id,viewer_address', ignoreDuplicates: true });
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error recording story view:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The user's own reaction to a story, or null
+  static async getStoryReaction(storyId, userAddress) {
+    try {
+      const { data, error } = await supabase
+        .from('story_reactions')
+        .select('emoji')
+        .eq('story_id', storyId)
+        .eq('user_address', userAddress.toLowerCase())
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data: data?.emoji || null };
+    } catch (error) {
+      console.error('Error fetching story reaction:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Passing null removes the reaction
+  static async setStoryReaction(storyId, userAddress, emoji) {
+    try {
+      const query = supabase.from('story_reactions');
+      const { error } = emoji
+        ? await query.upsert([{
+            story_id: storyId,
+            user_address: userAddress.toLowerCase(),
+            emoji,
+            created_at: new Date().toISOString()
+          }], { onConflict: 'story_id,user_address' })
+        : await query
+            .delete()
+            .eq('story_id', storyId)
+            .eq('user_address', userAddress.toLowerCase());
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving story reaction:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // "Seen by" list for the creator: each viewer with their `user` row (or null)
+  // and reaction, newest first, plus reaction counts by emoji
+  static async getStoryViewers(storyId) {
+    try {
+      const [viewsResult, reactionsResult] = await Promise.all([
+        supabase
+          .from('story_views')
+          .select('viewer_address, viewed_at')
+          .eq('story_id', storyId)
+          .order('viewed_at', { ascending: false }),
+        supabase
+          .from('story_reactions')
+          .select('user_address, emoji')
+          .eq('story_id', storyId)
+      ]);
+
+      if (viewsResult.error) throw viewsResult.error;
+      if (reactionsResult.error) throw reactionsResult.error;
+
+      const reactions = new Map(reactionsResult.data.map(row => [row.user_address, row.emoji]));
+      const usersResult = await this.getUsersByAddresses(viewsResult.data.map(row => row.viewer_address));
+      const users = usersResult.success ? usersResult.data : [];
+
+      const viewers = viewsResult.data.map(row => ({
+        address: row.viewer_address,
+        viewedAt: row.viewed_at,
+        reaction: reactions.get(row.viewer_address) || null,
+        user: users.find(u => u.address === row.viewer_address) || null
+      }));
+
+      const reactionCounts = {};
+      reactionsResult.data.forEach(row => {
+        reactionCounts[row.emoji] = (reactionCounts[row.emoji] || 0) + 1;
+      });
+
+      return { success: true, data: { viewers, reactionCounts } };
+    } catch (error) {
+      console.error('Error fetching story viewers:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Story highlights
+  // Items copy the story's media path so highlights outlive the 24h expiry
+  static async getStoryHighlights(ownerAddress) {
+    try {
+      const { data, error } = await supabase
+        .from('story_highlights')
+        .select('*, items:story_highlight_items(*)')
+        .eq('owner_address', ownerAddress.toLowerCase())
+        .eq('items.is_hidden', false)
+        .order('position', { ascending: true })
+        .order('created_at', { ascending: true })
+        .order('story_created_at', { referencedTable: 'items', ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error fetching story highlights:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // story is { id, imageUrl, timestamp } as shown in the story viewer
+  static async createStoryHighlight(ownerAddress, title, story, position = 0) {
+    try {
+      const { data, error } = await supabase
+        .from('story_highlights')
+        .insert([{
+          owner_address: ownerAddress.toLowerCase(),
+          title: title.trim(),
+          cover_image_url: story.imageUrl,
+          position
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const itemResult = await this.addStoryToHighlight(data.id, ownerAddress, story);
+      if (!itemResult.success) throw new Error(itemResult.error);
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error creating story highlight:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The database copies the media, audience and hidden flag from the story row
+  static async addStoryToHighlight(highlightId, ownerAddress, story) {
+    try {
+      const { error } = await supabase
+        .from('story_highlight_items')
+        .upsert([{
+          highlight_id: highlightId,
+          story_id: story.id,
+          owner_address: ownerAddress.toLowerCase()
+        }], { onConflict: 'highlight_id,story_id', ignoreDuplicates: true });
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error adding story to highlight:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // updates may hold title and/or cover_image_url
+  static async updateStoryHighlight(highlightId, ownerAddress, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('story_highlights')
+        .update(updates)
+        .eq('id', highlightId)
+        .eq('owner_address', ownerAddress.toLowerCase())
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error updating story highlight:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async reorderStoryHighlights(highlightIds) {
+    try {
+      const { error } = await supabase.rpc('reorder_story_highlights', {
+        highlight_ids: highlightIds
+      });
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error reordering story highlights:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async deleteStoryHighlight(highlightId, ownerAddress) {
+    try {
+      const { error } = await supabase
+        .from('story_highlights')
+        .delete()
+        .eq('id', highlightId)
+        .eq('owner_address', ownerAddress.toLowerCase());
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting story highlight:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async removeStoryHighlightItem(itemId, ownerAddress) {
+    try {
+      const { error } = await supabase
+        .from('story_highlight_items')
+        .delete()
+        .eq('id', itemId)
+        .eq('owner_address', ownerAddress.toLowerCase());
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing story from highlight:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Likes
   static async toggleLike(postId, userAddress, username = null) {
     try {
@@ -228,6 +677,16 @@ export class SupabaseService {
   // Comments
   static async createComment(commentData) {
     try {
+      const { data: blocked, error: blockError } = await supabase.rpc('is_blocked_from_post', {
+        target_post_id: commentData.post_id,
+        commenter_address: commentData.user_address
+      });
+
+      if (blockError) throw blockError;
+      if (blocked) {
+        return { success: false, blocked: true, error: 'You can\'t comment on this post' };
+      }
+
       const { data, error } = await supabase
         .from('comments')
         .insert([commentData])
@@ -255,6 +714,13 @@ export class SupabaseService {
         });
       }
 
+      await this.saveTextEntities(commentData.content, {
+        postId: commentData.post_id,
+        commentId: data.id,
+        authorAddress: commentData.user_address,
+        authorUsername: commentData.username
+      });
+
       return { success: true, data };
     } catch (error) {
       console.error('Error creating comment:', error);
@@ -268,6 +734,7 @@ export class SupabaseService {
         .from('comments')
         .select('*')
         .eq('post_id', postId)
+        .eq('is_hidden', false)
         .order('created_at', { ascending: true });
 
       if (error) throw error;
@@ -294,17 +761,95 @@ export class SupabaseService {
     }
   }
 
+  // Hashtags and mentions
+  // Failures are logged but never fail the post or comment that triggered them
+  static async saveTextEntities(text, { postId, commentId = null, authorAddress, authorUsername }) {
+    const tags = extractHashtags(text);
+    const usernames = extractMentions(text);
+
+    try {
+      if (tags.length > 0) {
+        const { error } = await supabase
+          .from('post_hashtags')
+          .insert(tags.map(tag => ({ tag, post_id: postId, comment_id: commentId })));
+
+        if (error) throw error;
+      }
+
+      if (usernames.length === 0) return;
+
+      const { data: mentionedUsers, error: usersError } = await supabase
+        .from('users')
+        .select('address, username')
+        .in('username', usernames);
+
+      if (usersError) throw usersError;
+
+      const mentioned = mentionedUsers.filter(
+        mentionedUser => mentionedUser.address.toLowerCase() !== authorAddress.toLowerCase()
+      );
+      if (mentioned.length === 0) return;
+
+      const { error: mentionsError } = await supabase
+        .from('mentions')
+        .insert(mentioned.map(mentionedUser => ({
+          mentioned_address: mentionedUser.address,
+          mentioned_username: mentionedUser.username,
+          author_address: authorAddress,
+          post_id: postId,
+          comment_id: commentId
+        })));
+
+      if (mentionsError) throw mentionsError;
+
+      const author = authorUsername || authorAddress.substring(0, 8);
+      await Promise.all(mentioned.map(mentionedUser => this.createNotification({
+        user_address: mentionedUser.address,
+        type: 'mention',
+        title: 'New Mention',
+        message: commentId
+          ? `${author} mentioned you in a comment`
+          : `${author} mentioned you in a post`,
+        post_id: postId,
+        from_user_address: authorAddress,
+        from_username: authorUsername
+      })));
+    } catch (error) {
+      console.error('Error saving hashtags and mentions:', error);
+    }
+  }
+
+  static async getPostsByHashtag(tag, limit = 50) {
+    try {
+      const { data, error } = await supabase
+        .from('posts')
+        .select('*, post_hashtags!inner(tag)')
+        .eq('post_hashtags.tag', tag.toLowerCase())
+        .is('post_hashtags.comment_id', null) // Tags from comments don't list the post
+        .eq('is_hidden', false)
+        .lte('publish_at', new Date().toISOString())
+        .order('publish_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error fetching posts by hashtag:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   // Notifications
+  // Only the recipient may read a notification, so the sender can't ask for
+  // the inserted row back (INSERT ... RETURNING would fail RLS)
   static async createNotification(notificationData) {
     try {
-      const { data, error } = await supabase
+      const { error } = await supabase
         .from('notifications')
-        .insert([notificationData])
-        .select()
-        .single();
+        .insert([notificationData]);
 
       if (error) throw error;
-      return { success: true, data };
+      return { success: true, data: notificationData };
     } catch (error) {
       console.error('Error creating notification:', error);
       return { success: false, error: error.message };
@@ -393,12 +938,29 @@ export class SupabaseService {
     }
   }
 
-  static async getAllUsers(limit = 50) {
+  static async getUserByUsername(username) {
     try {
       const { data, error } = await supabase
         .from('users')
         .select('*')
-        .order('created_at', { ascending: false })
+        .eq('username', username)
+        .limit(1)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error fetching user by username:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getAllUsers(limit = 50) {
+    try {
+      const { data, error } = await supabase
+        .from('users')
+        .select('*')
+        .order('created_at', { ascending: false })
         .limit(limit);
 
       if (error) throw error;
@@ -409,17 +971,459 @@ export class SupabaseService {
     }
   }
 
-  // Purchases
-  static async createPurchase(purchaseData) {
+  static async getUsersByAddresses(addresses) {
     try {
+      if (!addresses || addresses.length === 0) {
+        return { success: true, data: [] };
+      }
+
       const { data, error } = await supabase
-        .from('purchases')
-        .insert([purchaseData])
+        .from('users')
+        .select('*')
+        .in('address', addresses);
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error fetching users by address:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Follows
+  // The contract is the source of truth; this table mirrors its UserFollowed /
+  // UserUnfollowed events. Addresses are stored lowercased.
+  static async recordFollow(followEvent, username = null) {
+    try {
+      const follower = followEvent.follower.toLowerCase();
+      const following = followEvent.following.toLowerCase();
+
+      const { data, error } = await supabase
+        .from('follows')
+        .upsert([{
+          follower_address: follower,
+          following_address: following,
+          transaction_hash: followEvent.transactionHash,
+          block_number: followEvent.blockNumber
+        }], { onConflict: 'follower_address,following_address' })
         .select()
         .single();
 
       if (error) throw error;
+
+      await this.createNotification({
+        user_address: following,
+        type: 'follow',
+        title: 'New Follower',
+        message: `${username || follower.substring(0, 8)} started following you`,
+        from_user_address: follower,
+        from_username: username
+      });
+
       return { success: true, data };
+    } catch (error) {
+      console.error('Error recording follow:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async removeFollow(followEvent) {
+    try {
+      const { error } = await supabase
+        .from('follows')
+        .delete()
+        .eq('follower_address', followEvent.follower.toLowerCase())
+        .eq('following_address', followEvent.following.toLowerCase());
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing follow:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Apply replayed chain state (see utils/followSync) without sending notifications
+  static async applyFollowChanges(followerAddress, changes) {
+    try {
+      const follower = followerAddress.toLowerCase();
+      const followed = changes.filter(change => change.isFollowing);
+      const unfollowed = changes.filter(change => !change.isFollowing);
+
+      if (followed.length > 0) {
+        const { error } = await supabase
+          .from('follows')
+          .upsert(followed.map(change => ({
+            follower_address: follower,
+            following_address: change.following,
+            transaction_hash: change.transactionHash,
+            block_number: change.blockNumber
+          })), { onConflict: 'follower_address,following_address' });
+
+        if (error) throw error;
+      }
+
+      if (unfollowed.length > 0) {
+        const { error } = await supabase
+          .from('follows')
+          .delete()
+          .eq('follower_address', follower)
+          .in('following_address', unfollowed.map(change => change.following));
+
+        if (error) throw error;
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error applying follow changes:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Make the follower's mirror rows match the contract's getFollowing list
+  static async syncFollowing(followerAddress, followingAddresses) {
+    try {
+      const follower = followerAddress.toLowerCase();
+      const { data, error } = await supabase
+        .from('follows')
+        .select('following_address')
+        .eq('follower_address', follower);
+
+      if (error) throw error;
+
+      const onChain = new Set(followingAddresses.map(address => address.toLowerCase()));
+      const mirrored = new Set(data.map(row => row.following_address));
+      const changes = [
+        ...[...onChain].filter(address => !mirrored.has(address)).map(address => ({ following: address, isFollowing: true, transactionHash: null, blockNumber: null })),
+        ...[...mirrored].filter(address => !onChain.has(address)).map(address => ({ following: address, isFollowing: false }))
+      ];
+
+      if (changes.length === 0) return { success: true };
+      return this.applyFollowChanges(follower, changes);
+    } catch (error) {
+      console.error('Error syncing follows:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Follow rows for an address, newest first, each with the other side's `user` row (or null)
+  static async getFollowing(address) {
+    return this.getFollowRows('follower_address', 'following_address', address);
+  }
+
+  static async getFollowers(address) {
+    return this.getFollowRows('following_address', 'follower_address', address);
+  }
+
+  // Paginated, searchable followers/following list for the profile modals
+  static async listFollows(address, listType, { search = '', limit = 20, offset = 0 } = {}) {
+    try {
+      const { data, error } = await supabase.rpc('list_follows', {
+        target_address: address,
+        list_type: listType,
+        search_query: search,
+        page_size: limit,
+        page_offset: offset
+      });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error listing follows:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Same page shape as listFollows for addresses read from the contract
+  static async listProfiles(addresses, { search = '', limit = 20, offset = 0 } = {}) {
+    try {
+      const { data, error } = await supabase.rpc('list_profiles', {
+        addresses,
+        search_query: search,
+        page_size: limit,
+        page_offset: offset
+      });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error listing profiles:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getFollowRows(matchColumn, otherColumn, address) {
+    try {
+      const { data, error } = await supabase
+        .from('follows')
+        .select('*')
+        .eq(matchColumn, address.toLowerCase())
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      const usersResult = await this.getUsersByAddresses(data.map(row => row[otherColumn]));
+      const usersByAddress = new Map(
+        (usersResult.success ? usersResult.data : []).map(user => [user.address.toLowerCase(), user])
+      );
+
+      return {
+        success: true,
+        data: data.map(row => ({
+          ...row,
+          address: row[otherColumn],
+          user: usersByAddress.get(row[otherColumn]) || null
+        }))
+      };
+    } catch (error) {
+      console.error('Error fetching follows:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Blocks and mutes
+  // RLS hides posts and comments across blocked/muted pairs and rejects messages
+  // and comments between blocked pairs; the checks here give a readable error first
+  static async getUserBlocks(userAddress) {
+    try {
+      const { data, error } = await supabase
+        .from('user_blocks')
+        .select('*')
+        .eq('blocker_address', userAddress.toLowerCase());
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error fetching blocks:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // kind is 'block' or 'mute'; a pair has at most one, so blocking a muted user replaces the mute
+  static async setUserBlock(userAddress, targetAddress, kind) {
+    try {
+      const { data, error } = await supabase
+        .from('user_blocks')
+        .upsert([{
+          blocker_address: userAddress.toLowerCase(),
+          blocked_address: targetAddress.toLowerCase(),
+          kind
+        }], { onConflict: 'blocker_address,blocked_address' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error saving block:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async removeUserBlock(userAddress, targetAddress) {
+    try {
+      const { error } = await supabase
+        .from('user_blocks')
+        .delete()
+        .eq('blocker_address', userAddress.toLowerCase())
+        .eq('blocked_address', targetAddress.toLowerCase());
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing block:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async isBlockedBetween(addressA, addressB) {
+    const { data, error } = await supabase.rpc('is_blocked_between', {
+      address_a: addressA,
+      address_b: addressB
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Close friends
+  // Posts and stories with audience 'close_friends' are only returned (by RLS)
+  // to the creator and the addresses on their list. Only the owner can read it.
+  static async getCloseFriends(ownerAddress) {
+    try {
+      const { data, error } = await supabase
+        .from('close_friends')
+        .select('friend_address, created_at')
+        .eq('owner_address', ownerAddress.toLowerCase())
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+
+      const usersResult = await this.getUsersByAddresses(data.map(row => row.friend_address));
+      const users = usersResult.success ? usersResult.data : [];
+
+      return {
+        success: true,
+        data: data.map(row => ({
+          ...row,
+          user: users.find(u => u.address === row.friend_address) || null
+        }))
+      };
+    } catch (error) {
+      console.error('Error fetching close friends:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async addCloseFriend(ownerAddress, friendAddress) {
+    try {
+      const { error } = await supabase
+        .from('close_friends')
+        .upsert([{
+          owner_address: ownerAddress.toLowerCase(),
+          friend_address: friendAddress.toLowerCase()
+        }], { onConflict: 'owner_address,friend_address', ignoreDuplicates: true });
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error adding close friend:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async removeCloseFriend(ownerAddress, friendAddress) {
+    try {
+      const { error } = await supabase
+        .from('close_friends')
+        .delete()
+        .eq('owner_address', ownerAddress.toLowerCase())
+        .eq('friend_address', friendAddress.toLowerCase());
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing close friend:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Moderation
+  // Reports are resolved by moderators (the contract owner) through the
+  // resolve_report function, which also hides the reported content
+  static async createReport(reportData) {
+    try {
+      const { error } = await supabase
+        .from('reports')
+        .upsert([reportData], {
+          onConflict: 'reporter_address,target_type,target_id',
+          ignoreDuplicates: true
+        });
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error creating report:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async getReports({ status = 'open', limit = 50 } = {}) {
+    try {
+      const { data, error } = await supabase
+        .from('reports')
+        .select('*')
+        .eq('status', status)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error fetching reports:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The reported row itself, for previews; null once it has been deleted
+  static async getReportTarget(targetType, targetId) {
+    try {
+      const { data, error } = await supabase
+        .from(REPORT_TARGET_TABLES[targetType])
+        .select('*')
+        .eq('id', targetId)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error fetching reported content:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // resolution is 'hidden' or 'dismissed'; every open report on the same target is closed
+  static async resolveReport(reportId, resolution) {
+    try {
+      const { data, error } = await supabase.rpc('resolve_report', {
+        target_report_id: reportId,
+        resolution
+      });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error resolving report:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Search
+  static async searchUsers(query, { creatorsOnly = false, limit = 20, offset = 0 } = {}) {
+    try {
+      const { data, error } = await supabase.rpc('search_users', {
+        search_query: query,
+        creators_only: creatorsOnly,
+        page_size: limit,
+        page_offset: offset
+      });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error searching users:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static async searchPosts(query, { limit = 20, offset = 0 } = {}) {
+    try {
+      const { data, error } = await supabase.rpc('search_posts', {
+        search_query: query,
+        page_size: limit,
+        page_offset: offset
+      });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error searching posts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Purchases
+  // Purchase rows unlock paid posts, so only the record-purchase edge function
+  // writes them, after checking the ContentPurchased event in the transaction.
+  // It also notifies the creator.
+  static async createPurchase(postId, transactionHash) {
+    try {
+      const { data, error } = await supabase.functions.invoke('record-purchase', {
+        body: { postId, transactionHash }
+      });
+
+      if (error) throw new Error(await functionErrorMessage(error));
+      return { success: true, data: data.purchase };
     } catch (error) {
       console.error('Error creating purchase:', error);
       return { success: false, error: error.message };
@@ -441,12 +1445,55 @@ export class SupabaseService {
     }
   }
 
+  static async getCreatorSales(creatorAddress) {
+    try {
+      const { data, error } = await supabase
+        .from('purchases')
+        .select('id, user_address, post_id, amount, transaction_hash, created_at, posts!inner(content_id, creator_address)')
+        .eq('posts.creator_address', creatorAddress)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error fetching creator sales:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Subscriptions
+  static async createSubscription(subscriptionData, username = null) {
+    try {
+      const { data, error } = await supabase
+        .from('subscriptions')
+        .insert([subscriptionData])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await this.createNotification({
+        user_address: subscriptionData.creator_address,
+        type: 'subscription',
+        title: 'New Subscriber',
+        message: `${username || subscriptionData.subscriber_address.substring(0, 8)} subscribed for ${subscriptionData.amount} BNB`,
+        from_user_address: subscriptionData.subscriber_address,
+        from_username: username
+      });
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error creating subscription:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async checkContentAccess(userAddress, postId) {
     try {
       // Check if post is free
       const { data: post, error: postError } = await supabase
         .from('posts')
-        .select('is_paid, creator_address')
+        .select('is_paid, creator_address, tier_id')
         .eq('id', postId)
         .single();
 
@@ -457,7 +1504,28 @@ export class SupabaseService {
         return { success: true, hasAccess: true };
       }
 
-      // Check if they purchased it
+      // Subscription rows are written by the subscriber's client, so they
+      // can't unlock tier-gated posts on their own: the caller confirms the
+      // returned subscription on-chain
+      let subscription = null;
+      if (post.tier_id !== null && post.tier_id !== undefined) {
+        const { data: subscriptions, error: subscriptionError } = await supabase
+          .from('subscriptions')
+          .select('id')
+          .eq('subscriber_address', userAddress)
+          .eq('creator_address', post.creator_address)
+          .eq('tier_id', post.tier_id)
+          .gt('expires_at', new Date().toISOString())
+          .limit(1);
+
+        if (subscriptionError) throw subscriptionError;
+        if (subscriptions.length > 0) {
+          subscription = { creatorAddress: post.creator_address, tierId: post.tier_id };
+        }
+      }
+
+      // Purchase rows predating the record-purchase function were written by
+      // the buyer's client, so the caller confirms them on-chain as well
       const { data: purchase, error: purchaseError } = await supabase
         .from('purchases')
         .select('id')
@@ -467,7 +1535,7 @@ export class SupabaseService {
 
       if (purchaseError && purchaseError.code !== 'PGRST116') throw purchaseError;
 
-      return { success: true, hasAccess: !!purchase };
+      return { success: true, hasAccess: false, purchased: !!purchase, subscription };
     } catch (error) {
       console.error('Error checking content access:', error);
       return { success: false, error: error.message };
@@ -527,8 +1595,8 @@ export class SupabaseService {
       .subscribe();
   }
 
-  // Messages - Build conversations dynamically from messages table
-  static async getConversations(userAddress) {
+  // Messages - One row per conversation, summarised by database triggers
+  static async getConversations(userAddress, { limit = CONVERSATION_PAGE_SIZE, offset = 0 } = {}) {
     try {
       console.log('🔄 Loading conversations for user:', userAddress);
 
@@ -536,20 +1604,31 @@ export class SupabaseService {
         throw new Error('User address is required');
       }
 
-      // Fetch all messages where user is sender or receiver
       const { data, error } = await supabase
-        .from('messages')
+        .from('conversations')
         .select('*')
-        .or(`sender_address.eq.${userAddress},receiver_address.eq.${userAddress}`)
-        .order('created_at', { ascending: false });
+        .or(`participant1.eq.${userAddress},participant2.eq.${userAddress}`)
+        .not('last_message_at', 'is', null)
+        .order('last_message_at', { ascending: false })
+        .range(offset, offset + limit);
 
       if (error) {
         console.error('❌ Supabase query error:', error);
         throw error;
       }
 
-      console.log('✅ Loaded messages for building conversations:', data?.length || 0, 'messages');
-      return { success: true, data: data || [] };
+      // The extra row only tells us whether another page exists
+      const conversations = data.slice(0, limit).map(conversation => {
+        const isParticipant1 = conversation.participant1 === userAddress;
+        return {
+          ...conversation,
+          other_address: isParticipant1 ? conversation.participant2 : conversation.participant1,
+          unread_count: isParticipant1 ? conversation.participant1_unread : conversation.participant2_unread
+        };
+      });
+
+      console.log('✅ Loaded conversations:', conversations.length);
+      return { success: true, data: conversations, hasMore: data.length > limit };
     } catch (error) {
       console.error('❌ Error fetching conversations:', error);
       console.error('❌ Full error details:', error.message, error.details, error.hint);
@@ -562,12 +1641,18 @@ export class SupabaseService {
       console.log('🔄 Sending message:', messageData);
       console.log('🔍 Message data fields:', Object.keys(messageData));
 
+      if (await this.isBlockedBetween(messageData.sender_address, messageData.receiver_address)) {
+        return { success: false, blocked: true, error: 'You can\'t message this user' };
+      }
+
       const { data, error } = await supabase
         .from('messages')
         .insert([{
           sender_address: messageData.sender_address,
           receiver_address: messageData.receiver_address,
           content: messageData.content,
+          story_id: messageData.story_id || null,
+          story_image_url: messageData.story_image_url || null,
           created_at: new Date().toISOString()
         }])
         .select()
@@ -587,7 +1672,9 @@ export class SupabaseService {
     }
   }
 
-  static async getMessages(userAddress, otherAddress) {
+  // Newest page first; `data` is returned oldest-first for display and
+  // nextCursor loads the messages before it
+  static async getMessages(userAddress, otherAddress, { limit = MESSAGE_PAGE_SIZE, cursor = null } = {}) {
     try {
       console.log('🔄 Loading messages between:', userAddress, 'and', otherAddress);
 
@@ -595,20 +1682,26 @@ export class SupabaseService {
         throw new Error('Both user addresses are required');
       }
 
-      // Get all messages where user and other are either sender or receiver
-      const { data, error } = await supabase
+      // Get messages where user and other are either sender or receiver
+      const query = supabase
         .from('messages')
         .select('*')
         .or(`and(sender_address.eq.${userAddress},receiver_address.eq.${otherAddress}),and(sender_address.eq.${otherAddress},receiver_address.eq.${userAddress})`)
-        .order('created_at', { ascending: true });
+        .eq('is_hidden', false);
+
+      const { data, error } = await applyFeedCursor(query, cursor)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit + 1);
 
       if (error) {
         console.error('❌ Supabase query error:', error);
         throw error;
       }
 
-      console.log('✅ Loaded messages:', data?.length || 0, 'messages');
-      return { success: true, data: data || [] };
+      const page = toFeedPage(data, limit);
+      console.log('✅ Loaded messages:', page.data.length, 'messages');
+      return { success: true, data: page.data.reverse(), nextCursor: page.nextCursor };
     } catch (error) {
       console.error('❌ Error fetching messages:', error);
       console.error('❌ Full error details:', error.message, error.details, error.hint);
@@ -616,6 +1709,49 @@ export class SupabaseService {
     }
   }
 
+  // Unread messages addressed to the user, in total and per sender, read from
+  // the counters the conversation triggers keep
+  static async getUnreadMessageCounts(userAddress) {
+    try {
+      const { data, error } = await supabase
+        .from('conversations')
+        .select('participant1, participant2, participant1_unread, participant2_unread')
+        .or(`and(participant1.eq.${userAddress},participant1_unread.gt.0),and(participant2.eq.${userAddress},participant2_unread.gt.0)`);
+
+      if (error) throw error;
+
+      let total = 0;
+      const bySender = {};
+      data.forEach(conversation => {
+        const isParticipant1 = conversation.participant1 === userAddress;
+        const count = isParticipant1 ? conversation.participant1_unread : conversation.participant2_unread;
+        if (count > 0) {
+          bySender[isParticipant1 ? conversation.participant2 : conversation.participant1] = count;
+          total += count;
+        }
+      });
+      return { success: true, data: { total, bySender } };
+    } catch (error) {
+      console.error('Error fetching unread message counts:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Marks everything otherAddress sent to the signed-in wallet as read
+  static async markMessagesRead(otherAddress) {
+    try {
+      const { data, error } = await supabase.rpc('mark_messages_read', {
+        other_address: otherAddress
+      });
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error marking messages as read:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   static async deleteMessage(messageId, userAddress) {
     try {
       console.log('🔄 Deleting message:', messageId, 'by user:', userAddress);
@@ -637,12 +1773,22 @@ export class SupabaseService {
   }
 
   // Real-time subscriptions for messages
-  static subscribeToMessages(userAddress, otherAddress, callback) {
+  // Both participants join the same channel, whose presence carries typing
+  // state: onTyping(isTyping) fires when the other side starts or stops typing
+  static subscribeToMessages(userAddress, otherAddress, callback, onTyping = null) {
     console.log('🔄 Subscribing to messages between:', userAddress, 'and', otherAddress);
 
+    const channel = supabase.channel(`messages-${[userAddress, otherAddress].sort().join('-')}`, {
+      config: { presence: { key: userAddress } }
+    });
+
     // Subscribe to messages where either user is sender or receiver
-    return supabase
-      .channel(`messages-${userAddress}-${otherAddress}`)
+    return channel
+      .on('presence', { event: 'sync' }, () => {
+        if (!onTyping) return;
+        const otherPresence = channel.presenceState()[otherAddress] || [];
+        onTyping(otherPresence.some(presence => presence.typing));
+      })
       .on('postgres_changes', {
         event: '*',
         schema: 'public',
@@ -657,7 +1803,19 @@ export class SupabaseService {
           callback(payload);
         }
       })
-      .subscribe();
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          channel.track({ typing: false });
+        }
+      });
+  }
+
+  // Publish the user's typing state on a channel from subscribeToMessages
+  static setTypingStatus(channel, isTyping) {
+    if (!channel) return;
+    channel.track({ typing: isTyping }).catch(error => {
+      console.error('Error updating typing status:', error);
+    });
   }
 
   static subscribeToUserMessages(userAddress, callback) {
@@ -0,0 +1,72 @@
+import { SupabaseService } from './supabaseService';
+import { supabase } from '../supabaseClient';
+
+jest.mock('../supabaseClient', () => ({ supabase: { from: jest.fn() } }));
+
+const USER_A = '0xaaaa000000000000000000000000000000000001';
+const USER_B = '0xbbbb000000000000000000000000000000000002';
+
+const rlsError = { message: 'new row violates row-level security policy for table "notifications"' };
+
+// Stand-in for PostgREST under the notifications policies, signed in as `jwtAddress`:
+// senders may insert (from_user_address check), only recipients may read back
+const notificationsTable = (jwtAddress, rows) => ({
+  insert: (newRows) => {
+    const allowed = newRows.every(row => row.from_user_address === jwtAddress);
+    const result = allowed ? { data: null, error: null } : { data: null, error: rlsError };
+    if (allowed) rows.push(...newRows);
+
+    return {
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+      select: () => ({
+        single: async () => (allowed && newRows.every(row => row.user_address === jwtAddress)
+          ? { data: newRows[0], error: null }
+          : { data: null, error: rlsError })
+      })
+    };
+  }
+});
+
+describe('SupabaseService.createNotification', () => {
+  let rows;
+
+  beforeEach(() => {
+    rows = [];
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets user A notify user B without reading the row back', async () => {
+    supabase.from.mockImplementation(() => notificationsTable(USER_A, rows));
+
+    const notification = {
+      user_address: USER_B,
+      from_user_address: USER_A,
+      type: 'follow',
+      title: 'New follower',
+      message: 'started following you'
+    };
+    const result = await SupabaseService.createNotification(notification);
+
+    expect(result).toEqual({ success: true, data: notification });
+    expect(rows).toEqual([notification]);
+  });
+
+  it('reports the error when the sender does not match the signed-in wallet', async () => {
+    supabase.from.mockImplementation(() => notificationsTable(USER_A, rows));
+
+    const result = await SupabaseService.createNotification({
+      user_address: USER_B,
+      from_user_address: USER_B,
+      type: 'follow',
+      title: 'New follower',
+      message: 'started following you'
+    });
+
+    expect(result).toEqual({ success: false, error: rlsError.message });
+    expect(rows).toEqual([]);
+  });
+});
@@ -0,0 +1,70 @@
+// src/services/walletAuth.js
+import { supabase, setSupabaseAccessToken } from '../supabaseClient';
+import { walletSessionStorage } from '../utils/storageUtils';
+
+const AUTH_FUNCTION = 'wallet-auth';
+// Sign in again rather than send a token that expires mid-session
+const EXPIRY_MARGIN_MS = 5 * 60 * 1000;
+
+const isSessionValid = (session, address) => {
+  return !!session
+    && session.address === address.toLowerCase()
+    && session.expiresAt * 1000 - EXPIRY_MARGIN_MS > Date.now();
+};
+
+// Supabase functions return the error body on the response in error.context
+export const functionErrorMessage = async (error) => {
+  try {
+    const body = await error.context.json();
+    return body.error || error.message;
+  } catch {
+    return error.message;
+  }
+};
+
+// Reuse the stored session for `address` if it hasn't expired
+export const restoreWalletSession = (address) => {
+  const session = walletSessionStorage.get();
+
+  if (!address || !isSessionValid(session, address)) {
+    setSupabaseAccessToken(null);
+    return false;
+  }
+
+  setSupabaseAccessToken(session.token);
+  return true;
+};
+
+/**
+ * Sign-In-With-Ethereum against the wallet-auth edge function: fetch a
+ * one-time message, sign it with the wallet and exchange the signature for a
+ * Supabase JWT carrying the address. Later Supabase requests use that JWT.
+ */
+export const signInWithWallet = async (signer, address) => {
+  try {
+    const { data: challenge, error: challengeError } = await supabase.functions.invoke(AUTH_FUNCTION, {
+      body: { action: 'nonce', address }
+    });
+    if (challengeError) throw new Error(await functionErrorMessage(challengeError));
+
+    const signature = await signer.signMessage(challenge.message);
+
+    const { data: session, error: verifyError } = await supabase.functions.invoke(AUTH_FUNCTION, {
+      body: { action: 'verify', address, signature }
+    });
+    if (verifyError) throw new Error(await functionErrorMessage(verifyError));
+
+    walletSessionStorage.set(session);
+    setSupabaseAccessToken(session.token);
+    console.log('✅ Signed in to Supabase as', session.address);
+    return { success: true, session };
+  } catch (error) {
+    console.error('❌ Wallet sign-in failed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+export const signOutWallet = () => {
+  walletSessionStorage.clear();
+  setSupabaseAccessToken(null);
+};
@@ -0,0 +1,19 @@
+// src/utils/deploymentBlock.js
+// Where event scans over the SocialPlatform contract should start
+
+// About a week of BSC blocks, scanned when the contract can't report its deployment block
+export const LEGACY_LOOKBACK_BLOCKS = 200000;
+
+/**
+ * First block of a full history scan. Deployments that predate
+ * `deploymentBlock()` revert on it, so scans there can only cover the last
+ * LEGACY_LOOKBACK_BLOCKS blocks and come back with `complete: false`.
+ */
+export const getScanStart = async (contract, latestBlock) => {
+  try {
+    return { fromBlock: Number(await contract.deploymentBlock()), complete: true };
+  } catch (error) {
+    console.warn('⚠️ Contract has no deploymentBlock, scanning recent blocks only:', error);
+    return { fromBlock: Math.max(0, latestBlock - LEGACY_LOOKBACK_BLOCKS), complete: false };
+  }
+};
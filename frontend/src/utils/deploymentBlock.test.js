@@ -0,0 +1,29 @@
+import { getScanStart, LEGACY_LOOKBACK_BLOCKS } from './deploymentBlock';
+
+describe('getScanStart', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('starts at the block reported by the contract', async () => {
+    const contract = { deploymentBlock: jest.fn().mockResolvedValue(1234n) };
+    await expect(getScanStart(contract, 900000)).resolves.toEqual({ fromBlock: 1234, complete: true });
+  });
+
+  it('falls back to a recent window, marked incomplete, when deploymentBlock reverts', async () => {
+    const contract = { deploymentBlock: jest.fn().mockRejectedValue(new Error('execution reverted')) };
+    await expect(getScanStart(contract, 900000)).resolves.toEqual({
+      fromBlock: 900000 - LEGACY_LOOKBACK_BLOCKS,
+      complete: false
+    });
+  });
+
+  it('never falls back below block zero', async () => {
+    const contract = { deploymentBlock: jest.fn().mockRejectedValue(new Error('execution reverted')) };
+    await expect(getScanStart(contract, 100)).resolves.toEqual({ fromBlock: 0, complete: false });
+  });
+});
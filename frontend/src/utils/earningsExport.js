@@ -0,0 +1,132 @@
+// src/utils/earningsExport.js
+// Builds downloadable earnings reports from event history and Supabase purchases
+
+import { ethers } from 'ethers';
+
+const REPORT_COLUMNS = [
+  'date',
+  'type',
+  'content_id',
+  'post_id',
+  'counterparty',
+  'gross_bnb',
+  'fee_bnb',
+  'net_bnb',
+  'transaction_hash',
+  'source'
+];
+
+const toFiat = (bnbAmount, fiatRate) => {
+  if (bnbAmount === '' || !fiatRate) return '';
+  return (parseFloat(bnbAmount) * fiatRate).toFixed(2);
+};
+
+// Key for matching a purchase without a transaction hash to its chain event
+const purchaseKey = (contentId, buyer) => `${contentId}:${String(buyer).toLowerCase()}`;
+
+/**
+ * Merge contract events with Supabase purchase rows into report rows.
+ * Chain events are authoritative; Supabase rows only fill in post ids.
+ * Rows are matched by transaction hash, or by (content id, buyer) for
+ * reconciled purchases whose hash was never found. Purchase rows without a
+ * matching event can't be trusted as revenue, so they are listed with
+ * source 'unverified' and no amounts.
+ */
+export const buildEarningsReport = (history, sales = [], fiatRate = null, fiatCurrency = 'USD') => {
+  const salesByHash = new Map(
+    sales
+      .filter(sale => sale.transaction_hash)
+      .map(sale => [sale.transaction_hash.toLowerCase(), sale])
+  );
+  const unhashedSales = new Map();
+  sales
+    .filter(sale => !sale.transaction_hash && sale.posts?.content_id)
+    .forEach(sale => {
+      const key = purchaseKey(sale.posts.content_id, sale.user_address);
+      unhashedSales.set(key, [...(unhashedSales.get(key) || []), sale]);
+    });
+  const matchedSales = new Set();
+
+  const findSale = (event) => {
+    const byHash = salesByHash.get(event.transactionHash.toLowerCase());
+    if (byHash) return byHash;
+
+    const candidates = unhashedSales.get(purchaseKey(event.contentId, event.counterparty)) || [];
+    return candidates.find(sale => !matchedSales.has(sale)) || null;
+  };
+
+  const rows = history.map(event => {
+    const sale = event.type === 'purchase' ? findSale(event) : null;
+    if (sale) matchedSales.add(sale);
+
+    return {
+      date: event.timestamp ? new Date(event.timestamp * 1000).toISOString() : '',
+      type: event.type,
+      content_id: event.contentId || '',
+      post_id: sale ? sale.post_id : '',
+      counterparty: event.counterparty || '',
+      gross_bnb: ethers.formatEther(event.gross),
+      fee_bnb: ethers.formatEther(event.fee),
+      net_bnb: ethers.formatEther(event.net),
+      transaction_hash: event.transactionHash,
+      source: 'chain'
+    };
+  });
+
+  sales
+    .filter(sale => !matchedSales.has(sale))
+    .forEach(sale => {
+      rows.push({
+        date: new Date(sale.created_at).toISOString(),
+        type: 'purchase',
+        content_id: sale.posts?.content_id || '',
+        post_id: sale.post_id,
+        counterparty: sale.user_address,
+        gross_bnb: '',
+        fee_bnb: '',
+        net_bnb: '',
+        transaction_hash: sale.transaction_hash || '',
+        source: 'unverified'
+      });
+    });
+
+  rows.sort((a, b) => a.date.localeCompare(b.date));
+
+  if (!fiatRate) return rows;
+
+  const currency = fiatCurrency.toLowerCase();
+  return rows.map(row => ({
+    ...row,
+    [`gross_${currency}`]: toFiat(row.gross_bnb, fiatRate),
+    [`fee_${currency}`]: toFiat(row.fee_bnb, fiatRate),
+    [`net_${currency}`]: toFiat(row.net_bnb, fiatRate)
+  }));
+};
+
+const escapeCsvValue = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const reportToCsv = (rows) => {
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : REPORT_COLUMNS;
+  const lines = rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','));
+  return [columns.join(','), ...lines].join('\n');
+};
+
+export const reportToJson = (rows, metadata = {}) => {
+  return JSON.stringify({ ...metadata, generatedAt: new Date().toISOString(), rows }, null, 2);
+};
+
+export const downloadReport = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+};
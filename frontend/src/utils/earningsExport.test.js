@@ -0,0 +1,89 @@
+import { ethers } from 'ethers';
+import { buildEarningsReport, reportToCsv } from './earningsExport';
+
+const BUYER = '0xAbCdEf0000000000000000000000000000000001';
+
+const purchaseEvent = (overrides = {}) => ({
+  type: 'purchase',
+  contentId: 7,
+  counterparty: BUYER,
+  gross: ethers.parseEther('1'),
+  fee: ethers.parseEther('0.02'),
+  net: ethers.parseEther('0.98'),
+  transactionHash: '0xAAA',
+  timestamp: 1700000000,
+  ...overrides
+});
+
+const sale = (overrides = {}) => ({
+  post_id: 42,
+  user_address: BUYER.toLowerCase(),
+  amount: 1,
+  transaction_hash: '0xaaa',
+  created_at: '2023-11-14T22:13:20.000Z',
+  posts: { content_id: 7 },
+  ...overrides
+});
+
+describe('buildEarningsReport', () => {
+  test('matches a sale to its chain event by transaction hash', () => {
+    const rows = buildEarningsReport([purchaseEvent()], [sale()]);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ source: 'chain', post_id: 42, net_bnb: '0.98' });
+  });
+
+  test('matches a reconciled sale without a hash by content id and buyer', () => {
+    const rows = buildEarningsReport([purchaseEvent()], [sale({ transaction_hash: null })]);
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ source: 'chain', post_id: 42 });
+  });
+
+  test('matches each unhashed sale to at most one event', () => {
+    const events = [
+      purchaseEvent(),
+      purchaseEvent({ transactionHash: '0xBBB', timestamp: 1700000100 })
+    ];
+    const rows = buildEarningsReport(events, [sale({ transaction_hash: null })]);
+
+    expect(rows).toHaveLength(2);
+    expect(rows.map(row => row.post_id)).toEqual([42, '']);
+  });
+
+  test('lists sales without a chain event as unverified, without amounts', () => {
+    const rows = buildEarningsReport(
+      [purchaseEvent()],
+      [sale({ transaction_hash: null, user_address: '0x0000000000000000000000000000000000000002' })]
+    );
+
+    expect(rows.map(row => row.source)).toEqual(['chain', 'unverified']);
+    expect(rows[1]).toMatchObject({ post_id: 42, gross_bnb: '', fee_bnb: '', net_bnb: '', transaction_hash: '' });
+  });
+
+  test('does not match tips or subscriptions to sales', () => {
+    const rows = buildEarningsReport([purchaseEvent({ type: 'tip' })], [sale({ transaction_hash: null })]);
+
+    expect(rows.map(row => row.source)).toEqual(['chain', 'unverified']);
+  });
+
+  test('leaves unverified sales out of fiat amounts', () => {
+    const rows = buildEarningsReport([], [sale()], 300, 'EUR');
+
+    expect(rows[0]).toMatchObject({ source: 'unverified', gross_eur: '', net_eur: '' });
+  });
+
+  test('adds fiat columns when a rate is given', () => {
+    const [row] = buildEarningsReport([purchaseEvent()], [], 300, 'EUR');
+
+    expect(row).toMatchObject({ gross_eur: '300.00', fee_eur: '6.00', net_eur: '294.00' });
+  });
+});
+
+describe('reportToCsv', () => {
+  test('quotes values containing commas and quotes', () => {
+    const csv = reportToCsv([{ a: 'x,y', b: 'say "hi"' }]);
+
+    expect(csv).toBe('a,b\n"x,y","say ""hi"""');
+  });
+});
@@ -0,0 +1,238 @@
+// src/utils/earningsHistory.js
+// Rebuilds a creator's revenue from SocialPlatform event logs
+/* global BigInt */
+
+import { ethers } from 'ethers';
+import { earningsHistoryStorage } from './storageUtils';
+import { getScanStart } from './deploymentBlock';
+
+// Public BSC RPC nodes reject eth_getLogs over larger ranges
+const LOG_CHUNK_SIZE = 5000;
+const FEE_DENOMINATOR = 10000n;
+const BLOCK_FETCH_BATCH = 10;
+
+const compareEvents = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+const toEvent = (type, log, fields) => ({
+  type,
+  blockNumber: log.blockNumber,
+  logIndex: log.index,
+  transactionHash: log.transactionHash,
+  ...fields
+});
+
+// Query the creator's events over [fromBlock, toBlock] in chunks the RPC accepts
+const scanEvents = async (contract, creatorAddress, contentIds, fromBlock, toBlock, onProgress) => {
+  const events = [];
+  const feeUpdates = [];
+  const totalBlocks = toBlock - fromBlock + 1;
+
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, toBlock);
+
+    const [purchases, subscriptions, tips, withdrawals, fees] = await Promise.all([
+      contentIds.length > 0
+        ? contract.queryFilter(contract.filters.ContentPurchased(contentIds), start, end)
+        : [],
+      contract.queryFilter(contract.filters.Subscribed(null, creatorAddress), start, end),
+      contract.queryFilter(contract.filters.TipSent(null, creatorAddress), start, end),
+      contract.queryFilter(contract.filters.EarningsWithdrawn(creatorAddress), start, end),
+      contract.queryFilter(contract.filters.PlatformFeeUpdated(), start, end)
+    ]);
+
+    purchases.forEach(log => events.push(toEvent('purchase', log, {
+      contentId: Number(log.args.contentId),
+      counterparty: log.args.buyer,
+      gross: log.args.price.toString()
+    })));
+    subscriptions.forEach(log => events.push(toEvent('subscription', log, {
+      tierId: Number(log.args.tierId),
+      counterparty: log.args.subscriber,
+      gross: log.args.price.toString()
+    })));
+    tips.forEach(log => events.push(toEvent('tip', log, {
+      contentId: Number(log.args.contentId) || null,
+      counterparty: log.args.tipper,
+      gross: log.args.amount.toString()
+    })));
+    withdrawals.forEach(log => events.push(toEvent('withdrawal', log, {
+      gross: log.args.amount.toString()
+    })));
+    fees.forEach(log => feeUpdates.push({
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      oldFee: Number(log.args.oldFee),
+      newFee: Number(log.args.newFee)
+    }));
+
+    if (onProgress) {
+      onProgress(Math.min(1, (end - fromBlock + 1) / totalBlocks));
+    }
+  }
+
+  return { events, feeUpdates };
+};
+
+// Resolve block timestamps for events that don't have one yet
+const addTimestamps = async (provider, events) => {
+  const blockNumbers = [...new Set(events.filter(e => !e.timestamp).map(e => e.blockNumber))];
+  const timestamps = {};
+
+  for (let i = 0; i < blockNumbers.length; i += BLOCK_FETCH_BATCH) {
+    const batch = blockNumbers.slice(i, i + BLOCK_FETCH_BATCH);
+    const blocks = await Promise.all(batch.map(number => provider.getBlock(number)));
+    blocks.forEach((block, index) => {
+      timestamps[batch[index]] = block ? block.timestamp : null;
+    });
+  }
+
+  return events.map(event => event.timestamp ? event : { ...event, timestamp: timestamps[event.blockNumber] });
+};
+
+// Apply the platform fee in force at each event's block. Withdrawals pay no fee.
+const applyPlatformFees = (events, feeUpdates, currentFee) => {
+  const updates = [...feeUpdates].sort(compareEvents);
+  let fee = updates.length > 0 ? updates[0].oldFee : currentFee;
+  let updateIndex = 0;
+
+  return [...events].sort(compareEvents).map(event => {
+    while (updateIndex < updates.length && compareEvents(updates[updateIndex], event) < 0) {
+      fee = updates[updateIndex].newFee;
+      updateIndex++;
+    }
+
+    const gross = BigInt(event.gross);
+    const feeAmount = event.type === 'withdrawal' ? 0n : (gross * BigInt(fee)) / FEE_DENOMINATOR;
+
+    return {
+      ...event,
+      feeRate: event.type === 'withdrawal' ? 0 : fee,
+      fee: feeAmount.toString(),
+      net: (gross - feeAmount).toString()
+    };
+  });
+};
+
+/**
+ * Load every revenue and withdrawal event for a creator, resuming from the
+ * last scanned block cached in localStorage.
+ * Amounts are wei strings; `timestamp` is in seconds. `complete` is false when
+ * the contract couldn't say where its history starts, so only recent events
+ * were found.
+ */
+export const fetchEarningsHistory = async (contract, creatorAddress, onProgress) => {
+  const provider = contract.runner.provider;
+  const contractAddress = await contract.getAddress();
+  const stored = earningsHistoryStorage.getHistory(contractAddress, creatorAddress);
+  // Caches written before `complete` was tracked may hold a truncated scan
+  const cached = stored && typeof stored.complete === 'boolean' ? stored : null;
+
+  const [latestBlock, contentIds, currentFee] = await Promise.all([
+    provider.getBlockNumber(),
+    contract.getUserContents(creatorAddress),
+    contract.platformFee()
+  ]);
+
+  const scanStart = cached
+    ? { fromBlock: cached.lastBlock + 1, complete: cached.complete }
+    : await getScanStart(contract, latestBlock);
+  let events = cached ? cached.events : [];
+  let feeUpdates = cached ? cached.feeUpdates : [];
+
+  if (scanStart.fromBlock <= latestBlock) {
+    const scanned = await scanEvents(
+      contract,
+      creatorAddress,
+      contentIds.map(id => Number(id)),
+      scanStart.fromBlock,
+      latestBlock,
+      onProgress
+    );
+
+    events = events.concat(await addTimestamps(provider, scanned.events));
+    feeUpdates = feeUpdates.concat(scanned.feeUpdates);
+
+    earningsHistoryStorage.setHistory(contractAddress, creatorAddress, {
+      lastBlock: latestBlock,
+      complete: scanStart.complete,
+      events,
+      feeUpdates
+    });
+  }
+
+  return {
+    events: applyPlatformFees(events, feeUpdates, Number(currentFee)),
+    complete: scanStart.complete
+  };
+};
+
+// Sum purchases per on-chain content id
+export const summarizeByContent = (history) => {
+  return history
+    .filter(event => event.type === 'purchase')
+    .reduce((summary, event) => {
+      const current = summary[event.contentId] || { purchases: 0, gross: 0n, net: 0n };
+      summary[event.contentId] = {
+        purchases: current.purchases + 1,
+        gross: current.gross + BigInt(event.gross),
+        net: current.net + BigInt(event.net)
+      };
+      return summary;
+    }, {});
+};
+
+const periodStart = (timestamp, period) => {
+  const date = new Date(timestamp * 1000);
+  date.setHours(0, 0, 0, 0);
+
+  if (period === 'week') {
+    date.setDate(date.getDate() - date.getDay());
+  } else if (period === 'month') {
+    date.setDate(1);
+  }
+  return date;
+};
+
+const formatPeriodLabel = (date, period) => {
+  if (period === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  }
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+/**
+ * Bucket net revenue by 'day', 'week' or 'month', oldest first, filling empty
+ * periods so the chart has no gaps. Values are in BNB.
+ */
+export const groupRevenueByPeriod = (history, period, maxBuckets = 30) => {
+  const revenue = history.filter(event => event.type !== 'withdrawal' && event.timestamp);
+  if (revenue.length === 0) return [];
+
+  const totals = new Map();
+  revenue.forEach(event => {
+    const key = periodStart(event.timestamp, period).getTime();
+    totals.set(key, (totals.get(key) || 0n) + BigInt(event.net));
+  });
+
+  const buckets = [];
+  const cursor = periodStart(Math.floor(Date.now() / 1000), period);
+  const earliest = Math.min(...totals.keys());
+
+  while (buckets.length < maxBuckets && cursor.getTime() >= earliest) {
+    const key = cursor.getTime();
+    buckets.unshift({
+      label: formatPeriodLabel(cursor, period),
+      value: parseFloat(ethers.formatEther(totals.get(key) || 0n))
+    });
+
+    if (period === 'day') {
+      cursor.setDate(cursor.getDate() - 1);
+    } else if (period === 'week') {
+      cursor.setDate(cursor.getDate() - 7);
+    } else {
+      cursor.setMonth(cursor.getMonth() - 1);
+    }
+  }
+
+  return buckets;
+};
@@ -0,0 +1,56 @@
+// src/utils/followSync.js
+// Replays a user's UserFollowed/UserUnfollowed events to backfill the Supabase follows mirror
+
+import { followSyncStorage } from './storageUtils';
+import { getScanStart } from './deploymentBlock';
+
+// Public BSC RPC nodes reject eth_getLogs over larger ranges
+const LOG_CHUNK_SIZE = 5000;
+
+const compareLogs = (a, b) => a.blockNumber - b.blockNumber || a.index - b.index;
+
+/**
+ * Scan the follower's follow events since the last sync and collapse them
+ * into the latest state per followed address. Once the changes are written,
+ * call markFollowsSynced with `toBlock` so the next scan starts after it.
+ */
+export const fetchFollowChanges = async (contract, followerAddress) => {
+  const provider = contract.runner.provider;
+  const contractAddress = await contract.getAddress();
+  const lastBlock = followSyncStorage.getLastBlock(contractAddress, followerAddress);
+
+  const latestBlock = await provider.getBlockNumber();
+  // On deployments without deploymentBlock earlier follows are out of reach
+  // either way, so a partial first scan is still marked synced
+  const fromBlock = lastBlock !== null ? lastBlock + 1 : (await getScanStart(contract, latestBlock)).fromBlock;
+  const logs = [];
+
+  for (let start = fromBlock; start <= latestBlock; start += LOG_CHUNK_SIZE) {
+    const end = Math.min(start + LOG_CHUNK_SIZE - 1, latestBlock);
+
+    const [followed, unfollowed] = await Promise.all([
+      contract.queryFilter(contract.filters.UserFollowed(followerAddress), start, end),
+      contract.queryFilter(contract.filters.UserUnfollowed(followerAddress), start, end)
+    ]);
+
+    logs.push(...followed, ...unfollowed);
+  }
+
+  const changes = new Map();
+  logs.sort(compareLogs).forEach(log => {
+    const following = log.args.following.toLowerCase();
+    changes.set(following, {
+      following,
+      isFollowing: log.eventName === 'UserFollowed',
+      transactionHash: log.transactionHash,
+      blockNumber: log.blockNumber
+    });
+  });
+
+  return { changes: [...changes.values()], toBlock: latestBlock };
+};
+
+export const markFollowsSynced = async (contract, followerAddress, toBlock) => {
+  const contractAddress = await contract.getAddress();
+  followSyncStorage.setLastBlock(contractAddress, followerAddress, toBlock);
+};
@@ -1,6 +1,8 @@
 // src/utils/imageCache.js
 // High-performance image caching system for base64 images
 
+import { resolveMediaUrl } from './mediaUrl';
+
 class ImageCache {
   constructor() {
     this.memoryCache = new Map();
@@ -14,6 +16,10 @@ class ImageCache {
   async getImage(fileId) {
     if (!fileId) return null;
 
+    // Storage paths and data URLs need no localStorage lookup; the browser caches them
+    const directUrl = resolveMediaUrl(fileId);
+    if (directUrl) return directUrl;
+
     // Check memory cache first (fastest)
     if (this.memoryCache.has(fileId)) {
       this.accessTimes.set(fileId, Date.now());
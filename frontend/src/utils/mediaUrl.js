@@ -0,0 +1,42 @@
+// src/utils/mediaUrl.js
+// Media columns hold either a legacy base64 data URL or a Supabase Storage path
+
+import { getMediaPublicUrl } from '../services/api';
+
+const URL_SCHEME = /^(data|https?|blob):/;
+const VIDEO_EXTENSION = /\.(mp4|webm|mov|m4v|ogv)(\?|$)/i;
+
+// Storage paths look like "posts/<address>/<file>"; localStorage media ids have no slash
+export const isStoragePath = (value) => {
+  return typeof value === 'string' && !URL_SCHEME.test(value) && value.includes('/');
+};
+
+/**
+ * Turn an image_url column value into something an <img> or <video> can load.
+ * Returns null for values that aren't URLs or storage paths, such as
+ * localStorage media ids, so callers can fall back to their own lookup.
+ */
+export const resolveMediaUrl = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  if (URL_SCHEME.test(value)) return value;
+  if (isStoragePath(value)) return getMediaPublicUrl(value);
+  return null;
+};
+
+export const isVideoUrl = (url) => {
+  return !!url && (url.startsWith('data:video/') || VIDEO_EXTENSION.test(url));
+};
+
+// Decode a data URL (e.g. canvas output) into a File ready for upload
+export const dataUrlToFile = (dataUrl, fileName) => {
+  const [header, base64] = dataUrl.split(',');
+  const mimeType = header.match(/^data:([^;]+)/)[1];
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  return new File([bytes], fileName, { type: mimeType });
+};
@@ -0,0 +1,14 @@
+// src/utils/schedule.js
+
+// Value for an <input type="datetime-local">, which takes local time without a zone
+export const toDateTimeLocal = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Parse a datetime-local value; null unless it is a valid time in the future
+export const parseFutureDateTime = (value) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime()) || date <= new Date()) return null;
+  return date;
+};
@@ -8,7 +8,10 @@ const STORAGE_KEYS = {
   DELETED_POSTS: 'socialweb3_deleted_posts',
   NOTIFICATION_READ_STATUS: 'socialweb3_notification_read_status',
   USER_PREFERENCES: 'socialweb3_user_preferences',
-  STORIES: 'socialweb3_stories'
+  STORIES: 'socialweb3_stories',
+  EARNINGS_HISTORY: 'socialweb3_earnings_history',
+  FOLLOW_SYNC: 'socialweb3_follow_sync',
+  WALLET_SESSION: 'socialweb3_wallet_session'
 };
 
 // Generic localStorage utilities
@@ -270,6 +273,48 @@ export const preferencesStorage = {
   }
 };
 
+// Earnings history cache, keyed by contract and creator so scans can resume
+export const earningsHistoryStorage = {
+  get: () => storage.get(STORAGE_KEYS.EARNINGS_HISTORY, {}),
+  set: (historyData) => storage.set(STORAGE_KEYS.EARNINGS_HISTORY, historyData),
+
+  getHistory: (contractAddress, creatorAddress) => {
+    const historyData = earningsHistoryStorage.get();
+    return historyData[`${contractAddress}_${creatorAddress}`.toLowerCase()] || null;
+  },
+
+  setHistory: (contractAddress, creatorAddress, history) => {
+    const historyData = earningsHistoryStorage.get();
+    historyData[`${contractAddress}_${creatorAddress}`.toLowerCase()] = history;
+    return earningsHistoryStorage.set(historyData);
+  }
+};
+
+// Last block whose follow events have been mirrored to Supabase, per follower
+export const followSyncStorage = {
+  get: () => storage.get(STORAGE_KEYS.FOLLOW_SYNC, {}),
+  set: (syncData) => storage.set(STORAGE_KEYS.FOLLOW_SYNC, syncData),
+
+  getLastBlock: (contractAddress, followerAddress) => {
+    const syncData = followSyncStorage.get();
+    const lastBlock = syncData[`${contractAddress}_${followerAddress}`.toLowerCase()];
+    return lastBlock === undefined ? null : lastBlock;
+  },
+
+  setLastBlock: (contractAddress, followerAddress, lastBlock) => {
+    const syncData = followSyncStorage.get();
+    syncData[`${contractAddress}_${followerAddress}`.toLowerCase()] = lastBlock;
+    return followSyncStorage.set(syncData);
+  }
+};
+
+// Supabase session from the wallet-auth edge function: { address, token, expiresAt }
+export const walletSessionStorage = {
+  get: () => storage.get(STORAGE_KEYS.WALLET_SESSION),
+  set: (session) => storage.set(STORAGE_KEYS.WALLET_SESSION, session),
+  clear: () => storage.remove(STORAGE_KEYS.WALLET_SESSION)
+};
+
 // Stories persistence utilities
 export const storiesStorage = {
   // Get all stories from localStorage
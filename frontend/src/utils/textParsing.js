@@ -0,0 +1,50 @@
+// src/utils/textParsing.js
+// Hashtag and mention parsing shared by the write path and text rendering
+
+// The leading group stops emails and URL fragments from matching
+const ENTITY_REGEX = /(^|[^\w])([#@])(\w{1,50})/g;
+
+export const normalizeTag = (tag) => tag.replace(/^#/, '').toLowerCase();
+
+/**
+ * Split text into plain, hashtag and mention tokens, in order.
+ * Hashtag and mention values don't include the '#' or '@'.
+ */
+export const tokenizeText = (text) => {
+  if (!text) return [];
+
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  ENTITY_REGEX.lastIndex = 0;
+  while ((match = ENTITY_REGEX.exec(text)) !== null) {
+    const [, prefix, marker, value] = match;
+    const entityStart = match.index + prefix.length;
+
+    if (entityStart > lastIndex) {
+      tokens.push({ type: 'text', value: text.slice(lastIndex, entityStart) });
+    }
+    tokens.push({ type: marker === '#' ? 'hashtag' : 'mention', value });
+    lastIndex = ENTITY_REGEX.lastIndex;
+  }
+
+  if (lastIndex < text.length) {
+    tokens.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+
+  return tokens;
+};
+
+const uniqueValues = (text, type, normalize) => {
+  const values = tokenizeText(text)
+    .filter(token => token.type === type)
+    .map(token => normalize(token.value));
+  return [...new Set(values)];
+};
+
+// Lowercased, de-duplicated hashtags
+export const extractHashtags = (text) => uniqueValues(text, 'hashtag', normalizeTag);
+
+// De-duplicated usernames, case preserved for display
+export const extractMentions = (text) => uniqueValues(text, 'mention', value => value);
@@ -0,0 +1,59 @@
+import { normalizeTag, tokenizeText, extractHashtags, extractMentions } from './textParsing';
+
+describe('normalizeTag', () => {
+  test('strips the leading # and lowercases', () => {
+    expect(normalizeTag('#CryptoArt')).toBe('cryptoart');
+    expect(normalizeTag('bnb')).toBe('bnb');
+  });
+});
+
+describe('tokenizeText', () => {
+  test('returns no tokens for empty text', () => {
+    expect(tokenizeText('')).toEqual([]);
+    expect(tokenizeText(null)).toEqual([]);
+  });
+
+  test('splits text into plain, hashtag and mention tokens in order', () => {
+    expect(tokenizeText('Hello @alice, see #art!')).toEqual([
+      { type: 'text', value: 'Hello ' },
+      { type: 'mention', value: 'alice' },
+      { type: 'text', value: ', see ' },
+      { type: 'hashtag', value: 'art' },
+      { type: 'text', value: '!' }
+    ]);
+  });
+
+  test('matches entities at the start and end of the text', () => {
+    expect(tokenizeText('#gm @bob')).toEqual([
+      { type: 'hashtag', value: 'gm' },
+      { type: 'text', value: ' ' },
+      { type: 'mention', value: 'bob' }
+    ]);
+  });
+
+  test('ignores emails and URL fragments', () => {
+    expect(tokenizeText('mail me@example.com or visit site.com/page#top')).toEqual([
+      { type: 'text', value: 'mail me@example.com or visit site.com/page#top' }
+    ]);
+  });
+
+  test('gives the same result when called repeatedly', () => {
+    expect(tokenizeText('#one')).toEqual(tokenizeText('#one'));
+  });
+});
+
+describe('extractHashtags', () => {
+  test('lowercases and de-duplicates hashtags', () => {
+    expect(extractHashtags('#Art and #art and #NFT')).toEqual(['art', 'nft']);
+  });
+
+  test('ignores mentions', () => {
+    expect(extractHashtags('@alice only')).toEqual([]);
+  });
+});
+
+describe('extractMentions', () => {
+  test('de-duplicates mentions and keeps their case', () => {
+    expect(extractMentions('@Alice @Alice @bob #tag')).toEqual(['Alice', 'bob']);
+  });
+});
@@ -24,7 +24,7 @@ CREATE TABLE IF NOT EXISTS posts (
     username TEXT,
     description TEXT,
     content_hash TEXT,
-    image_url TEXT NOT NULL, -- base64 encoded image/video
+    image_url TEXT NOT NULL, -- storage path in the images bucket (legacy rows: base64 data URL)
     price DECIMAL(18,8) DEFAULT 0,
     is_paid BOOLEAN DEFAULT false,
     likes INTEGER DEFAULT 0,
@@ -43,7 +43,7 @@ CREATE TABLE IF NOT EXISTS stories (
     username TEXT,
     content TEXT, -- text content description
     content_hash TEXT,
-    image_url TEXT NOT NULL, -- base64 encoded image/video
+    image_url TEXT NOT NULL, -- storage path in the images bucket (legacy rows: base64 data URL)
     file_name TEXT,
     file_type TEXT,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -87,7 +87,7 @@ CREATE TABLE IF NOT EXISTS purchases (
 CREATE TABLE IF NOT EXISTS notifications (
     id SERIAL PRIMARY KEY,
     user_address TEXT NOT NULL,
-    type TEXT NOT NULL, -- 'like', 'comment', 'purchase', 'follow'
+    type TEXT NOT NULL, -- 'like', 'comment', 'purchase', 'follow', 'subscription'
     title TEXT NOT NULL,
     message TEXT NOT NULL,
     post_id INTEGER REFERENCES posts(id) ON DELETE CASCADE,
@@ -127,6 +127,11 @@ CREATE POLICY "Anyone can view posts" ON posts FOR SELECT USING (true);
 CREATE POLICY "Users can create posts" ON posts FOR INSERT WITH CHECK (creator_address = current_setting('request.jwt.claims', true)::json->>'address');
 CREATE POLICY "Users can update own posts" ON posts FOR UPDATE USING (creator_address = current_setting('request.jwt.claims', true)::json->>'address');
 CREATE POLICY "Users can delete own posts" ON posts FOR DELETE USING (creator_address = current_setting('request.jwt.claims', true)::json->>'address');
+-- Paid posts are registered on-chain before they are saved; one without a
+-- content_id can't be bought yet, so only its creator sees it until it's linked
+DROP POLICY IF EXISTS "Unregistered paid posts are limited to their creator" ON posts;
+CREATE POLICY "Unregistered paid posts are limited to their creator" ON posts AS RESTRICTIVE FOR SELECT
+USING (NOT is_paid OR content_id IS NOT NULL OR creator_address = current_setting('request.jwt.claims', true)::json->>'address');
 
 -- RLS Policies for stories table
 CREATE POLICY "Anyone can view active stories" ON stories FOR SELECT USING (expires_at > NOW());
@@ -145,7 +150,9 @@ CREATE POLICY "Users can delete own comments" ON comments FOR DELETE USING (user
 
 -- RLS Policies for purchases table
 CREATE POLICY "Users can view own purchases" ON purchases FOR SELECT USING (user_address = current_setting('request.jwt.claims', true)::json->>'address');
-CREATE POLICY "Users can create purchases" ON purchases FOR INSERT WITH CHECK (user_address = current_setting('request.jwt.claims', true)::json->>'address');
+-- No INSERT policy: a purchase unlocks paid content, so rows are only written
+-- by the record-purchase edge function once the on-chain event checks out
+DROP POLICY IF EXISTS "Users can create purchases" ON purchases;
 
 -- RLS Policies for notifications table
 CREATE POLICY "Users can view own notifications" ON notifications FOR SELECT USING (user_address = current_setting('request.jwt.claims', true)::json->>'address');
@@ -172,6 +179,27 @@ CREATE TRIGGER trigger_update_post_likes
     AFTER INSERT OR DELETE ON likes
     FOR EACH ROW EXECUTE FUNCTION update_post_likes();
 
+-- Function for automatic purchase counting
+CREATE OR REPLACE FUNCTION update_post_purchase_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        UPDATE posts SET purchase_count = purchase_count + 1 WHERE id = NEW.post_id;
+        RETURN NEW;
+    ELSIF TG_OP = 'DELETE' THEN
+        UPDATE posts SET purchase_count = purchase_count - 1 WHERE id = OLD.post_id;
+        RETURN OLD;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger for automatic purchase counting
+DROP TRIGGER IF EXISTS trigger_update_post_purchase_count ON purchases;
+CREATE TRIGGER trigger_update_post_purchase_count
+    AFTER INSERT OR DELETE ON purchases
+    FOR EACH ROW EXECUTE FUNCTION update_post_purchase_count();
+
 -- Function to clean up expired stories
 CREATE OR REPLACE FUNCTION cleanup_expired_stories()
 RETURNS void AS $$
@@ -259,11 +287,12 @@ CREATE TABLE IF NOT EXISTS conversations (
     participant1 TEXT NOT NULL, -- wallet address of first participant
     participant2 TEXT NOT NULL, -- wallet address of second participant
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    -- Ensure no duplicate conversations between same participants
-    CONSTRAINT unique_participants UNIQUE (LEAST(participant1, participant2), GREATEST(participant1, participant2))
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Ensure no duplicate conversations between same participants
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_participants ON conversations(LEAST(participant1, participant2), GREATEST(participant1, participant2));
+
 -- Create messages table
 CREATE TABLE IF NOT EXISTS messages (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -338,4 +367,1316 @@ CREATE TRIGGER trigger_update_conversation_timestamp
 
 -- Grant sequence permissions for messaging tables
 GRANT ALL ON conversations TO anon, authenticated;
-GRANT ALL ON messages TO anon, authenticated;
\ No newline at end of file
+GRANT ALL ON messages TO anon, authenticated;
+
+-- ===============================
+-- SUBSCRIPTION TIERS
+-- ===============================
+
+-- Tier that unlocks a paid post (index into the creator's on-chain tiers), NULL when purchase-only
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS tier_id INTEGER;
+
+-- Create subscriptions table, mirrors Subscribed events from the contract
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id SERIAL PRIMARY KEY,
+    subscriber_address TEXT NOT NULL,
+    creator_address TEXT NOT NULL,
+    tier_id INTEGER NOT NULL,
+    amount DECIMAL(18,8) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    transaction_hash TEXT UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_subscriber_address ON subscriptions(subscriber_address);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_creator_address ON subscriptions(creator_address);
+
+ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
+
+-- Subscribers and creators can both see a subscription
+CREATE POLICY "Users can view own subscriptions" ON subscriptions FOR SELECT
+USING (subscriber_address = current_setting('request.jwt.claims', true)::json->>'address'
+       OR creator_address = current_setting('request.jwt.claims', true)::json->>'address');
+
+-- Rows are self-reported by the subscriber's client, so they are never
+-- trusted to unlock content: access is confirmed with contract.isSubscribed
+CREATE POLICY "Users can create subscriptions" ON subscriptions FOR INSERT
+WITH CHECK (subscriber_address = current_setting('request.jwt.claims', true)::json->>'address');
+
+GRANT USAGE ON SEQUENCE subscriptions_id_seq TO anon, authenticated;
+GRANT ALL ON subscriptions TO anon, authenticated;
+
+-- ===============================
+-- EARNINGS EXPORT
+-- ===============================
+
+-- Creators can read purchases of their own posts for earnings reports
+CREATE POLICY "Creators can view purchases of own posts" ON purchases FOR SELECT
+USING (EXISTS (
+    SELECT 1 FROM posts
+    WHERE posts.id = purchases.post_id
+    AND posts.creator_address = current_setting('request.jwt.claims', true)::json->>'address'
+));
+
+-- ===============================
+-- SEARCH
+-- ===============================
+
+-- Trigram matching for typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS idx_users_username_trgm ON users USING gin (username gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_users_bio_trgm ON users USING gin (bio gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_posts_description_trgm ON posts USING gin (description gin_trgm_ops);
+
+-- Escape LIKE wildcards so user input is matched literally
+CREATE OR REPLACE FUNCTION escape_like(input TEXT)
+RETURNS TEXT AS $$
+    SELECT replace(replace(replace(input, '\', '\\'), '%', '\%'), '_', '\_');
+$$ LANGUAGE sql IMMUTABLE;
+
+-- People search: username prefix matches first, then substring and fuzzy matches on username or bio
+CREATE OR REPLACE FUNCTION search_users(
+    search_query TEXT,
+    creators_only BOOLEAN DEFAULT false,
+    page_size INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0
+)
+RETURNS SETOF users AS $$
+    SELECT u.*
+    FROM users u
+    WHERE (NOT creators_only OR u.is_creator)
+    AND (
+        u.username ILIKE '%' || escape_like(search_query) || '%'
+        OR u.bio ILIKE '%' || escape_like(search_query) || '%'
+        OR similarity(u.username, search_query) > 0.3
+    )
+    ORDER BY
+        (u.username ILIKE escape_like(search_query) || '%') DESC,
+        similarity(COALESCE(u.username, ''), search_query) DESC,
+        u.created_at DESC
+    LIMIT page_size OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
+
+-- Post search over descriptions, best matches first
+CREATE OR REPLACE FUNCTION search_posts(
+    search_query TEXT,
+    page_size INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0
+)
+RETURNS SETOF posts AS $$
+    SELECT p.*
+    FROM posts p
+    WHERE p.description ILIKE '%' || escape_like(search_query) || '%'
+    OR word_similarity(search_query, p.description) > 0.4
+    ORDER BY
+        word_similarity(search_query, COALESCE(p.description, '')) DESC,
+        p.created_at DESC
+    LIMIT page_size OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION search_users(TEXT, BOOLEAN, INTEGER, INTEGER) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION search_posts(TEXT, INTEGER, INTEGER) TO anon, authenticated;
+
+-- ===============================
+-- HASHTAGS AND MENTIONS
+-- ===============================
+
+-- Hashtags parsed from post descriptions (comment_id NULL) and comments
+CREATE TABLE IF NOT EXISTS post_hashtags (
+    id SERIAL PRIMARY KEY,
+    tag TEXT NOT NULL, -- lowercase, without the leading '#'
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Users @mentioned in a post description or comment
+CREATE TABLE IF NOT EXISTS mentions (
+    id SERIAL PRIMARY KEY,
+    mentioned_address TEXT NOT NULL,
+    mentioned_username TEXT NOT NULL,
+    author_address TEXT NOT NULL,
+    post_id INTEGER NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    comment_id INTEGER REFERENCES comments(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_hashtags_tag ON post_hashtags(tag);
+CREATE INDEX IF NOT EXISTS idx_post_hashtags_post_id ON post_hashtags(post_id);
+CREATE INDEX IF NOT EXISTS idx_mentions_mentioned_address ON mentions(mentioned_address);
+CREATE INDEX IF NOT EXISTS idx_mentions_post_id ON mentions(post_id);
+
+ALTER TABLE post_hashtags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mentions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view hashtags" ON post_hashtags FOR SELECT USING (true);
+
+-- Only the author of the post or comment can tag it
+CREATE POLICY "Authors can tag own posts and comments" ON post_hashtags FOR INSERT
+WITH CHECK (
+    (comment_id IS NULL AND EXISTS (
+        SELECT 1 FROM posts
+        WHERE posts.id = post_hashtags.post_id
+        AND posts.creator_address = current_setting('request.jwt.claims', true)::json->>'address'
+    ))
+    OR EXISTS (
+        SELECT 1 FROM comments
+        WHERE comments.id = post_hashtags.comment_id
+        AND comments.user_address = current_setting('request.jwt.claims', true)::json->>'address'
+    )
+);
+
+CREATE POLICY "Anyone can view mentions" ON mentions FOR SELECT USING (true);
+CREATE POLICY "Users can create own mentions" ON mentions FOR INSERT WITH CHECK (author_address = current_setting('request.jwt.claims', true)::json->>'address');
+
+GRANT USAGE ON SEQUENCE post_hashtags_id_seq TO anon, authenticated;
+GRANT USAGE ON SEQUENCE mentions_id_seq TO anon, authenticated;
+GRANT ALL ON post_hashtags TO anon, authenticated;
+GRANT ALL ON mentions TO anon, authenticated;
+
+-- ===============================
+-- MEDIA STORAGE
+-- ===============================
+
+-- posts.image_url and stories.image_url hold a path in this bucket, e.g.
+-- posts/<creator_address>/<file>. Older rows may still hold base64 data URLs
+-- until scripts/migrate-media-to-storage.js has been run.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('images', 'images', true)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Anyone can view media" ON storage.objects FOR SELECT
+USING (bucket_id = 'images');
+
+-- Uploads go under <folder>/<uploader address>/
+CREATE POLICY "Users can upload own media" ON storage.objects FOR INSERT
+WITH CHECK (
+    bucket_id = 'images'
+    AND (storage.foldername(name))[2] = current_setting('request.jwt.claims', true)::json->>'address'
+);
+
+CREATE POLICY "Users can delete own media" ON storage.objects FOR DELETE
+USING (
+    bucket_id = 'images'
+    AND (storage.foldername(name))[2] = current_setting('request.jwt.claims', true)::json->>'address'
+);
+
+-- ===============================
+-- FEED PAGINATION
+-- ===============================
+
+-- Keyset pagination orders by (created_at, id) so rows sharing a timestamp
+-- are neither skipped nor repeated between pages
+CREATE INDEX IF NOT EXISTS idx_posts_created_at_id ON posts(created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_posts_creator_created_at_id ON posts(creator_address, created_at DESC, id DESC);
+
+-- ===============================
+-- BLOCKS AND MUTES
+-- ===============================
+
+-- One row per (blocker, blocked) pair. 'block' cuts both ways: neither side
+-- sees the other's posts or comments, and they can't message or comment on
+-- each other. 'mute' only hides the muted user's posts and comments from the
+-- muter. Addresses are stored lowercased.
+CREATE TABLE IF NOT EXISTS user_blocks (
+    id SERIAL PRIMARY KEY,
+    blocker_address TEXT NOT NULL,
+    blocked_address TEXT NOT NULL,
+    kind TEXT NOT NULL DEFAULT 'block' CHECK (kind IN ('block', 'mute')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(blocker_address, blocked_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocker_address ON user_blocks(blocker_address);
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked_address ON user_blocks(blocked_address);
+
+ALTER TABLE user_blocks ENABLE ROW LEVEL SECURITY;
+
+-- Users only see and manage their own list; nobody can read who blocked them
+CREATE POLICY "Users can view own blocks" ON user_blocks FOR SELECT USING (blocker_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can create own blocks" ON user_blocks FOR INSERT WITH CHECK (blocker_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can update own blocks" ON user_blocks FOR UPDATE USING (blocker_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can delete own blocks" ON user_blocks FOR DELETE USING (blocker_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+
+GRANT USAGE ON SEQUENCE user_blocks_id_seq TO anon, authenticated;
+GRANT ALL ON user_blocks TO anon, authenticated;
+
+-- The helpers below run as the owner so policies can check the other side's
+-- blocks without exposing user_blocks rows
+
+-- Whether content by `other` is hidden from `viewer`
+CREATE OR REPLACE FUNCTION is_hidden_for(viewer TEXT, other TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM user_blocks b
+        WHERE (b.blocker_address = lower(viewer) AND b.blocked_address = lower(other))
+        OR (b.kind = 'block' AND b.blocker_address = lower(other) AND b.blocked_address = lower(viewer))
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether either address has blocked the other; mutes don't stop interaction
+CREATE OR REPLACE FUNCTION is_blocked_between(address_a TEXT, address_b TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM user_blocks b
+        WHERE b.kind = 'block'
+        AND (
+            (b.blocker_address = lower(address_a) AND b.blocked_address = lower(address_b))
+            OR (b.blocker_address = lower(address_b) AND b.blocked_address = lower(address_a))
+        )
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the commenter and the post's creator have blocked each other
+CREATE OR REPLACE FUNCTION is_blocked_from_post(target_post_id INTEGER, commenter_address TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM posts p
+        WHERE p.id = target_post_id
+        AND is_blocked_between(p.creator_address, commenter_address)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION is_hidden_for(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION is_blocked_between(TEXT, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION is_blocked_from_post(INTEGER, TEXT) TO anon, authenticated;
+
+-- Restrictive policies are ANDed with the permissive ones above
+CREATE POLICY "Hide posts from blocked and muted users" ON posts AS RESTRICTIVE FOR SELECT
+USING (NOT is_hidden_for(current_setting('request.jwt.claims', true)::json->>'address', creator_address));
+
+CREATE POLICY "Hide comments from blocked and muted users" ON comments AS RESTRICTIVE FOR SELECT
+USING (NOT is_hidden_for(current_setting('request.jwt.claims', true)::json->>'address', user_address));
+
+CREATE POLICY "Blocked users cannot comment" ON comments AS RESTRICTIVE FOR INSERT
+WITH CHECK (NOT is_blocked_from_post(post_id, user_address));
+
+CREATE POLICY "Blocked users cannot message" ON messages AS RESTRICTIVE FOR INSERT
+WITH CHECK (NOT is_blocked_between(sender_address, receiver_address));
+
+-- ===============================
+-- MODERATION
+-- ===============================
+
+-- Moderators review reports and hide content. The admin is the contract
+-- owner(); add its address (lowercased) after deploying:
+--   INSERT INTO moderators (address) VALUES (lower('0xYourOwnerAddress'));
+CREATE TABLE IF NOT EXISTS moderators (
+    address TEXT PRIMARY KEY,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE moderators ENABLE ROW LEVEL SECURITY;
+
+-- Rows are managed from the SQL editor only
+CREATE POLICY "Anyone can view moderators" ON moderators FOR SELECT USING (true);
+
+GRANT SELECT ON moderators TO anon, authenticated;
+
+CREATE OR REPLACE FUNCTION is_moderator(check_address TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (SELECT 1 FROM moderators m WHERE m.address = lower(check_address));
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION is_moderator(TEXT) TO anon, authenticated;
+
+-- Hidden content stays in place (reports keep pointing at it) but is left out
+-- of feeds, stories, comment threads and conversations
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT false;
+
+-- Owners may update their own rows, but only moderators may change is_hidden.
+-- resolve_report and other SECURITY DEFINER helpers run as the table owner,
+-- not as anon/authenticated, and pass through.
+CREATE OR REPLACE FUNCTION guard_is_hidden()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.is_hidden IS DISTINCT FROM OLD.is_hidden
+    AND current_user IN ('anon', 'authenticated')
+    AND NOT is_moderator(current_setting('request.jwt.claims', true)::json->>'address') THEN
+        RAISE EXCEPTION 'Only moderators can hide or unhide content';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS guard_posts_is_hidden ON posts;
+CREATE TRIGGER guard_posts_is_hidden BEFORE UPDATE OF is_hidden ON posts FOR EACH ROW EXECUTE FUNCTION guard_is_hidden();
+DROP TRIGGER IF EXISTS guard_comments_is_hidden ON comments;
+CREATE TRIGGER guard_comments_is_hidden BEFORE UPDATE OF is_hidden ON comments FOR EACH ROW EXECUTE FUNCTION guard_is_hidden();
+DROP TRIGGER IF EXISTS guard_stories_is_hidden ON stories;
+CREATE TRIGGER guard_stories_is_hidden BEFORE UPDATE OF is_hidden ON stories FOR EACH ROW EXECUTE FUNCTION guard_is_hidden();
+DROP TRIGGER IF EXISTS guard_messages_is_hidden ON messages;
+CREATE TRIGGER guard_messages_is_hidden BEFORE UPDATE OF is_hidden ON messages FOR EACH ROW EXECUTE FUNCTION guard_is_hidden();
+
+-- Hidden rows can't be fetched directly either; only their author and
+-- moderators still see them
+CREATE POLICY "Hidden posts are limited to author and moderators" ON posts AS RESTRICTIVE FOR SELECT
+USING (
+    NOT is_hidden
+    OR lower(creator_address) = lower(current_setting('request.jwt.claims', true)::json->>'address')
+    OR is_moderator(current_setting('request.jwt.claims', true)::json->>'address')
+);
+
+CREATE POLICY "Hidden comments are limited to author and moderators" ON comments AS RESTRICTIVE FOR SELECT
+USING (
+    NOT is_hidden
+    OR lower(user_address) = lower(current_setting('request.jwt.claims', true)::json->>'address')
+    OR is_moderator(current_setting('request.jwt.claims', true)::json->>'address')
+);
+
+CREATE POLICY "Hidden stories are limited to author and moderators" ON stories AS RESTRICTIVE FOR SELECT
+USING (
+    NOT is_hidden
+    OR lower(creator_address) = lower(current_setting('request.jwt.claims', true)::json->>'address')
+    OR is_moderator(current_setting('request.jwt.claims', true)::json->>'address')
+);
+
+CREATE POLICY "Hidden messages are limited to sender and moderators" ON messages AS RESTRICTIVE FOR SELECT
+USING (
+    NOT is_hidden
+    OR lower(sender_address) = lower(current_setting('request.jwt.claims', true)::json->>'address')
+    OR is_moderator(current_setting('request.jwt.claims', true)::json->>'address')
+);
+
+-- Search leaves hidden posts out (search_posts is defined before is_hidden exists)
+CREATE OR REPLACE FUNCTION search_posts(
+    search_query TEXT,
+    page_size INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0
+)
+RETURNS SETOF posts AS $$
+    SELECT p.*
+    FROM posts p
+    WHERE NOT p.is_hidden
+    AND (
+        p.description ILIKE '%' || escape_like(search_query) || '%'
+        OR word_similarity(search_query, p.description) > 0.4
+    )
+    ORDER BY
+        word_similarity(search_query, COALESCE(p.description, '')) DESC,
+        p.created_at DESC
+    LIMIT page_size OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
+
+-- One report per reporter and target. target_id is TEXT because message ids
+-- are UUIDs while the other tables use integer ids.
+CREATE TABLE IF NOT EXISTS reports (
+    id SERIAL PRIMARY KEY,
+    reporter_address TEXT NOT NULL,
+    target_type TEXT NOT NULL CHECK (target_type IN ('post', 'comment', 'story', 'message')),
+    target_id TEXT NOT NULL,
+    target_owner_address TEXT,
+    reason TEXT NOT NULL CHECK (reason IN ('spam', 'harassment', 'nudity', 'violence', 'scam', 'other')),
+    details TEXT,
+    status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'hidden', 'dismissed')),
+    reviewed_by TEXT,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(reporter_address, target_type, target_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reports_status_created_at ON reports(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id);
+
+ALTER TABLE reports ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can create own reports" ON reports FOR INSERT WITH CHECK (reporter_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can view own reports" ON reports FOR SELECT USING (reporter_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Moderators can view reports" ON reports FOR SELECT USING (is_moderator(current_setting('request.jwt.claims', true)::json->>'address'));
+
+GRANT USAGE ON SEQUENCE reports_id_seq TO anon, authenticated;
+GRANT ALL ON reports TO anon, authenticated;
+
+-- Moderators preview reported messages, which are otherwise private to the two participants
+CREATE POLICY "Moderators can view reported messages" ON messages FOR SELECT
+USING (
+    is_moderator(current_setting('request.jwt.claims', true)::json->>'address')
+    AND EXISTS (SELECT 1 FROM reports r WHERE r.target_type = 'message' AND r.target_id = messages.id::text)
+);
+
+-- Close every open report on the report's target as 'hidden' (also hiding the
+-- content) or 'dismissed'. Runs as the owner so moderators can update rows
+-- they don't own; the caller is checked against moderators first.
+CREATE OR REPLACE FUNCTION resolve_report(target_report_id INTEGER, resolution TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+    moderator TEXT := lower(current_setting('request.jwt.claims', true)::json->>'address');
+    report reports%ROWTYPE;
+    resolved INTEGER;
+BEGIN
+    IF NOT is_moderator(moderator) THEN
+        RAISE EXCEPTION 'Only moderators can resolve reports';
+    END IF;
+
+    IF resolution NOT IN ('hidden', 'dismissed') THEN
+        RAISE EXCEPTION 'Unknown resolution: %', resolution;
+    END IF;
+
+    SELECT * INTO report FROM reports WHERE id = target_report_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Report % not found', target_report_id;
+    END IF;
+
+    IF resolution = 'hidden' THEN
+        CASE report.target_type
+            WHEN 'post' THEN UPDATE posts SET is_hidden = true WHERE id = report.target_id::integer;
+            WHEN 'comment' THEN UPDATE comments SET is_hidden = true WHERE id = report.target_id::integer;
+            WHEN 'story' THEN UPDATE stories SET is_hidden = true WHERE id = report.target_id::integer;
+            WHEN 'message' THEN UPDATE messages SET is_hidden = true WHERE id = report.target_id::uuid;
+            -- By item id: the item outlives its story, whose id goes NULL on expiry
+            WHEN 'highlight_item' THEN UPDATE story_highlight_items SET is_hidden = true WHERE id = report.target_id::integer;
+        END CASE;
+    END IF;
+
+    UPDATE reports
+    SET status = resolution, reviewed_by = moderator, reviewed_at = NOW()
+    WHERE target_type = report.target_type
+    AND target_id = report.target_id
+    AND status = 'open';
+
+    GET DIAGNOSTICS resolved = ROW_COUNT;
+    RETURN resolved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION resolve_report(INTEGER, TEXT) TO anon, authenticated;
+
+-- ===============================
+-- EXPLORE FEED
+-- ===============================
+
+-- Ranks recent posts that aren't hidden by a moderator or gated behind a
+-- subscription tier by engagement decayed with age:
+--   (likes + 2 * comments + 3 * purchases + 1) / (age in hours + 2) ^ 1.5
+-- Scores shift as posts age, so pages use an offset rather than a cursor.
+-- exclude_address is the viewer: their own posts and creators they blocked or
+-- muted (or who blocked them) are left out.
+CREATE OR REPLACE FUNCTION explore_posts(
+    page_size INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0,
+    exclude_address TEXT DEFAULT NULL,
+    max_age_days INTEGER DEFAULT 30
+)
+RETURNS SETOF posts AS $$
+    SELECT p.*
+    FROM posts p
+    WHERE p.tier_id IS NULL
+    AND NOT p.is_hidden
+    AND p.created_at > NOW() - make_interval(days => max_age_days)
+    AND (exclude_address IS NULL OR lower(p.creator_address) <> lower(exclude_address))
+    AND NOT is_hidden_for(exclude_address, p.creator_address)
+    ORDER BY
+        (
+            (SELECT COUNT(*) FROM likes WHERE likes.post_id = p.id)
+            + 2 * (SELECT COUNT(*) FROM comments WHERE comments.post_id = p.id)
+            + 3 * COALESCE(p.purchase_count, 0)
+            + 1
+        ) / power(EXTRACT(EPOCH FROM (NOW() - p.created_at)) / 3600 + 2, 1.5) DESC,
+        p.created_at DESC,
+        p.id DESC
+    LIMIT page_size OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION explore_posts(INTEGER, INTEGER, TEXT, INTEGER) TO anon, authenticated;
+
+-- ===============================
+-- FOLLOWS
+-- ===============================
+
+-- Mirror of the on-chain follow graph. Each follower's client writes rows from
+-- UserFollowed / UserUnfollowed events; the contract stays the source of truth.
+-- Addresses are stored lowercased.
+CREATE TABLE IF NOT EXISTS follows (
+    id SERIAL PRIMARY KEY,
+    follower_address TEXT NOT NULL,
+    following_address TEXT NOT NULL,
+    transaction_hash TEXT,
+    block_number BIGINT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(follower_address, following_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_follows_follower_address ON follows(follower_address);
+CREATE INDEX IF NOT EXISTS idx_follows_following_address ON follows(following_address);
+
+ALTER TABLE follows ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view follows" ON follows FOR SELECT USING (true);
+CREATE POLICY "Users can create own follows" ON follows FOR INSERT WITH CHECK (follower_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can update own follows" ON follows FOR UPDATE USING (follower_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can delete own follows" ON follows FOR DELETE USING (follower_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+
+GRANT USAGE ON SEQUENCE follows_id_seq TO anon, authenticated;
+GRANT ALL ON follows TO anon, authenticated;
+
+-- ===============================
+-- FOLLOW LISTS
+-- ===============================
+
+-- One page of an address's followers or following (list_type 'followers' or
+-- 'following') with profile fields, optionally filtered by username or address
+CREATE OR REPLACE FUNCTION list_follows(
+    target_address TEXT,
+    list_type TEXT,
+    search_query TEXT DEFAULT NULL,
+    page_size INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    address TEXT,
+    username TEXT,
+    bio TEXT,
+    profile_image TEXT,
+    is_creator BOOLEAN,
+    followed_at TIMESTAMP WITH TIME ZONE
+) AS $$
+    SELECT
+        other.address,
+        u.username,
+        u.bio,
+        u.profile_image,
+        COALESCE(u.is_creator, false),
+        f.created_at
+    FROM follows f
+    CROSS JOIN LATERAL (
+        SELECT CASE WHEN list_type = 'followers' THEN f.follower_address ELSE f.following_address END AS address
+    ) other
+    LEFT JOIN users u ON lower(u.address) = other.address
+    WHERE (CASE WHEN list_type = 'followers' THEN f.following_address ELSE f.follower_address END) = lower(target_address)
+    AND (
+        COALESCE(search_query, '') = ''
+        OR u.username ILIKE '%' || escape_like(search_query) || '%'
+        OR other.address LIKE escape_like(lower(search_query)) || '%'
+    )
+    ORDER BY f.created_at DESC, f.id DESC
+    LIMIT page_size OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION list_follows(TEXT, TEXT, TEXT, INTEGER, INTEGER) TO anon, authenticated;
+
+-- Same page shape for a list of addresses read from the contract's
+-- getFollowers / getFollowing, kept in the order given. The follows mirror
+-- only knows what clients have synced, so the modals prefer the chain list.
+CREATE OR REPLACE FUNCTION list_profiles(
+    addresses TEXT[],
+    search_query TEXT DEFAULT NULL,
+    page_size INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    address TEXT,
+    username TEXT,
+    bio TEXT,
+    profile_image TEXT,
+    is_creator BOOLEAN
+) AS $$
+    SELECT
+        lower(a.address),
+        u.username,
+        u.bio,
+        u.profile_image,
+        COALESCE(u.is_creator, false)
+    FROM unnest(addresses) WITH ORDINALITY AS a(address, position)
+    LEFT JOIN users u ON lower(u.address) = lower(a.address)
+    WHERE COALESCE(search_query, '') = ''
+    OR u.username ILIKE '%' || escape_like(search_query) || '%'
+    OR lower(a.address) LIKE escape_like(lower(search_query)) || '%'
+    ORDER BY a.position
+    LIMIT page_size OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION list_profiles(TEXT[], TEXT, INTEGER, INTEGER) TO anon, authenticated;
+
+-- ===============================
+-- WALLET AUTH
+-- ===============================
+
+-- The wallet-auth edge function signs a JWT with an `address` claim (always
+-- lowercased) once the wallet has signed a one-time message; that claim is
+-- what every policy above compares against. Pending messages live here and
+-- are only touched by the function's service role, so no policies are defined.
+CREATE TABLE IF NOT EXISTS auth_nonces (
+    address TEXT PRIMARY KEY,
+    message TEXT NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE auth_nonces ENABLE ROW LEVEL SECURITY;
+
+-- Notifications are written by the user who triggered them
+CREATE POLICY "Users can send notifications" ON notifications FOR INSERT WITH CHECK (from_user_address = current_setting('request.jwt.claims', true)::json->>'address');
+
+-- Counter triggers update rows the acting user doesn't own (e.g. a liker
+-- bumping posts.likes), which the posts UPDATE policy would silently skip
+ALTER FUNCTION update_post_likes() SECURITY DEFINER SET search_path = public;
+ALTER FUNCTION update_post_purchase_count() SECURITY DEFINER SET search_path = public;
+ALTER FUNCTION update_conversation_timestamp() SECURITY DEFINER SET search_path = public;
+
+-- ===============================
+-- READ RECEIPTS
+-- ===============================
+
+-- When the receiver opened the message; NULL while unread. is_read is kept
+-- in step for older clients.
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_messages_unread ON messages(receiver_address, sender_address) WHERE read_at IS NULL;
+
+-- Mark everything other_address sent to the caller as read. The messages
+-- UPDATE policy would let either side edit any column, so receipts go
+-- through this function instead. Returns the number of messages marked.
+CREATE OR REPLACE FUNCTION mark_messages_read(other_address TEXT)
+RETURNS INTEGER AS $$
+DECLARE
+    reader TEXT := lower(current_setting('request.jwt.claims', true)::json->>'address');
+    marked INTEGER;
+BEGIN
+    UPDATE messages
+    SET read_at = NOW(), is_read = true
+    WHERE receiver_address = reader
+    AND sender_address = lower(other_address)
+    AND read_at IS NULL;
+
+    GET DIAGNOSTICS marked = ROW_COUNT;
+    RETURN marked;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION mark_messages_read(TEXT) TO anon, authenticated;
+
+-- ===============================
+-- CONVERSATIONS
+-- ===============================
+
+-- One row per pair of users, kept up to date by the triggers below so the
+-- inbox reads a page of conversations instead of every message. Each side
+-- has its own unread counter.
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_message TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_message_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS last_sender_address TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS participant1_unread INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS participant2_unread INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_participant1_last_message_at ON conversations(participant1, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_conversations_participant2_last_message_at ON conversations(participant2, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_created_at_id ON messages(conversation_id, created_at DESC, id DESC);
+
+-- Recompute a conversation's summary from its visible messages, used when
+-- messages are hidden and to backfill older data
+CREATE OR REPLACE FUNCTION refresh_conversation(target_conversation_id UUID)
+RETURNS void AS $$
+    UPDATE conversations c
+    SET
+        last_message = latest.content,
+        last_message_at = latest.created_at,
+        last_sender_address = latest.sender_address,
+        participant1_unread = (
+            SELECT COUNT(*) FROM messages m
+            WHERE m.conversation_id = c.id AND m.receiver_address = c.participant1
+            AND m.read_at IS NULL AND NOT m.is_hidden
+        ),
+        participant2_unread = (
+            SELECT COUNT(*) FROM messages m
+            WHERE m.conversation_id = c.id AND m.receiver_address = c.participant2
+            AND m.read_at IS NULL AND NOT m.is_hidden
+        )
+    FROM conversations base
+    LEFT JOIN LATERAL (
+        SELECT m.content, m.created_at, m.sender_address
+        FROM messages m
+        WHERE m.conversation_id = base.id AND NOT m.is_hidden
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT 1
+    ) latest ON true
+    WHERE c.id = target_conversation_id AND base.id = c.id;
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = public;
+
+-- Messages no longer need a client-supplied conversation_id: find or create
+-- the pair's conversation before the row is stored
+CREATE OR REPLACE FUNCTION assign_message_conversation()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.conversation_id IS NULL THEN
+        INSERT INTO conversations (participant1, participant2)
+        VALUES (LEAST(NEW.sender_address, NEW.receiver_address), GREATEST(NEW.sender_address, NEW.receiver_address))
+        ON CONFLICT (LEAST(participant1, participant2), GREATEST(participant1, participant2))
+        DO UPDATE SET updated_at = NOW()
+        RETURNING id INTO NEW.conversation_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_assign_message_conversation ON messages;
+CREATE TRIGGER trigger_assign_message_conversation
+    BEFORE INSERT ON messages
+    FOR EACH ROW EXECUTE FUNCTION assign_message_conversation();
+
+-- Replaces the timestamp-only version above (same trigger): the new message
+-- becomes the summary and counts as unread for the receiver
+CREATE OR REPLACE FUNCTION update_conversation_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE conversations
+    SET
+        updated_at = NOW(),
+        last_message = NEW.content,
+        last_message_at = NEW.created_at,
+        last_sender_address = NEW.sender_address,
+        participant1_unread = participant1_unread + CASE WHEN participant1 = NEW.receiver_address THEN 1 ELSE 0 END,
+        participant2_unread = participant2_unread + CASE WHEN participant2 = NEW.receiver_address THEN 1 ELSE 0 END
+    WHERE id = NEW.conversation_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Read receipts count down the receiver's unread total
+CREATE OR REPLACE FUNCTION update_conversation_unread()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE conversations
+    SET
+        participant1_unread = GREATEST(participant1_unread - CASE WHEN participant1 = NEW.receiver_address THEN 1 ELSE 0 END, 0),
+        participant2_unread = GREATEST(participant2_unread - CASE WHEN participant2 = NEW.receiver_address THEN 1 ELSE 0 END, 0)
+    WHERE id = NEW.conversation_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_update_conversation_unread ON messages;
+CREATE TRIGGER trigger_update_conversation_unread
+    AFTER UPDATE OF read_at ON messages
+    FOR EACH ROW
+    WHEN (OLD.read_at IS NULL AND NEW.read_at IS NOT NULL AND NOT NEW.is_hidden)
+    EXECUTE FUNCTION update_conversation_unread();
+
+-- A hidden message may have been the preview or an unread one
+CREATE OR REPLACE FUNCTION refresh_conversation_on_hide()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM refresh_conversation(NEW.conversation_id);
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_refresh_conversation_on_hide ON messages;
+CREATE TRIGGER trigger_refresh_conversation_on_hide
+    AFTER UPDATE OF is_hidden ON messages
+    FOR EACH ROW
+    WHEN (OLD.is_hidden IS DISTINCT FROM NEW.is_hidden)
+    EXECUTE FUNCTION refresh_conversation_on_hide();
+
+-- A deleted message can no longer be read, so it has to leave the summary and
+-- the unread count
+CREATE OR REPLACE FUNCTION refresh_conversation_on_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM refresh_conversation(OLD.conversation_id);
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_refresh_conversation_on_delete ON messages;
+CREATE TRIGGER trigger_refresh_conversation_on_delete
+    AFTER DELETE ON messages
+    FOR EACH ROW
+    EXECUTE FUNCTION refresh_conversation_on_delete();
+
+-- Backfill: attach older messages to conversations and build their summaries
+INSERT INTO conversations (participant1, participant2)
+SELECT DISTINCT LEAST(sender_address, receiver_address), GREATEST(sender_address, receiver_address)
+FROM messages
+WHERE conversation_id IS NULL
+ON CONFLICT DO NOTHING;
+
+UPDATE messages m
+SET conversation_id = c.id
+FROM conversations c
+WHERE m.conversation_id IS NULL
+AND LEAST(c.participant1, c.participant2) = LEAST(m.sender_address, m.receiver_address)
+AND GREATEST(c.participant1, c.participant2) = GREATEST(m.sender_address, m.receiver_address);
+
+SELECT refresh_conversation(id) FROM conversations;
+
+-- ===============================
+-- STORY INTERACTIONS
+-- ===============================
+
+-- Who has seen each story, one row per viewer. Only the viewer and the story's
+-- creator can read a view.
+CREATE TABLE IF NOT EXISTS story_views (
+    id SERIAL PRIMARY KEY,
+    story_id INTEGER NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    viewer_address TEXT NOT NULL,
+    viewed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(story_id, viewer_address)
+);
+
+-- One emoji reaction per viewer and story; reacting again replaces it
+CREATE TABLE IF NOT EXISTS story_reactions (
+    id SERIAL PRIMARY KEY,
+    story_id INTEGER NOT NULL REFERENCES stories(id) ON DELETE CASCADE,
+    user_address TEXT NOT NULL,
+    emoji TEXT NOT NULL CHECK (emoji IN ('❤️', '😂', '😮', '😢', '🔥', '👏')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(story_id, user_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_story_views_story_id ON story_views(story_id);
+CREATE INDEX IF NOT EXISTS idx_story_reactions_story_id ON story_reactions(story_id);
+
+-- Replies are direct messages to the creator pointing at the story. The media
+-- path is copied so the thumbnail still shows after the story expires.
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS story_id INTEGER REFERENCES stories(id) ON DELETE SET NULL;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS story_image_url TEXT;
+
+-- Runs as the owner so it also sees expired and hidden stories
+CREATE OR REPLACE FUNCTION is_story_creator(target_story_id INTEGER, check_address TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM stories s
+        WHERE s.id = target_story_id
+        AND s.creator_address = lower(check_address)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Whether the viewer and the story's creator have blocked each other
+CREATE OR REPLACE FUNCTION is_blocked_from_story(target_story_id INTEGER, viewer_address TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM stories s
+        WHERE s.id = target_story_id
+        AND is_blocked_between(s.creator_address, viewer_address)
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION is_story_creator(INTEGER, TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION is_blocked_from_story(INTEGER, TEXT) TO anon, authenticated;
+
+ALTER TABLE story_views ENABLE ROW LEVEL SECURITY;
+ALTER TABLE story_reactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Viewers and creators can view story views" ON story_views FOR SELECT
+USING (viewer_address = lower(current_setting('request.jwt.claims', true)::json->>'address')
+       OR is_story_creator(story_id, current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can record own story views" ON story_views FOR INSERT
+WITH CHECK (viewer_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+
+CREATE POLICY "Reactors and creators can view story reactions" ON story_reactions FOR SELECT
+USING (user_address = lower(current_setting('request.jwt.claims', true)::json->>'address')
+       OR is_story_creator(story_id, current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can create own story reactions" ON story_reactions FOR INSERT
+WITH CHECK (user_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can update own story reactions" ON story_reactions FOR UPDATE
+USING (user_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can delete own story reactions" ON story_reactions FOR DELETE
+USING (user_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+
+CREATE POLICY "Blocked users cannot react to stories" ON story_reactions AS RESTRICTIVE FOR INSERT
+WITH CHECK (NOT is_blocked_from_story(story_id, user_address));
+
+GRANT USAGE ON SEQUENCE story_views_id_seq TO anon, authenticated;
+GRANT USAGE ON SEQUENCE story_reactions_id_seq TO anon, authenticated;
+GRANT ALL ON story_views TO anon, authenticated;
+GRANT ALL ON story_reactions TO anon, authenticated;
+
+-- ===============================
+-- STORY HIGHLIGHTS
+-- ===============================
+
+-- Named collections of a creator's stories shown on their profile. Items copy
+-- the story's media path, so they survive cleanup_expired_stories() deleting
+-- the story row (the file itself stays in the images bucket).
+CREATE TABLE IF NOT EXISTS story_highlights (
+    id SERIAL PRIMARY KEY,
+    owner_address TEXT NOT NULL,
+    title TEXT NOT NULL CHECK (char_length(title) BETWEEN 1 AND 30),
+    cover_image_url TEXT, -- storage path; falls back to the first item when NULL
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS story_highlight_items (
+    id SERIAL PRIMARY KEY,
+    highlight_id INTEGER NOT NULL REFERENCES story_highlights(id) ON DELETE CASCADE,
+    story_id INTEGER REFERENCES stories(id) ON DELETE SET NULL,
+    owner_address TEXT NOT NULL,
+    image_url TEXT NOT NULL,
+    story_created_at TIMESTAMP WITH TIME ZONE,
+    is_hidden BOOLEAN NOT NULL DEFAULT false,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(highlight_id, story_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_story_highlights_owner_position ON story_highlights(owner_address, position);
+CREATE INDEX IF NOT EXISTS idx_story_highlight_items_highlight_id ON story_highlight_items(highlight_id);
+CREATE INDEX IF NOT EXISTS idx_story_highlight_items_story_id ON story_highlight_items(story_id);
+
+CREATE TRIGGER update_story_highlights_updated_at BEFORE UPDATE ON story_highlights FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE story_highlights ENABLE ROW LEVEL SECURITY;
+ALTER TABLE story_highlight_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view story highlights" ON story_highlights FOR SELECT USING (true);
+CREATE POLICY "Users can create own story highlights" ON story_highlights FOR INSERT WITH CHECK (owner_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can update own story highlights" ON story_highlights FOR UPDATE USING (owner_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can delete own story highlights" ON story_highlights FOR DELETE USING (owner_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+
+CREATE POLICY "Anyone can view story highlight items" ON story_highlight_items FOR SELECT USING (true);
+-- Only the owner's own stories can go into the owner's own highlights
+CREATE POLICY "Users can add own stories to own highlights" ON story_highlight_items FOR INSERT
+WITH CHECK (
+    owner_address = lower(current_setting('request.jwt.claims', true)::json->>'address')
+    AND EXISTS (
+        SELECT 1 FROM story_highlights h
+        WHERE h.id = highlight_id AND h.owner_address = story_highlight_items.owner_address
+    )
+    AND is_story_creator(story_id, owner_address)
+);
+CREATE POLICY "Users can delete own story highlight items" ON story_highlight_items FOR DELETE USING (owner_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+
+CREATE POLICY "Hidden highlight items are limited to owner and moderators" ON story_highlight_items AS RESTRICTIVE FOR SELECT
+USING (
+    NOT is_hidden
+    OR owner_address = lower(current_setting('request.jwt.claims', true)::json->>'address')
+    OR is_moderator(current_setting('request.jwt.claims', true)::json->>'address')
+);
+
+CREATE POLICY "Hide story highlights from blocked and muted users" ON story_highlights AS RESTRICTIVE FOR SELECT
+USING (NOT is_hidden_for(current_setting('request.jwt.claims', true)::json->>'address', owner_address));
+
+GRANT USAGE ON SEQUENCE story_highlights_id_seq TO anon, authenticated;
+GRANT USAGE ON SEQUENCE story_highlight_items_id_seq TO anon, authenticated;
+GRANT ALL ON story_highlights TO anon, authenticated;
+GRANT ALL ON story_highlight_items TO anon, authenticated;
+
+-- Stories hidden by a moderator are hidden in highlights too
+CREATE OR REPLACE FUNCTION sync_highlight_items_hidden()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE story_highlight_items SET is_hidden = NEW.is_hidden WHERE story_id = NEW.id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_sync_highlight_items_hidden ON stories;
+CREATE TRIGGER trigger_sync_highlight_items_hidden
+    AFTER UPDATE OF is_hidden ON stories
+    FOR EACH ROW
+    WHEN (OLD.is_hidden IS DISTINCT FROM NEW.is_hidden)
+    EXECUTE FUNCTION sync_highlight_items_hidden();
+
+-- Items copy the story's media, audience, hidden flag and publish time from
+-- the story row rather than trusting the client, so a hidden story can't be
+-- re-added visible and no other media can be attached under a story's id
+CREATE OR REPLACE FUNCTION copy_highlight_item_from_story()
+RETURNS TRIGGER AS $$
+DECLARE
+    story stories%ROWTYPE;
+BEGIN
+    SELECT * INTO story FROM stories WHERE id = NEW.story_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Story % not found', NEW.story_id;
+    END IF;
+
+    NEW.image_url := story.image_url;
+    NEW.audience := story.audience;
+    NEW.is_hidden := story.is_hidden;
+    NEW.story_created_at := story.publish_at;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_copy_highlight_item_from_story ON story_highlight_items;
+CREATE TRIGGER trigger_copy_highlight_item_from_story
+    BEFORE INSERT ON story_highlight_items
+    FOR EACH ROW
+    EXECUTE FUNCTION copy_highlight_item_from_story();
+
+-- Highlight items are reported on their own (see resolve_report)
+ALTER TABLE reports DROP CONSTRAINT IF EXISTS reports_target_type_check;
+ALTER TABLE reports ADD CONSTRAINT reports_target_type_check
+    CHECK (target_type IN ('post', 'comment', 'story', 'message', 'highlight_item'));
+
+-- Save the caller's highlight order in one call: each id's position is its
+-- index in highlight_ids. Runs with the caller's rights, so RLS still applies.
+CREATE OR REPLACE FUNCTION reorder_story_highlights(highlight_ids INTEGER[])
+RETURNS void AS $$
+    UPDATE story_highlights h
+    SET position = ordered.ord
+    FROM unnest(highlight_ids) WITH ORDINALITY AS ordered(id, ord)
+    WHERE h.id = ordered.id
+    AND h.owner_address = lower(current_setting('request.jwt.claims', true)::json->>'address');
+$$ LANGUAGE sql;
+
+GRANT EXECUTE ON FUNCTION reorder_story_highlights(INTEGER[]) TO anon, authenticated;
+
+-- ===============================
+-- CLOSE FRIENDS
+-- ===============================
+
+-- Each creator's close friends list. Only the owner can read it: friends are
+-- not told they are on someone's list.
+CREATE TABLE IF NOT EXISTS close_friends (
+    id SERIAL PRIMARY KEY,
+    owner_address TEXT NOT NULL,
+    friend_address TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(owner_address, friend_address)
+);
+
+CREATE INDEX IF NOT EXISTS idx_close_friends_owner_address ON close_friends(owner_address);
+
+ALTER TABLE close_friends ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own close friends" ON close_friends FOR SELECT USING (owner_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can add own close friends" ON close_friends FOR INSERT WITH CHECK (owner_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+CREATE POLICY "Users can remove own close friends" ON close_friends FOR DELETE USING (owner_address = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+
+GRANT USAGE ON SEQUENCE close_friends_id_seq TO anon, authenticated;
+GRANT ALL ON close_friends TO anon, authenticated;
+
+-- 'public' or 'close_friends'; premium posts stay public since any buyer can unlock them
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS audience TEXT NOT NULL DEFAULT 'public' CHECK (audience IN ('public', 'close_friends'));
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS audience TEXT NOT NULL DEFAULT 'public' CHECK (audience IN ('public', 'close_friends'));
+ALTER TABLE story_highlight_items ADD COLUMN IF NOT EXISTS audience TEXT NOT NULL DEFAULT 'public' CHECK (audience IN ('public', 'close_friends'));
+
+ALTER TABLE posts DROP CONSTRAINT IF EXISTS posts_close_friends_not_paid;
+ALTER TABLE posts ADD CONSTRAINT posts_close_friends_not_paid CHECK (audience = 'public' OR NOT is_paid);
+
+-- Whether the caller may see content `creator` shared with `audience`. Runs
+-- as the owner so the check can read the creator's private list; the viewer
+-- comes from the JWT, so calling it over RPC can't probe whether some other
+-- address is on a list. The CASCADE drops the policies below on re-runs.
+DROP FUNCTION IF EXISTS can_view_audience(TEXT, TEXT, TEXT) CASCADE;
+DROP FUNCTION IF EXISTS can_view_audience(TEXT, TEXT) CASCADE;
+
+CREATE FUNCTION can_view_audience(creator TEXT, audience TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT audience = 'public'
+        OR lower(creator) = lower(current_setting('request.jwt.claims', true)::json->>'address')
+        OR EXISTS (
+            SELECT 1 FROM close_friends cf
+            WHERE cf.owner_address = lower(creator)
+            AND cf.friend_address = lower(current_setting('request.jwt.claims', true)::json->>'address')
+        );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION can_view_audience(TEXT, TEXT) TO anon, authenticated;
+
+CREATE POLICY "Close friends posts are limited to the list" ON posts AS RESTRICTIVE FOR SELECT
+USING (can_view_audience(creator_address, audience));
+
+CREATE POLICY "Close friends stories are limited to the list" ON stories AS RESTRICTIVE FOR SELECT
+USING (can_view_audience(creator_address, audience));
+
+CREATE POLICY "Close friends highlight items are limited to the list" ON story_highlight_items AS RESTRICTIVE FOR SELECT
+USING (can_view_audience(owner_address, audience));
+
+-- ===============================
+-- SCHEDULED PUBLISHING
+-- ===============================
+
+-- Posts and stories go live at publish_at, which defaults to the moment they
+-- are created. Until then only their creator can read them; a scheduled
+-- story's expires_at is 24 hours after its publish_at.
+ALTER TABLE posts ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE stories ADD COLUMN IF NOT EXISTS publish_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE posts SET publish_at = created_at WHERE publish_at IS NULL;
+UPDATE stories SET publish_at = created_at WHERE publish_at IS NULL;
+
+ALTER TABLE posts ALTER COLUMN publish_at SET DEFAULT NOW();
+ALTER TABLE posts ALTER COLUMN publish_at SET NOT NULL;
+ALTER TABLE stories ALTER COLUMN publish_at SET DEFAULT NOW();
+ALTER TABLE stories ALTER COLUMN publish_at SET NOT NULL;
+
+-- Feeds page over (publish_at, id)
+CREATE INDEX IF NOT EXISTS idx_posts_publish_at ON posts(publish_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_stories_publish_at ON stories(publish_at DESC);
+
+CREATE POLICY "Scheduled posts are hidden until published" ON posts AS RESTRICTIVE FOR SELECT
+USING (publish_at <= NOW() OR lower(creator_address) = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+
+CREATE POLICY "Scheduled stories are hidden until published" ON stories AS RESTRICTIVE FOR SELECT
+USING (publish_at <= NOW() OR lower(creator_address) = lower(current_setting('request.jwt.claims', true)::json->>'address'));
+
+-- Creators reschedule their queued stories. Once a story is live it can't be
+-- updated, and guard_story_update limits what the update may change.
+CREATE POLICY "Users can reschedule own stories" ON stories FOR UPDATE
+USING (
+    creator_address = current_setting('request.jwt.claims', true)::json->>'address'
+    AND publish_at > NOW()
+)
+WITH CHECK (creator_address = current_setting('request.jwt.claims', true)::json->>'address');
+
+-- A story always expires 24 hours after it is published, whatever the client
+-- sends. Clients may only move publish_at; moderation and other changes run as
+-- the table owner.
+CREATE OR REPLACE FUNCTION guard_story_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE'
+    AND current_user IN ('anon', 'authenticated')
+    AND (to_jsonb(NEW) - 'publish_at' - 'expires_at' - 'updated_at')
+        IS DISTINCT FROM (to_jsonb(OLD) - 'publish_at' - 'expires_at' - 'updated_at') THEN
+        RAISE EXCEPTION 'Only the publish time of a scheduled story can be changed';
+    END IF;
+
+    NEW.expires_at := NEW.publish_at + INTERVAL '24 hours';
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_guard_story_update ON stories;
+CREATE TRIGGER trigger_guard_story_update
+    BEFORE INSERT OR UPDATE ON stories
+    FOR EACH ROW
+    EXECUTE FUNCTION guard_story_update();
+
+-- Rank and search by when posts went live rather than when they were queued,
+-- and keep the creator's own scheduled posts out of both
+CREATE OR REPLACE FUNCTION explore_posts(
+    page_size INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0,
+    exclude_address TEXT DEFAULT NULL,
+    max_age_days INTEGER DEFAULT 30
+)
+RETURNS SETOF posts AS $$
+    SELECT p.*
+    FROM posts p
+    WHERE p.tier_id IS NULL
+    AND NOT p.is_hidden
+    AND p.publish_at <= NOW()
+    AND p.publish_at > NOW() - make_interval(days => max_age_days)
+    AND (exclude_address IS NULL OR lower(p.creator_address) <> lower(exclude_address))
+    AND NOT is_hidden_for(exclude_address, p.creator_address)
+    ORDER BY
+        (
+            (SELECT COUNT(*) FROM likes WHERE likes.post_id = p.id)
+            + 2 * (SELECT COUNT(*) FROM comments WHERE comments.post_id = p.id)
+            + 3 * COALESCE(p.purchase_count, 0)
+            + 1
+        ) / power(EXTRACT(EPOCH FROM (NOW() - p.publish_at)) / 3600 + 2, 1.5) DESC,
+        p.publish_at DESC,
+        p.id DESC
+    LIMIT page_size OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION search_posts(
+    search_query TEXT,
+    page_size INTEGER DEFAULT 20,
+    page_offset INTEGER DEFAULT 0
+)
+RETURNS SETOF posts AS $$
+    SELECT p.*
+    FROM posts p
+    WHERE p.publish_at <= NOW()
+    AND NOT p.is_hidden
+    AND (
+        p.description ILIKE '%' || escape_like(search_query) || '%'
+        OR word_similarity(search_query, p.description) > 0.4
+    )
+    ORDER BY
+        word_similarity(search_query, COALESCE(p.description, '')) DESC,
+        p.publish_at DESC
+    LIMIT page_size OFFSET page_offset;
+$$ LANGUAGE sql STABLE;
+
+-- Paid posts can be bought on-chain as soon as they are registered, so they
+-- can't wait in the queue; publish_at only gets a minute of clock-skew slack
+CREATE OR REPLACE FUNCTION guard_paid_post_schedule()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.is_paid
+    AND NEW.publish_at > NOW() + INTERVAL '1 minute'
+    AND (TG_OP = 'INSERT'
+         OR NEW.publish_at IS DISTINCT FROM OLD.publish_at
+         OR NEW.is_paid IS DISTINCT FROM OLD.is_paid) THEN
+        RAISE EXCEPTION 'Paid posts can''t be scheduled';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_guard_paid_post_schedule ON posts;
+CREATE TRIGGER trigger_guard_paid_post_schedule
+    BEFORE INSERT OR UPDATE ON posts
+    FOR EACH ROW
+    EXECUTE FUNCTION guard_paid_post_schedule();
+
+-- Mentions in a scheduled post, and their notifications, are written when the
+-- post is queued but only show up once it publishes: they are dated at
+-- publish_at and hidden from everyone but their author until then
+CREATE OR REPLACE FUNCTION is_post_scheduled(target_post_id INTEGER)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM posts p
+        WHERE p.id = target_post_id
+        AND p.publish_at > NOW()
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION is_post_scheduled(INTEGER) TO anon, authenticated;
+
+DROP POLICY IF EXISTS "Notifications for scheduled posts wait until they publish" ON notifications;
+CREATE POLICY "Notifications for scheduled posts wait until they publish" ON notifications AS RESTRICTIVE FOR SELECT
+USING (post_id IS NULL OR NOT is_post_scheduled(post_id));
+
+DROP POLICY IF EXISTS "Mentions in scheduled posts wait until they publish" ON mentions;
+CREATE POLICY "Mentions in scheduled posts wait until they publish" ON mentions AS RESTRICTIVE FOR SELECT
+USING (
+    NOT is_post_scheduled(post_id)
+    OR lower(author_address) = lower(current_setting('request.jwt.claims', true)::json->>'address')
+);
+
+CREATE OR REPLACE FUNCTION date_at_post_publish()
+RETURNS TRIGGER AS $$
+DECLARE
+    post_publish_at TIMESTAMP WITH TIME ZONE;
+BEGIN
+    SELECT publish_at INTO post_publish_at FROM posts WHERE id = NEW.post_id;
+    IF post_publish_at > NOW() THEN
+        NEW.created_at := post_publish_at;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_date_notification_at_post_publish ON notifications;
+CREATE TRIGGER trigger_date_notification_at_post_publish
+    BEFORE INSERT ON notifications
+    FOR EACH ROW
+    WHEN (NEW.post_id IS NOT NULL)
+    EXECUTE FUNCTION date_at_post_publish();
+
+DROP TRIGGER IF EXISTS trigger_date_mention_at_post_publish ON mentions;
+CREATE TRIGGER trigger_date_mention_at_post_publish
+    BEFORE INSERT ON mentions
+    FOR EACH ROW
+    EXECUTE FUNCTION date_at_post_publish();
+
+-- Rescheduling (or publishing early) moves the deferred rows along
+CREATE OR REPLACE FUNCTION redate_deferred_mentions()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE notifications SET created_at = NEW.publish_at
+    WHERE post_id = NEW.id AND created_at = OLD.publish_at;
+    UPDATE mentions SET created_at = NEW.publish_at
+    WHERE post_id = NEW.id AND created_at = OLD.publish_at;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS trigger_redate_deferred_mentions ON posts;
+CREATE TRIGGER trigger_redate_deferred_mentions
+    AFTER UPDATE OF publish_at ON posts
+    FOR EACH ROW
+    WHEN (OLD.publish_at > NOW() AND NEW.publish_at IS DISTINCT FROM OLD.publish_at)
+    EXECUTE FUNCTION redate_deferred_mentions();
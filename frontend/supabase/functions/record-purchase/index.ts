@@ -0,0 +1,166 @@
+// supabase/functions/record-purchase/index.ts
+// Mirrors an on-chain content purchase into the purchases table. Clients can't
+// insert purchases themselves: the row unlocks the post, bumps purchase_count
+// and lands in the creator's sales export, so it is only written once the
+// ContentPurchased event in the given transaction checks out.
+//
+//   POST { postId, transactionHash } -> { purchase }
+//
+// Called with the wallet JWT from wallet-auth. Needs WALLET_AUTH_JWT_SECRET,
+// CONTRACT_ADDRESS and optionally BSC_RPC_URL, plus the SUPABASE_URL and
+// SUPABASE_SERVICE_ROLE_KEY every function gets.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { Interface, JsonRpcProvider, formatEther } from 'npm:ethers@6';
+import { jwtVerify } from 'npm:jose@5';
+
+const CHAIN_ID = 97; // BSC Testnet, same network as the contract
+const DEFAULT_RPC_URL = 'https://data-seed-prebsc-1-s1.binance.org:8545';
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const json = (body: unknown, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+});
+
+const admin = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+  { auth: { persistSession: false } }
+);
+
+const provider = new JsonRpcProvider(Deno.env.get('BSC_RPC_URL') ?? DEFAULT_RPC_URL, CHAIN_ID);
+const contractAddress = Deno.env.get('CONTRACT_ADDRESS')!.toLowerCase();
+const platform = new Interface([
+  'event ContentPurchased(uint256 indexed contentId, address indexed buyer, uint256 price)'
+]);
+
+// The wallet address the caller signed in with
+const callerAddress = async (req: Request) => {
+  const token = req.headers.get('authorization')?.replace(/^Bearer /, '');
+  if (!token) return null;
+
+  try {
+    const { payload } = await jwtVerify(
+      token,
+      new TextEncoder().encode(Deno.env.get('WALLET_AUTH_JWT_SECRET')!),
+      { audience: 'authenticated' }
+    );
+    return typeof payload.address === 'string' ? payload.address.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+};
+
+// The ContentPurchased event for `contentId` bought by `buyer` in the transaction, if any
+const findPurchaseEvent = async (transactionHash: string, contentId: number, buyer: string) => {
+  const receipt = await provider.getTransactionReceipt(transactionHash);
+  if (!receipt || receipt.status !== 1) return null;
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== contractAddress) continue;
+
+    const parsed = platform.parseLog(log);
+    if (parsed?.name === 'ContentPurchased'
+      && Number(parsed.args.contentId) === contentId
+      && parsed.args.buyer.toLowerCase() === buyer) {
+      return parsed;
+    }
+  }
+  return null;
+};
+
+const notifyCreator = async (post: { id: number; creator_address: string }, buyer: string, amount: string) => {
+  const { data: profile } = await admin
+    .from('users')
+    .select('username')
+    .eq('address', buyer)
+    .maybeSingle();
+
+  const username = profile?.username ?? null;
+  const { error } = await admin.from('notifications').insert({
+    user_address: post.creator_address,
+    type: 'purchase',
+    title: 'New Purchase',
+    message: `${username || buyer.substring(0, 8)} bought your post for ${amount} BNB`,
+    post_id: post.id,
+    from_user_address: buyer,
+    from_username: username
+  });
+
+  if (error) console.error('record-purchase notification error:', error);
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const buyer = await callerAddress(req);
+    if (!buyer) {
+      return json({ error: 'Sign in with your wallet first' }, 401);
+    }
+
+    const { postId, transactionHash } = await req.json();
+    if (!Number.isInteger(postId) || typeof transactionHash !== 'string' || !TX_HASH_PATTERN.test(transactionHash)) {
+      return json({ error: 'postId and a transaction hash are required' }, 400);
+    }
+
+    const { data: post, error: postError } = await admin
+      .from('posts')
+      .select('id, content_id, creator_address')
+      .eq('id', postId)
+      .maybeSingle();
+
+    if (postError) throw postError;
+    if (!post || post.content_id === null) {
+      return json({ error: 'Post is not registered on-chain' }, 404);
+    }
+
+    const event = await findPurchaseEvent(transactionHash, post.content_id, buyer);
+    if (!event) {
+      return json({ error: 'Transaction does not purchase this post for your address' }, 422);
+    }
+
+    const amount = formatEther(event.args.price);
+    const { data: purchase, error: insertError } = await admin
+      .from('purchases')
+      .insert({ user_address: buyer, post_id: post.id, amount, transaction_hash: transactionHash })
+      .select()
+      .single();
+
+    // Already recorded, e.g. by a reconcile on another device
+    if (insertError?.code === '23505') {
+      const { data: existing, error } = await admin
+        .from('purchases')
+        .select()
+        .eq('user_address', buyer)
+        .eq('post_id', post.id)
+        .single();
+
+      if (error) throw error;
+      return json({ purchase: existing });
+    }
+    if (insertError) throw insertError;
+
+    if (post.creator_address !== buyer) {
+      await notifyCreator(post, buyer, amount);
+    }
+
+    return json({ purchase });
+  } catch (error) {
+    console.error('record-purchase error:', error);
+    return json({ error: error instanceof Error ? error.message : 'Internal error' }, 500);
+  }
+});
@@ -0,0 +1,140 @@
+// supabase/functions/wallet-auth/index.ts
+// Sign-In-With-Ethereum for Supabase. The client asks for a one-time message,
+// signs it with the wallet and trades the signature for a JWT whose `address`
+// claim the RLS policies in supabase-schema.sql compare against.
+//
+//   POST { action: 'nonce', address }             -> { message, expiresAt }
+//   POST { action: 'verify', address, signature } -> { address, token, expiresAt }
+//
+// Needs WALLET_AUTH_JWT_SECRET set to the project's JWT secret, plus the
+// SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY every function gets.
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import { getAddress, isAddress, verifyMessage } from 'npm:ethers@6';
+import { SignJWT } from 'npm:jose@5';
+
+const CHAIN_ID = 97; // BSC Testnet, same network as the contract
+const NONCE_TTL_MS = 5 * 60 * 1000;
+const SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const json = (body: unknown, status = 200) => new Response(JSON.stringify(body), {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+});
+
+// Nonces live in auth_nonces, which only the service role can read or write
+const admin = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+  { auth: { persistSession: false } }
+);
+
+// EIP-4361 message; `origin` is the app asking the user to sign
+const buildMessage = (origin: string, address: string, nonce: string, issuedAt: string, expiresAt: string) => [
+  `${new URL(origin).host} wants you to sign in with your Ethereum account:`,
+  getAddress(address),
+  '',
+  'Sign in to SocialWeb3. This request will not trigger a blockchain transaction or cost any gas fees.',
+  '',
+  `URI: ${origin}`,
+  'Version: 1',
+  `Chain ID: ${CHAIN_ID}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${issuedAt}`,
+  `Expiration Time: ${expiresAt}`
+].join('\n');
+
+const issueNonce = async (req: Request, address: string) => {
+  const origin = req.headers.get('origin') ?? 'http://localhost:3000';
+  const nonce = crypto.randomUUID().replaceAll('-', '');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+  const message = buildMessage(origin, address, nonce, issuedAt.toISOString(), expiresAt.toISOString());
+
+  // One pending message per address; asking again replaces it
+  const { error } = await admin
+    .from('auth_nonces')
+    .upsert({ address, message, expires_at: expiresAt.toISOString() });
+
+  if (error) throw error;
+  return json({ message, expiresAt: expiresAt.toISOString() });
+};
+
+const verifySignature = async (address: string, signature: string) => {
+  // Nonces are single use: take the pending one out before checking it
+  const { data: pending, error } = await admin
+    .from('auth_nonces')
+    .delete()
+    .eq('address', address)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!pending || new Date(pending.expires_at).getTime() < Date.now()) {
+    return json({ error: 'Sign-in message expired, please try again' }, 401);
+  }
+
+  let signer: string;
+  try {
+    signer = verifyMessage(pending.message, signature).toLowerCase();
+  } catch {
+    return json({ error: 'Malformed signature' }, 400);
+  }
+
+  if (signer !== address) {
+    return json({ error: 'Signature does not match address' }, 401);
+  }
+
+  const expiresAt = Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS;
+  const token = await new SignJWT({ address, role: 'authenticated' })
+    .setProtectedHeader({ alg: 'HS256', typ: 'JWT' })
+    .setAudience('authenticated')
+    .setIssuedAt()
+    .setExpirationTime(expiresAt)
+    .sign(new TextEncoder().encode(Deno.env.get('WALLET_AUTH_JWT_SECRET')!));
+
+  return json({ address, token, expiresAt });
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  if (req.method !== 'POST') {
+    return json({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    const { action, address, signature } = await req.json();
+
+    if (typeof address !== 'string' || !isAddress(address)) {
+      return json({ error: 'A valid wallet address is required' }, 400);
+    }
+
+    // Addresses are stored and compared lowercased throughout the schema
+    const normalized = address.toLowerCase();
+
+    if (action === 'nonce') {
+      return await issueNonce(req, normalized);
+    }
+
+    if (action === 'verify') {
+      if (typeof signature !== 'string') {
+        return json({ error: 'Signature is required' }, 400);
+      }
+      return await verifySignature(normalized, signature);
+    }
+
+    return json({ error: `Unknown action: ${action}` }, 400);
+  } catch (error) {
+    console.error('wallet-auth error:', error);
+    return json({ error: error instanceof Error ? error.message : 'Internal error' }, 500);
+  }
+});
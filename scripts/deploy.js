@@ -1,6 +1,10 @@
 const hre = require("hardhat");
 const fs = require('fs');
 
+// Il frontend legge indirizzo e ABI da questi file
+const FRONTEND_ENV = 'frontend/.env.production';
+const FRONTEND_ABI = 'frontend/src/contracts/SocialPlatform.json';
+
 async function main() {
   console.log("🚀 Starting deployment process...");
   console.log("=======================================");
@@ -34,11 +38,13 @@ async function main() {
   
   // STEP 6: Ottieni indirizzo contratto
   const contractAddress = await socialPlatform.getAddress();
+  const deploymentBlock = Number(await socialPlatform.deploymentBlock());
   
   // STEP 7: Informazioni deploy
   console.log("=======================================");
   console.log("✅ SocialPlatform deployed successfully!");
   console.log("📍 Contract address:", contractAddress);
+  console.log("🧱 Deployment block:", deploymentBlock);
   console.log("🔗 BSC Testnet Explorer:", `https://testnet.bscscan.com/address/${contractAddress}`);
   console.log("🧾 Transaction hash:", socialPlatform.deploymentTransaction().hash);
   
@@ -51,6 +57,7 @@ async function main() {
     deployer: deployer.address,
     deployerBalance: balanceInBNB,
     transactionHash: socialPlatform.deploymentTransaction().hash,
+    deploymentBlock: deploymentBlock,
     timestamp: new Date().toISOString(),
     explorerUrl: `https://testnet.bscscan.com/address/${contractAddress}`
   };
@@ -62,6 +69,17 @@ async function main() {
   // Salva solo l'indirizzo (per facilità)
   fs.writeFileSync('contract-address.txt', contractAddress);
   console.log("📄 Contract address saved to contract-address.txt");
+
+  // STEP 9: Aggiorna il frontend, altrimenti continua a chiamare il vecchio contratto
+  const env = fs.existsSync(FRONTEND_ENV) ? fs.readFileSync(FRONTEND_ENV, 'utf8') : '';
+  const addressLine = `REACT_APP_CONTRACT_ADDRESS=${contractAddress}`;
+  fs.writeFileSync(FRONTEND_ENV, /^REACT_APP_CONTRACT_ADDRESS=.*$/m.test(env)
+    ? env.replace(/^REACT_APP_CONTRACT_ADDRESS=.*$/m, addressLine)
+    : `${env.trimEnd()}\n${addressLine}\n`);
+  console.log(`📄 Contract address saved to ${FRONTEND_ENV}`);
+
+  fs.copyFileSync('artifacts/contracts/SocialPlatform.sol/SocialPlatform.json', FRONTEND_ABI);
+  console.log(`📄 ABI copied to ${FRONTEND_ABI}`);
   
   console.log("=======================================");
   console.log("🎉 Deployment completed successfully!");
@@ -0,0 +1,276 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+describe("SocialPlatform", function () {
+  const PRICE = ethers.parseEther("1");
+
+  async function deployWithPurchaseFixture() {
+    const [owner, creator, buyer, otherBuyer] = await ethers.getSigners();
+
+    const SocialPlatform = await ethers.getContractFactory("SocialPlatform");
+    const platform = await SocialPlatform.deploy();
+
+    await platform.connect(creator).registerUser("creator", "QmAvatar", "");
+    await platform.connect(creator).becomeCreator();
+    await platform.connect(buyer).registerUser("buyer", "QmAvatar", "");
+    await platform.connect(otherBuyer).registerUser("other", "QmAvatar", "");
+
+    await platform.connect(creator).createContent("content_hash", PRICE, true);
+    await platform.connect(buyer).buyContent(1, { value: PRICE });
+
+    const fee = (PRICE * (await platform.platformFee())) / (await platform.FEE_DENOMINATOR());
+
+    return { platform, owner, creator, buyer, otherBuyer, fee };
+  }
+
+  describe("Fee accounting", function () {
+    it("splits a purchase between creator earnings and platform fees", async function () {
+      const { platform, creator, fee } = await loadFixture(deployWithPurchaseFixture);
+
+      expect(await platform.accumulatedFees()).to.equal(fee);
+      expect((await platform.getUser(creator.address)).totalEarnings).to.equal(PRICE - fee);
+      expect(await platform.totalCreatorBalances()).to.equal(PRICE - fee);
+    });
+
+    it("charges the fee on the price, not on an overpayment", async function () {
+      const { platform, creator, otherBuyer, fee } = await loadFixture(deployWithPurchaseFixture);
+
+      await platform.connect(otherBuyer).buyContent(1, { value: PRICE * 3n });
+
+      expect(await platform.accumulatedFees()).to.equal(fee * 2n);
+      expect((await platform.getUser(creator.address)).totalEarnings).to.equal((PRICE - fee) * 2n);
+      expect(await ethers.provider.getBalance(platform.target)).to.equal(PRICE * 2n);
+    });
+  });
+
+  describe("withdrawPlatformFees", function () {
+    it("only transfers accumulated fees to the owner", async function () {
+      const { platform, owner, fee } = await loadFixture(deployWithPurchaseFixture);
+
+      const tx = platform.connect(owner).withdrawPlatformFees();
+
+      await expect(tx).to.changeEtherBalances([owner, platform], [fee, -fee]);
+      await expect(tx).to.emit(platform, "PlatformFeesWithdrawn").withArgs(owner.address, fee);
+
+      expect(await platform.accumulatedFees()).to.equal(0);
+    });
+
+    it("reverts when there are no fees to withdraw", async function () {
+      const { platform, owner } = await loadFixture(deployWithPurchaseFixture);
+
+      await platform.connect(owner).withdrawPlatformFees();
+
+      await expect(platform.connect(owner).withdrawPlatformFees())
+        .to.be.revertedWith("No fees to withdraw");
+    });
+
+    it("can only be called by the owner", async function () {
+      const { platform, creator } = await loadFixture(deployWithPurchaseFixture);
+
+      await expect(platform.connect(creator).withdrawPlatformFees())
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("leaves the creator able to withdraw after the owner sweeps fees", async function () {
+      const { platform, owner, creator, fee } = await loadFixture(deployWithPurchaseFixture);
+
+      await platform.connect(owner).withdrawPlatformFees();
+
+      const tx = platform.connect(creator).withdrawEarnings();
+
+      await expect(tx).to.changeEtherBalances([creator, platform], [PRICE - fee, -(PRICE - fee)]);
+      await expect(tx).to.emit(platform, "EarningsWithdrawn").withArgs(creator.address, PRICE - fee);
+
+      expect(await platform.totalCreatorBalances()).to.equal(0);
+      expect(await ethers.provider.getBalance(platform.target)).to.equal(0);
+    });
+  });
+
+  describe("emergencyWithdraw", function () {
+    it("never touches creator balances", async function () {
+      const { platform, owner, creator, fee } = await loadFixture(deployWithPurchaseFixture);
+
+      await expect(platform.connect(owner).emergencyWithdraw())
+        .to.changeEtherBalances([owner, platform], [fee, -fee]);
+
+      expect(await platform.accumulatedFees()).to.equal(0);
+
+      await expect(platform.connect(creator).withdrawEarnings())
+        .to.changeEtherBalance(creator, PRICE - fee);
+    });
+
+    it("reverts when only creator balances are held", async function () {
+      const { platform, owner } = await loadFixture(deployWithPurchaseFixture);
+
+      await platform.connect(owner).withdrawPlatformFees();
+
+      await expect(platform.connect(owner).emergencyWithdraw())
+        .to.be.revertedWith("Nothing to withdraw");
+    });
+  });
+
+  describe("Subscriptions", function () {
+    const TIER_PRICE = ethers.parseEther("0.5");
+    const MONTH = 30 * 24 * 60 * 60;
+
+    async function deployWithTierFixture() {
+      const base = await deployWithPurchaseFixture();
+      const { platform, creator } = base;
+
+      await platform.connect(creator).createTier("Gold", TIER_PRICE, MONTH);
+      await platform.connect(creator).createTierContent("tier_hash", PRICE, 0);
+
+      return base;
+    }
+
+    it("grants access to tier-gated content while the subscription is active", async function () {
+      const { platform, creator, otherBuyer } = await loadFixture(deployWithTierFixture);
+
+      expect(await platform.getContentAccess(otherBuyer.address, 2)).to.equal(false);
+
+      await expect(platform.connect(otherBuyer).subscribe(creator.address, 0, { value: TIER_PRICE }))
+        .to.emit(platform, "Subscribed");
+
+      expect(await platform.isSubscribed(otherBuyer.address, creator.address, 0)).to.equal(true);
+      expect(await platform.getContentAccess(otherBuyer.address, 2)).to.equal(true);
+      // Content that is not tier-gated still needs a purchase
+      expect(await platform.getContentAccess(otherBuyer.address, 1)).to.equal(false);
+
+      await time.increase(MONTH + 1);
+
+      expect(await platform.getContentAccess(otherBuyer.address, 2)).to.equal(false);
+    });
+
+    it("extends an active subscription on renewal", async function () {
+      const { platform, creator, otherBuyer } = await loadFixture(deployWithTierFixture);
+
+      await platform.connect(otherBuyer).subscribe(creator.address, 0, { value: TIER_PRICE });
+      const firstExpiry = await platform.subscriptionExpiry(otherBuyer.address, creator.address, 0);
+
+      await platform.connect(otherBuyer).subscribe(creator.address, 0, { value: TIER_PRICE });
+
+      expect(await platform.subscriptionExpiry(otherBuyer.address, creator.address, 0))
+        .to.equal(firstExpiry + BigInt(MONTH));
+    });
+
+    it("tracks subscription revenue separately from content revenue", async function () {
+      const { platform, creator, otherBuyer, fee } = await loadFixture(deployWithTierFixture);
+      const tierFee = (TIER_PRICE * (await platform.platformFee())) / (await platform.FEE_DENOMINATOR());
+
+      await platform.connect(otherBuyer).subscribe(creator.address, 0, { value: TIER_PRICE * 2n });
+
+      expect(await platform.contentRevenue(creator.address)).to.equal(PRICE - fee);
+      expect(await platform.subscriptionRevenue(creator.address)).to.equal(TIER_PRICE - tierFee);
+      expect(await platform.accumulatedFees()).to.equal(fee + tierFee);
+      expect((await platform.getUser(creator.address)).totalEarnings)
+        .to.equal(PRICE - fee + TIER_PRICE - tierFee);
+    });
+
+    it("rejects subscriptions to inactive tiers", async function () {
+      const { platform, creator, otherBuyer } = await loadFixture(deployWithTierFixture);
+
+      await platform.connect(creator).setTierActive(0, false);
+
+      await expect(platform.connect(otherBuyer).subscribe(creator.address, 0, { value: TIER_PRICE }))
+        .to.be.revertedWith("Tier is not active");
+    });
+
+    it("rejects underpaid subscriptions", async function () {
+      const { platform, creator, otherBuyer } = await loadFixture(deployWithTierFixture);
+
+      await expect(platform.connect(otherBuyer).subscribe(creator.address, 0, { value: TIER_PRICE - 1n }))
+        .to.be.revertedWith("Insufficient payment");
+    });
+  });
+
+  describe("Tips", function () {
+    const TIP = ethers.parseEther("0.1");
+
+    it("credits the creator minus the platform fee", async function () {
+      const { platform, creator, otherBuyer, fee } = await loadFixture(deployWithPurchaseFixture);
+      const tipFee = (TIP * (await platform.platformFee())) / (await platform.FEE_DENOMINATOR());
+
+      await expect(platform.connect(otherBuyer).tip(creator.address, 1, { value: TIP }))
+        .to.emit(platform, "TipSent")
+        .withArgs(otherBuyer.address, creator.address, 1, TIP);
+
+      expect(await platform.tipRevenue(creator.address)).to.equal(TIP - tipFee);
+      expect(await platform.accumulatedFees()).to.equal(fee + tipFee);
+      expect((await platform.getUser(creator.address)).totalEarnings).to.equal(PRICE - fee + TIP - tipFee);
+    });
+
+    it("accepts profile tips without a content id", async function () {
+      const { platform, creator, otherBuyer } = await loadFixture(deployWithPurchaseFixture);
+
+      await expect(platform.connect(otherBuyer).tip(creator.address, 0, { value: TIP }))
+        .to.emit(platform, "TipSent")
+        .withArgs(otherBuyer.address, creator.address, 0, TIP);
+    });
+
+    it("rejects tips for content owned by someone else", async function () {
+      const { platform, buyer, otherBuyer } = await loadFixture(deployWithPurchaseFixture);
+
+      await platform.connect(buyer).becomeCreator();
+
+      await expect(platform.connect(otherBuyer).tip(buyer.address, 1, { value: TIP }))
+        .to.be.revertedWith("Content does not belong to creator");
+    });
+
+    it("rejects tips to non-creators and empty tips", async function () {
+      const { platform, creator, buyer, otherBuyer } = await loadFixture(deployWithPurchaseFixture);
+
+      await expect(platform.connect(otherBuyer).tip(buyer.address, 0, { value: TIP }))
+        .to.be.revertedWith("Can only tip creators");
+      await expect(platform.connect(otherBuyer).tip(creator.address, 0))
+        .to.be.revertedWith("Tip must be greater than zero");
+    });
+  });
+
+  describe("Event history", function () {
+    it("records the deployment block", async function () {
+      const { platform } = await loadFixture(deployWithPurchaseFixture);
+      const receipt = await platform.deploymentTransaction().wait();
+
+      expect(await platform.deploymentBlock()).to.equal(receipt.blockNumber);
+    });
+
+    it("emits fee changes so past fees can be reconstructed", async function () {
+      const { platform, owner } = await loadFixture(deployWithPurchaseFixture);
+
+      await expect(platform.connect(owner).setPlatformFee(500))
+        .to.emit(platform, "PlatformFeeUpdated")
+        .withArgs(200, 500);
+    });
+  });
+
+  describe("Follow lists", function () {
+    it("lists who an address follows and who follows it", async function () {
+      const { platform, creator, buyer, otherBuyer } = await loadFixture(deployWithPurchaseFixture);
+
+      await platform.connect(buyer).followUser(creator.address);
+      await platform.connect(otherBuyer).followUser(creator.address);
+      await platform.connect(buyer).followUser(otherBuyer.address);
+
+      expect(await platform.getFollowing(buyer.address)).to.deep.equal([creator.address, otherBuyer.address]);
+      expect(await platform.getFollowers(creator.address)).to.deep.equal([buyer.address, otherBuyer.address]);
+    });
+
+    it("drops unfollowed addresses and keeps the rest", async function () {
+      const { platform, creator, buyer, otherBuyer } = await loadFixture(deployWithPurchaseFixture);
+
+      await platform.connect(buyer).followUser(creator.address);
+      await platform.connect(otherBuyer).followUser(creator.address);
+      await platform.connect(buyer).unfollowUser(creator.address);
+
+      expect(await platform.getFollowers(creator.address)).to.deep.equal([otherBuyer.address]);
+      expect(await platform.getFollowing(buyer.address)).to.deep.equal([]);
+
+      await platform.connect(buyer).followUser(creator.address);
+      await platform.connect(otherBuyer).unfollowUser(creator.address);
+
+      expect(await platform.getFollowers(creator.address)).to.deep.equal([buyer.address]);
+      expect((await platform.getUser(creator.address)).followersCount).to.equal(1);
+    });
+  });
+});